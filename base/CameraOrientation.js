@@ -0,0 +1,160 @@
+/**
+ * CameraOrientation.js - 相机姿态（四元数，偏航 / 俯仰 / 滚转）
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 用单位四元数表示相机姿态，无万向节锁
+ * - 给出相机三轴：forward（视线，对应 Window.direction）、
+ *   right（屏幕横轴，对应 Window.vx）、up（屏幕竖轴，对应 Window.vy）
+ * - 世界系旋转（偏航绕世界 +Z）与本地系旋转（俯仰绕 right、滚转绕 forward）
+ *
+ * 坐标约定（与 Window 一致）：
+ * - 零姿态：forward = +Y，right = +X，up = +Z
+ * - 偏航正角 = 左转（与 main.js userRotate 一致）
+ * - 俯仰正角 = 抬头；滚转正角 = 头向右倾
+ *
+ * 双眼基线沿 right：滚转时基线随之旋转，视差始终沿观察者的水平方向
+ *
+ * 无外部依赖
+ * ============================================================================
+ */
+
+export class CameraOrientation {
+
+  static AXIS_X = { x: 1, y: 0, z: 0 };
+  static AXIS_Y = { x: 0, y: 1, z: 0 };
+  static AXIS_Z = { x: 0, y: 0, z: 1 };
+
+  constructor(w = 1, x = 0, y = 0, z = 0) {
+    this.w = w;
+    this.x = x;
+    this.y = y;
+    this.z = z;
+  }
+
+  /**
+   * 由欧拉角构造：先偏航（世界 Z），再俯仰（本地 X），再滚转（本地 Y）
+   */
+  static fromYawPitchRoll(yaw, pitch, roll = 0) {
+    return CameraOrientation.fromAxisAngle(CameraOrientation.AXIS_Z, yaw)
+      .multiply(CameraOrientation.fromAxisAngle(CameraOrientation.AXIS_X, pitch))
+      .multiply(CameraOrientation.fromAxisAngle(CameraOrientation.AXIS_Y, roll));
+  }
+
+  /**
+   * 由视线方向构造（零滚转）
+   * @param {{x, y, z}} direction - 单位向量
+   */
+  static fromDirection(direction, roll = 0) {
+    const yaw = Math.atan2(-direction.x, direction.y);
+    const pitch = Math.asin(Math.max(-1, Math.min(1, direction.z)));
+    return CameraOrientation.fromYawPitchRoll(yaw, pitch, roll);
+  }
+
+  static fromAxisAngle(axis, angle) {
+    const half = angle / 2;
+    const s = Math.sin(half);
+    return new CameraOrientation(Math.cos(half), axis.x * s, axis.y * s, axis.z * s);
+  }
+
+  clone() {
+    return new CameraOrientation(this.w, this.x, this.y, this.z);
+  }
+
+  /**
+   * 四元数乘法 this · q（先施加 q，再施加 this）
+   * @returns {CameraOrientation} 新对象
+   */
+  multiply(q) {
+    return new CameraOrientation(
+      this.w * q.w - this.x * q.x - this.y * q.y - this.z * q.z,
+      this.w * q.x + this.x * q.w + this.y * q.z - this.z * q.y,
+      this.w * q.y - this.x * q.z + this.y * q.w + this.z * q.x,
+      this.w * q.z + this.x * q.y - this.y * q.x + this.z * q.w,
+    );
+  }
+
+  normalize() {
+    const l = Math.sqrt(this.w * this.w + this.x * this.x + this.y * this.y + this.z * this.z);
+    this.w /= l;
+    this.x /= l;
+    this.y /= l;
+    this.z /= l;
+    return this;
+  }
+
+  _set(q) {
+    this.w = q.w;
+    this.x = q.x;
+    this.y = q.y;
+    this.z = q.z;
+    return this.normalize();
+  }
+
+  /**
+   * 绕世界轴旋转（左乘）
+   */
+  rotateWorld(axis, angle) {
+    return this._set(CameraOrientation.fromAxisAngle(axis, angle).multiply(this));
+  }
+
+  /**
+   * 绕本地轴旋转（右乘）
+   */
+  rotateLocal(axis, angle) {
+    return this._set(this.multiply(CameraOrientation.fromAxisAngle(axis, angle)));
+  }
+
+  /**
+   * 旋转向量 v' = q · v · q*
+   * @returns {{x, y, z}}
+   */
+  rotate(v) {
+    const { w, x, y, z } = this;
+    // t = 2 · (q.xyz × v)
+    const tx = 2 * (y * v.z - z * v.y);
+    const ty = 2 * (z * v.x - x * v.z);
+    const tz = 2 * (x * v.y - y * v.x);
+    return {
+      x: v.x + w * tx + (y * tz - z * ty),
+      y: v.y + w * ty + (z * tx - x * tz),
+      z: v.z + w * tz + (x * ty - y * tx),
+    };
+  }
+
+  forward() {
+    return this.rotate(CameraOrientation.AXIS_Y);
+  }
+
+  right() {
+    return this.rotate(CameraOrientation.AXIS_X);
+  }
+
+  up() {
+    return this.rotate(CameraOrientation.AXIS_Z);
+  }
+
+  /**
+   * 欧拉角（与 fromYawPitchRoll 互逆；俯仰 ±90° 时偏航/滚转不唯一）
+   * @returns {{yaw: number, pitch: number, roll: number}}
+   */
+  getYawPitchRoll() {
+    const f = this.forward();
+    const yaw = Math.atan2(-f.x, f.y);
+    const pitch = Math.asin(Math.max(-1, Math.min(1, f.z)));
+    // 滚转：实际 up 相对零滚转 up 绕 forward 的转角
+    const level = CameraOrientation.fromYawPitchRoll(yaw, pitch, 0);
+    const levelUp = level.up();
+    const levelRight = level.right();
+    const u = this.up();
+    const roll = Math.atan2(
+      u.x * levelRight.x + u.y * levelRight.y + u.z * levelRight.z,
+      u.x * levelUp.x + u.y * levelUp.y + u.z * levelUp.z,
+    );
+    return { yaw, pitch, roll };
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * DepthBuffer.js - 逐像素深度缓冲（中眼 / 左眼 / 右眼）
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 每个像素记录最近点的深度（point.dis）与所属点
+ * - 三层：'M'（单眼/2D，xM/yM）、'L'（左眼，xL/yL）、'R'（右眼，xR/yR）
+ * - 记录本帧提交的点列表，供渲染器按点遍历
+ *
+ * 清空为 O(1)：每层用帧戳标记有效像素，帧号递增即视为全部清空，
+ * 避免每帧对全屏数组 fill。
+ *
+ * 无外部依赖
+ * ============================================================================
+ */
+
+export class DepthBuffer {
+
+  static LAYERS = ['M', 'L', 'R'];
+
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {string[]} layers - 启用的层（光源窗口只需 ['M']）
+   */
+  constructor(width, height, layers = DepthBuffer.LAYERS) {
+    this.width = 0;
+    this.height = 0;
+    this.frame = 0;
+    this.layerNames = layers;
+    this.layers = {};
+    this.points = [];
+    this.resize(width, height);
+  }
+
+  resize(width, height) {
+    width = Math.floor(width);
+    height = Math.floor(height);
+    if (width === this.width && height === this.height) return;
+    this.width = width;
+    this.height = height;
+    const size = width * height;
+    for (const name of this.layerNames) {
+      this.layers[name] = {
+        depth: new Float32Array(size),
+        stamp: new Uint32Array(size),
+        owner: new Array(size),
+      };
+    }
+    this.frame = 0;
+    this.clear();
+  }
+
+  /**
+   * 开始新的一帧（O(1)）
+   */
+  clear() {
+    this.frame++;
+    this.points.length = 0;
+  }
+
+  /**
+   * 深度测试并写入
+   * @param {string} layer - 'M' | 'L' | 'R'
+   * @param {number} x, y - 像素坐标
+   * @param {number} depth - 深度（越小越近）
+   * @param {Point} point - 所属点
+   * @returns {boolean} 是否通过（成为该像素当前最近点）
+   */
+  test(layer, x, y, depth, point) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return false;
+    const buffer = this.layers[layer];
+    const index = y * this.width + x;
+    if (buffer.stamp[index] === this.frame && buffer.depth[index] <= depth) {
+      return false;
+    }
+    buffer.stamp[index] = this.frame;
+    buffer.depth[index] = depth;
+    buffer.owner[index] = point;
+    return true;
+  }
+
+  /**
+   * 提交一个已投影的点：中眼层必测，stereo 为真时测左右眼层
+   * @param {Point} point - 需已设置 xM/yM、xL/yL、xR/yR、dis
+   * @param {boolean} stereo
+   */
+  submit(point, stereo) {
+    this.points.push(point);
+    this.test('M', point.xM, point.yM, point.dis, point);
+    if (stereo) {
+      this.test('L', point.xL, point.yL, point.dis, point);
+      this.test('R', point.xR, point.yR, point.dis, point);
+    }
+  }
+
+  /**
+   * 像素当前最近点
+   * @returns {Point|null}
+   */
+  ownerAt(layer, x, y) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return null;
+    const buffer = this.layers[layer];
+    const index = y * this.width + x;
+    return buffer.stamp[index] === this.frame ? buffer.owner[index] : null;
+  }
+
+  /**
+   * 像素当前最近深度（空像素为 Infinity）
+   * @returns {number}
+   */
+  depthAt(layer, x, y) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return Infinity;
+    const buffer = this.layers[layer];
+    const index = y * this.width + x;
+    return buffer.stamp[index] === this.frame ? buffer.depth[index] : Infinity;
+  }
+
+  /**
+   * 点是否在其投影像素上可见（即该像素的最近点）
+   * @param {Point} point
+   * @param {string} layer - 'M' | 'L' | 'R'
+   * @returns {boolean}
+   */
+  isVisible(point, layer) {
+    switch (layer) {
+      case 'L': return this.ownerAt('L', point.xL, point.yL) === point;
+      case 'R': return this.ownerAt('R', point.xR, point.yR) === point;
+      default: return this.ownerAt('M', point.xM, point.yM) === point;
+    }
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * DisplayProfile.js - 显示器物理配置（像素密度、瞳距、观看距离）
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 描述一台显示器与观察者：每厘米像素数（CSS 像素）、整屏分辨率、
+ *   瞳距 eyeD、双眼到屏幕的观看距离，以及各互补色眼镜的串扰校准
+ * - 由配置构建 Window（像素尺寸 → 物理尺寸）
+ * - 配置注册表（DisplayProfileRegistry），按名称保存 / 切换，可整体导出为 JSON
+ *
+ * 校准流程见 render/CalibrationWizard.js
+ *
+ * 依赖：
+ * - Window.js: createWindow
+ * ============================================================================
+ */
+
+import { Window } from "./Window.js";
+
+export class DisplayProfile {
+
+  // 合理取值范围（超出视为校准或存档错误）
+  static LIMITS = {
+    pixelsPerCm: [5, 400],
+    eyeD: [4, 9],
+    viewingDistance: [15, 300],
+  };
+
+  /**
+   * @param {object} options
+   * @param {string} options.name - 注册名
+   * @param {string} options.label - 显示名
+   * @param {number} options.pixelsPerCmX - 横向每厘米 CSS 像素
+   * @param {number} options.pixelsPerCmY - 纵向每厘米 CSS 像素（默认同横向）
+   * @param {number} options.screenWidth - 整屏宽（CSS 像素）
+   * @param {number} options.screenHeight - 整屏高（CSS 像素）
+   * @param {number} options.eyeD - 瞳距（厘米）
+   * @param {number} options.viewingDistance - 双眼到屏幕距离（厘米）
+   * @param {Object<string, {leftToRight, rightToLeft}>} options.crosstalk -
+   *   各眼镜配置的串扰比例（见 AnaglyphProfileRegistry.exportCalibration）
+   */
+  constructor(options) {
+    if (!options?.name) {
+      throw new Error('[DisplayProfile] Profile requires a name');
+    }
+    this.name = options.name;
+    this.label = options.label ?? options.name;
+    this.pixelsPerCmX = DisplayProfile._check('pixelsPerCm', options.pixelsPerCmX);
+    this.pixelsPerCmY = DisplayProfile._check('pixelsPerCm', options.pixelsPerCmY ?? options.pixelsPerCmX);
+    this.screenWidth = options.screenWidth;
+    this.screenHeight = options.screenHeight;
+    if (!(this.screenWidth > 0) || !(this.screenHeight > 0)) {
+      throw new Error(`[DisplayProfile] ${this.name}: invalid screen resolution`);
+    }
+    this.eyeD = DisplayProfile._check('eyeD', options.eyeD ?? 6.3);
+    this.viewingDistance = DisplayProfile._check('viewingDistance', options.viewingDistance ?? 40);
+    this.crosstalk = { ...options.crosstalk };
+  }
+
+  /**
+   * 由整屏物理尺寸构造（原 CONFIG.screenXLengthCm / screenYLengthCm 写法）
+   */
+  static fromScreenSize(options) {
+    return new DisplayProfile({
+      ...options,
+      pixelsPerCmX: options.screenWidth / options.screenXLengthCm,
+      pixelsPerCmY: options.screenHeight / options.screenYLengthCm,
+    });
+  }
+
+  get screenXLengthCm() {
+    return this.screenWidth / this.pixelsPerCmX;
+  }
+
+  get screenYLengthCm() {
+    return this.screenHeight / this.pixelsPerCmY;
+  }
+
+  /**
+   * 像素区域的物理尺寸（厘米）
+   * @returns {{xlength: number, ylength: number}}
+   */
+  physicalSize(width, height) {
+    return { xlength: width / this.pixelsPerCmX, ylength: height / this.pixelsPerCmY };
+  }
+
+  /**
+   * 按本配置构建窗口
+   * @param {number} width - 像素宽
+   * @param {number} height - 像素高
+   * @param {string} name - 窗口名
+   * @param {object} options - 同 Window 构造参数
+   * @returns {Window}
+   */
+  createWindow(width, height, name, options = {}) {
+    const { xlength, ylength } = this.physicalSize(width, height);
+    return new Window(width, height, xlength, ylength, name, options);
+  }
+
+  /**
+   * 按本配置刷新已有窗口的物理尺寸（切换配置时，窗口实例与其状态保留）
+   */
+  resizeWindow(window, width = window.width, height = window.height) {
+    const { xlength, ylength } = this.physicalSize(width, height);
+    window.resizeRefresh(width, height, xlength, ylength);
+    return window;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      label: this.label,
+      pixelsPerCmX: this.pixelsPerCmX,
+      pixelsPerCmY: this.pixelsPerCmY,
+      screenWidth: this.screenWidth,
+      screenHeight: this.screenHeight,
+      eyeD: this.eyeD,
+      viewingDistance: this.viewingDistance,
+      crosstalk: { ...this.crosstalk },
+    };
+  }
+
+  static _check(key, value) {
+    const [min, max] = DisplayProfile.LIMITS[key];
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`[DisplayProfile] ${key} out of range [${min}, ${max}]: ${value}`);
+    }
+    return value;
+  }
+}
+
+// ============================================================================
+// 配置注册表
+// ============================================================================
+
+export class DisplayProfileRegistry {
+
+  static DEFAULT = 'laptop-31cm';
+
+  static _profiles = new Map();
+  // 内置配置名（不可删除）
+  static _builtin = new Set();
+
+  /**
+   * 注册（或覆盖）一个配置
+   * @param {DisplayProfile|object} profile
+   * @returns {DisplayProfile}
+   */
+  static register(profile) {
+    const instance = profile instanceof DisplayProfile ? profile : new DisplayProfile(profile);
+    DisplayProfileRegistry._profiles.set(instance.name, instance);
+    return instance;
+  }
+
+  /**
+   * 获取配置，未知名称回退到默认配置
+   * @param {string} name
+   * @returns {DisplayProfile}
+   */
+  static get(name) {
+    const profile = DisplayProfileRegistry._profiles.get(name);
+    if (profile) return profile;
+    console.warn(`[DisplayProfile] Unknown profile: ${name}, using ${DisplayProfileRegistry.DEFAULT}`);
+    return DisplayProfileRegistry._profiles.get(DisplayProfileRegistry.DEFAULT);
+  }
+
+  static has(name) {
+    return DisplayProfileRegistry._profiles.has(name);
+  }
+
+  static names() {
+    return Array.from(DisplayProfileRegistry._profiles.keys());
+  }
+
+  /**
+   * 按注册顺序取下一个配置名（用于键盘循环切换）
+   */
+  static next(name) {
+    const names = DisplayProfileRegistry.names();
+    const index = names.indexOf(name);
+    return names[(index + 1) % names.length];
+  }
+
+  /**
+   * 删除用户配置（内置配置不可删除）
+   * @returns {boolean}
+   */
+  static remove(name) {
+    if (DisplayProfileRegistry._builtin.has(name)) {
+      throw new Error(`[DisplayProfile] Cannot remove built-in profile: ${name}`);
+    }
+    return DisplayProfileRegistry._profiles.delete(name);
+  }
+
+  /**
+   * 导出全部配置（内置配置也导出，以保留其上的串扰校准）
+   * @returns {object[]}
+   */
+  static exportProfiles() {
+    return Array.from(DisplayProfileRegistry._profiles.values(), profile => profile.toJSON());
+  }
+
+  /**
+   * 导入配置，无效项跳过
+   * @param {object[]} data
+   */
+  static importProfiles(data) {
+    for (const options of data ?? []) {
+      try {
+        DisplayProfileRegistry.register(options);
+      } catch (error) {
+        console.warn(`[DisplayProfile] Skipping invalid profile: ${error.message}`);
+      }
+    }
+  }
+}
+
+// ━━━ 内置配置 ━━━
+// 原 CONFIG 硬编码的 31 cm 笔记本面板（1920 × 1080 对应 31.0 × 17.4 cm）
+DisplayProfileRegistry.register(DisplayProfile.fromScreenSize({
+  name: 'laptop-31cm',
+  label: '31 cm 笔记本',
+  screenWidth: 1920,
+  screenHeight: 1080,
+  screenXLengthCm: 31.0,
+  screenYLengthCm: 17.4,
+  eyeD: 6.3,
+  viewingDistance: 40,
+}));
+DisplayProfileRegistry._builtin.add('laptop-31cm');
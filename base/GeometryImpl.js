@@ -553,6 +553,48 @@ export class GeometryImpl {
     return { edges, adjacency };
   }
 
+  /**
+   * 由三角形与边列表重建邻接表和 edgeToTriangles（场景文件只保存这两个列表）
+   * @param {number[][]} triangles
+   * @param {number[][]} edges
+   * @param {number} vertexCount
+   * @returns {{triangles, edges, adjacency, edgeToTriangles}}
+   */
+  static rebuildTopology(triangles, edges, vertexCount) {
+    const edgeSet = new Set();
+    const adjacency = new Map();
+
+    for (let i = 0; i < vertexCount; i++) {
+      adjacency.set(i, []);
+    }
+
+    for (const [i, j] of edges) {
+      GeometryImpl._addEdge(edgeSet, adjacency, i, j);
+    }
+
+    const edgeToTriangles = new Map();
+    for (const key of edgeSet) {
+      edgeToTriangles.set(key, [-1, -1]);
+    }
+
+    for (let triIndex = 0; triIndex < triangles.length; triIndex++) {
+      const [a, b, c] = triangles[triIndex];
+      for (const key of [
+        GeometryImpl.makeEdgeKey(a, b),
+        GeometryImpl.makeEdgeKey(b, c),
+        GeometryImpl.makeEdgeKey(a, c)
+      ]) {
+        const pair = edgeToTriangles.get(key);
+        if (pair) {
+          if (pair[0] === -1) pair[0] = triIndex;
+          else if (pair[1] === -1) pair[1] = triIndex;
+        }
+      }
+    }
+
+    return { triangles, edges, adjacency, edgeToTriangles };
+  }
+
   // ==========================================================================
   // 包围盒与中心
   // ==========================================================================
@@ -0,0 +1,356 @@
+/**
+ * Light.js - 光源与光源注册表
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 描述一个光源：点光源 / 平行光 / 聚光灯，各自的颜色、强度与衰减
+ * - 每个光源持有一个隐藏的光源 Window，从光源视角计算反射向量
+ * - 注册表（LightRegistry）管理场景内的全部光源，主窗口据此逐光源累加亮度
+ *
+ * 光照流程：
+ * 1. Light.update：光源窗口 calculate(light = 1.0)，
+ *    Window.handleAPointSpecific 把本光源的反射向量写入 point.lightContribs[id]
+ *    （已乘 factorAt：强度 × 距离衰减 × 聚光锥）
+ * 2. 阴影：光源窗口带深度缓冲（仅 M 层），每个点在光源视角下
+ *    与周围 (2r+1)² 像素的最近深度比较（PCF），不被遮挡的比例写入 slot.visibility
+ * 3. 主窗口 calculate（window.lights = registry.list()），
+ *    handleAPointSpecific 对每个光源的反射分量求和，得到 point.light / point.tint / point.shadow
+ *
+ * 依赖：
+ * - Window.js: 光源窗口
+ * - Vector.js: 光源方向
+ * ============================================================================
+ */
+
+import { Window } from "./Window.js";
+import { Vector } from "./Vector.js";
+
+export class Light {
+
+  static TYPES = ['point', 'directional', 'spot'];
+
+  // 光源窗口相机沿光线方向后退距离（与原 updateLight 一致）
+  static CAMERA_OFFSET = 5;
+  // 平行光的光源窗口放在目标点逆光方向的距离（厘米）
+  static DIRECTIONAL_DISTANCE = 100;
+  // 光线方向 |z| 超过该值视为竖直（见 _aim）
+  static VERTICAL_LIMIT = 0.9999;
+
+  // 阴影默认参数：bias（厘米）避免表面自遮挡，radius（像素）为 PCF 半径
+  static SHADOW_DEFAULTS = { enabled: true, bias: 0.5, radius: 1 };
+
+  static _nextId = 1;
+
+  /**
+   * @param {object} options
+   * @param {string} options.type - 'point' | 'directional' | 'spot'（默认 'point'）
+   * @param {string} options.name - 显示名
+   * @param {{x, y, z}} options.position - 光源位置（point / spot）
+   * @param {{x, y, z}} options.direction - 光线方向（directional 必填；spot 缺省时指向目标点）
+   * @param {{x, y, z}} options.target - 照射目标（缺省用 update 传入的场景目标）
+   * @param {number[]} options.color - RGB（0-255，默认白色）
+   * @param {number} options.intensity - 强度（默认 1.0）
+   * @param {number} options.falloff - 距离衰减系数 k：1 / (1 + k·d²)（默认 0，不衰减）
+   * @param {number} options.innerAngle - 聚光锥内角（弧度，全亮）
+   * @param {number} options.outerAngle - 聚光锥外角（弧度，之外为 0）
+   * @param {{enabled, bias, radius}} options.shadow - 阴影参数（见 SHADOW_DEFAULTS）
+   */
+  constructor(options = {}) {
+    const type = options.type ?? 'point';
+    if (!Light.TYPES.includes(type)) {
+      throw new Error(`[Light] Unknown light type: ${type}`);
+    }
+    if (type === 'directional' && !options.direction) {
+      throw new Error('[Light] Directional light requires a direction');
+    }
+
+    this.id = Light._nextId++;
+    this.type = type;
+    this.name = options.name ?? `${type}-${this.id}`;
+    this.position = { x: 0, y: 0, z: 0, ...options.position };
+    this.direction = options.direction ? Light._normalize(options.direction) : null;
+    this.target = options.target ?? null;
+    this.color = options.color ?? [255, 255, 255];
+    this.intensity = options.intensity ?? 1.0;
+    this.falloff = options.falloff ?? 0;
+    this.innerAngle = options.innerAngle ?? Math.PI / 8;
+    this.outerAngle = options.outerAngle ?? Math.PI / 6;
+    this.enabled = options.enabled ?? true;
+    this.shadow = { ...Light.SHADOW_DEFAULTS, ...options.shadow };
+
+    this.window = null;
+    // 本帧光线方向（单位向量，从光源指向目标）
+    this._axis = { x: 0, y: 0, z: 1 };
+  }
+
+  /**
+   * 是否为白光（白光不改变点的颜色）
+   */
+  get isWhite() {
+    return this.color[0] === 255 && this.color[1] === 255 && this.color[2] === 255;
+  }
+
+  /**
+   * 创建或按尺寸重建光源窗口
+   */
+  ensureWindow(width, height, xlength, ylength) {
+    if (this.window &&
+      this.window.width === width && this.window.height === height &&
+      this.window.xlength === xlength && this.window.ylength === ylength) {
+      return this.window;
+    }
+    this.window = new Window(width, height, xlength, ylength, `light:${this.name}`, {
+      depthBuffer: true,
+      depthLayers: ['M'],
+    });
+    this.window.lightSource = this;
+    return this.window;
+  }
+
+  /**
+   * 从光源视角计算反射向量（需已调用 ensureWindow）
+   * @param {Object[]} objects - 场景物体
+   * @param {Object[]} otherObjects - 附加物体
+   * @param {{x, y, z}} sceneTarget - 缺省照射目标
+   */
+  update(objects, otherObjects, sceneTarget) {
+    if (!this.window) {
+      throw new Error(`[Light] ${this.name}: call ensureWindow() before update()`);
+    }
+    const target = this.target ?? sceneTarget;
+    const lightDir = new Vector(0, 0, 0);
+    let camPos;
+
+    if (this.type === 'directional') {
+      // 平行光：光源窗口放在目标点逆光方向远处
+      const d = this.direction;
+      const far = Light.DIRECTIONAL_DISTANCE;
+      Light._aim(lightDir, target.x - d.x * far, target.y - d.y * far, target.z - d.z * far, target);
+      camPos = lightDir.getPoint(0);
+    } else {
+      const p = this.position;
+      if (this.type === 'spot' && this.direction) {
+        const d = this.direction;
+        Light._aim(lightDir, p.x, p.y, p.z, { x: p.x + d.x, y: p.y + d.y, z: p.z + d.z });
+      } else {
+        Light._aim(lightDir, p.x, p.y, p.z, target);
+      }
+      camPos = lightDir.getPoint(-Light.CAMERA_OFFSET);
+    }
+
+    this._axis = { x: lightDir.x, y: lightDir.y, z: lightDir.z };
+    this.window.calculate(camPos, 0, lightDir, objects, 1.0, otherObjects);
+    this._computeShadows();
+  }
+
+  /**
+   * 阴影可见比例（PCF）：写入各点本光源槽位的 visibility
+   * 关闭阴影时全部置 1
+   */
+  _computeShadows() {
+    const window = this.window;
+    const buffer = window.depthBuffer;
+    const id = this.id;
+    const enabled = this.shadow.enabled;
+
+    const apply = (point, x, y, depth) => {
+      const slot = point.lightContribs?.[id];
+      if (!slot) return;
+      slot.visibility = enabled ? this.visibilityAt(buffer, x, y, depth) : 1;
+    };
+
+    for (const point of buffer.points) {
+      apply(point, point.xM, point.yM, point.dis);
+    }
+    // 网格顶点不进深度缓冲（见 Window.calculateMeshVertices），按亚像素投影取样
+    for (const object of window.meshObjects) {
+      const vertices = object.constructionPoints;
+      for (let i = 0; i < vertices.length; i++) {
+        const proj = vertices[i].proj;
+        if (!proj?.valid) continue;
+        apply(vertices[i], Math.floor(proj.xM), Math.floor(proj.y), proj.dis);
+      }
+    }
+  }
+
+  /**
+   * 光源深度缓冲中某像素周围的未遮挡比例
+   * 样本最近深度 ≥ depth - bias 视为未遮挡，空像素视为未遮挡
+   * @returns {number} 0-1
+   */
+  visibilityAt(buffer, x, y, depth) {
+    const { bias, radius } = this.shadow;
+    const threshold = depth - bias;
+    let lit = 0;
+    let total = 0;
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        total++;
+        if (buffer.depthAt('M', x + dx, y + dy) >= threshold) lit++;
+      }
+    }
+    return lit / total;
+  }
+
+  /**
+   * 本光源对某点的强度系数：强度 × 距离衰减 × 聚光锥
+   * @param {{x, y, z}} point
+   * @returns {number}
+   */
+  factorAt(point) {
+    if (this.type === 'directional') {
+      return this.intensity;
+    }
+    const dx = point.x - this.position.x;
+    const dy = point.y - this.position.y;
+    const dz = point.z - this.position.z;
+    const dd = dx * dx + dy * dy + dz * dz;
+    let factor = this.intensity / (1 + this.falloff * dd);
+
+    if (this.type === 'spot') {
+      const d = Math.sqrt(dd);
+      if (d < 1e-10) return factor;
+      const axis = this._axis;
+      const cos = (dx * axis.x + dy * axis.y + dz * axis.z) / d;
+      const cosOuter = Math.cos(this.outerAngle);
+      const cosInner = Math.cos(this.innerAngle);
+      if (cos <= cosOuter) return 0;
+      if (cos < cosInner) {
+        // smoothstep 过渡，锥边缘不出现硬边
+        const t = (cos - cosOuter) / (cosInner - cosOuter);
+        factor *= t * t * (3 - 2 * t);
+      }
+    }
+    return factor;
+  }
+
+  /**
+   * 随场景节点移动：p' = position + rotation · (scale · (p - origin))
+   * 作用于位置与照射目标，光线方向只随旋转（见 manage/World.js）
+   * @param {{origin, rotation, scale, position}} transform - 同 Object.applyTransform
+   */
+  applyTransform(transform) {
+    const { origin, rotation, position } = transform;
+    const scale = transform.scale ?? 1;
+    const place = (p) => {
+      const r = rotation.rotate({ x: (p.x - origin.x) * scale, y: (p.y - origin.y) * scale, z: (p.z - origin.z) * scale });
+      return { x: position.x + r.x, y: position.y + r.y, z: position.z + r.z };
+    };
+    this.position = place(this.position);
+    if (this.target) this.target = place(this.target);
+    if (this.direction) this.direction = Light._normalize(rotation.rotate(this.direction));
+  }
+
+  /**
+   * 光源窗口朝向：Window 的横轴由 direction × (0, 0, 1) 得到，
+   * 竖直朝向会退化为零向量，这里把目标点沿 +Y 微移
+   */
+  static _aim(lightDir, x, y, z, to) {
+    lightDir.normalInit(x, y, z, to.x, to.y, to.z);
+    if (Math.abs(lightDir.z) > Light.VERTICAL_LIMIT) {
+      const l = Math.sqrt((to.x - x) ** 2 + (to.y - y) ** 2 + (to.z - z) ** 2);
+      lightDir.normalInit(x, y, z, to.x, to.y + l * 0.01, to.z);
+    }
+  }
+
+  static _normalize(v) {
+    const l = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    if (l < 1e-10) {
+      throw new Error('[Light] Direction must be non-zero');
+    }
+    return { x: v.x / l, y: v.y / l, z: v.z / l };
+  }
+}
+
+// ============================================================================
+// LightRegistry 类
+// ============================================================================
+export class LightRegistry {
+
+  constructor() {
+    this._lights = new Map();
+    this._windowSize = null;
+  }
+
+  /**
+   * 添加光源（可传 Light 或构造参数）
+   * @returns {Light}
+   */
+  add(light) {
+    const entry = light instanceof Light ? light : new Light(light);
+    this._lights.set(entry.id, entry);
+    if (this._windowSize) {
+      const { width, height, xlength, ylength } = this._windowSize;
+      entry.ensureWindow(width, height, xlength, ylength);
+    }
+    return entry;
+  }
+
+  /**
+   * 移除光源（id 不复用，点上残留的旧反射分量不会被新光源误读）
+   * @param {Light|number} lightOrId
+   * @returns {boolean}
+   */
+  remove(lightOrId) {
+    const id = lightOrId instanceof Light ? lightOrId.id : lightOrId;
+    return this._lights.delete(id);
+  }
+
+  get(id) {
+    return this._lights.get(id) ?? null;
+  }
+
+  findByName(name) {
+    for (const light of this._lights.values()) {
+      if (light.name === name) return light;
+    }
+    return null;
+  }
+
+  clear() {
+    this._lights.clear();
+  }
+
+  /**
+   * 已启用的光源
+   * @returns {Light[]}
+   */
+  list() {
+    return [...this._lights.values()].filter(light => light.enabled);
+  }
+
+  /**
+   * 全部光源（含未启用，按添加顺序）
+   * @returns {Light[]}
+   */
+  all() {
+    return [...this._lights.values()];
+  }
+
+  get size() {
+    return this._lights.size;
+  }
+
+  /**
+   * 设置光源窗口尺寸（初始化与画布 resize 时调用）
+   */
+  resize(width, height, xlength, ylength) {
+    this._windowSize = { width, height, xlength, ylength };
+    for (const light of this._lights.values()) {
+      light.ensureWindow(width, height, xlength, ylength);
+    }
+  }
+
+  /**
+   * 所有启用光源各自计算一次光源窗口
+   */
+  update(objects, otherObjects, sceneTarget) {
+    for (const light of this.list()) {
+      light.update(objects, otherObjects, sceneTarget);
+    }
+  }
+}
@@ -64,6 +64,10 @@ class SimpleFitCache {
 // ============================================================================
 export class Object {
 
+  // LOD：最多生成的降级层数，以及每级最少点数
+  static LOD_MAX_LEVEL = 6;
+  static LOD_MIN_POINTS = 64;
+
   constructor(points = [], options = {}) {
     // ━━━ 阶段1修改：支持点云/朴素对象 ━━━
     // 传入的 points 作为 displayPoints（用于渲染）
@@ -71,7 +75,14 @@ export class Object {
 
     // ━━━ 显示点（用于视觉渲染）━━━
     if (points.length > 0) {
-      this.displayPoints = points.map(p => new Point(p.x, p.y, p.z));
+      this.displayPoints = points.map(p => {
+        const dp = new Point(p.x, p.y, p.z);
+        // 保留逐点颜色（带 RGB 的点云）
+        if (p.color) dp.color = p.color;
+        // 保留逐点标量（外部数据自带的测量值等）
+        if (Number.isFinite(p.scalar)) dp.scalar = p.scalar;
+        return dp;
+      });
     } else {
       this.displayPoints = [];
     }
@@ -107,6 +118,15 @@ export class Object {
     this.center = options.center ?? GeometryImpl.computeCenter(this._extractPositions(this.controlPoints));
     this._boundingBox = null;
     this._boundingBoxDirty = true;
+    this._boundingSphere = null;
+
+    // 观察者窗口最近一次 calculate 的剔除结果（null = 尚未计算），
+    // 渲染器与光源窗口据此跳过看不见的物体（见 Window.calculate）
+    this.visibleLastFrame = null;
+
+    // 显示点细节层次缓存，以及观察者窗口最近一次选定的级别（0 = 全量）
+    this._lodLevels = null;
+    this.lodLevel = 0;
 
     // ━━━ representation ━━━
     this.representation = {
@@ -1322,6 +1342,8 @@ export class Object {
     const physicsModel = options.physicsModel ?? this.representation.physicsState.physicsModel ?? this.physics.model ?? 'pbd';
     const spacing = options.spacing ?? GeometryImpl.DEFAULT_SPACING_VOLUMETRIC;
     const knn = options.knn ?? 10;
+    // keepEdges: 沿用 topology 中已有的内部边与皮骨边（读取场景时由文件恢复），不按当前位置重新搜索
+    const keepEdges = options.keepEdges ?? false;
 
     // 从 constructionPoints 获取内部点位置
     const internalPointsArray = this.internalPoints;  // 使用 getter
@@ -1330,7 +1352,7 @@ export class Object {
     const surfacePositions = this._extractPositions(this.surfacePoints);
 
     // 构建内部拓扑和皮骨拓扑
-    if (internalPositions.length > 0) {
+    if (internalPositions.length > 0 && !keepEdges) {
       const internalTopology = GeometryImpl.buildInternalTopology(
         internalPositions,
         this._surfaceBoundary,
@@ -1921,6 +1943,84 @@ export class Object {
     }
   }
 
+  // ==========================================================================
+  // 编辑快照（撤销 / 重做，见 manage/CommandHistory.js）
+  // ==========================================================================
+
+  /**
+   * 记录点集的当前顺序与部分点的坐标
+   *
+   * 点编辑会交换（Swap-to-End）、插入或删除数组元素，因此保存整个数组的 Point 引用；
+   * 坐标只记录本次改动的点。控制点编辑在非体积模式下会整体替换拓扑
+   * （_clearTopologyAndCache），因此同时保存拓扑对象的引用
+   * @param {'control'|'surface'} kind - controlPoints 或表面建构点
+   * @param {Point[]} touched - 需要记录坐标的点
+   * @returns {{kind, points: Point[], order: Point[], coords: Array, topology: object|null}}
+   */
+  capturePoints(kind, touched = []) {
+    const points = kind === 'control' ? this.controlPoints : this.constructionPoints;
+    return {
+      kind,
+      points,
+      order: points.slice(),
+      coords: touched.map(p => [p, p.x, p.y, p.z]),
+      topology: kind === 'control' ? this.representation.topology : null,
+    };
+  }
+
+  /**
+   * 恢复 capturePoints 的快照，并按点集类型使缓存失效
+   *
+   * - control：拟合缓存与增量拟合栈清空，非体积模式下几何量缓存清空、拓扑恢复为快照时的拓扑；
+   *   球谐表面重新拟合，离散体积网格同步约束静止长度（同 updateControlPoint）
+   * - surface：几何量缓存清空，离散模式下粒子位置同步（同 updateSurfacePoint）
+   * @returns {boolean} 点数组已被替换（如重新生成体积网格）时返回 false
+   */
+  restorePoints(snapshot, options = {}) {
+    const { kind, points, order, coords, topology } = snapshot;
+    const current = kind === 'control' ? this.controlPoints : this.constructionPoints;
+    if (current !== points) return false;
+
+    points.length = order.length;
+    for (let i = 0; i < order.length; i++) {
+      points[i] = order[i];
+    }
+    for (const [point, x, y, z] of coords) {
+      point.x = x;
+      point.y = y;
+      point.z = z;
+    }
+    this._fitStack = [];
+
+    if (kind === 'control') {
+      this._onControlPointsChanged();
+      if (topology) this.representation.topology = topology;
+      if ((options.autoRefit ?? true) && this.representation.type === 'sphericalHarmonics') {
+        this._autoRefit();
+      }
+      if ((options.updatePhysics ?? true) && this._isVolumetric && this.mode === 'discrete') {
+        this.updatePhysicsGeometry();
+      }
+    } else {
+      for (const [point, x, y, z] of coords) {
+        if (!point._physicsData) continue;
+        const { position, prevPosition } = point._physicsData;
+        position.x = prevPosition.x = x;
+        position.y = prevPosition.y = y;
+        position.z = prevPosition.z = z;
+      }
+      this._fitCache.clear();
+      this.representation.geometryCache = {
+        volume: null,
+        surfaceArea: null,
+        sections: new Map()
+      };
+      this.metadata.modified = Date.now();
+    }
+    this.invalidateBounds();
+    return true;
+  }
+
   // ==========================================================================
   // 几何量
   // ==========================================================================
@@ -2059,6 +2159,457 @@ export class Object {
     return this._boundingBox;
   }
 
+  /**
+   * 包围球（整物体剔除与 LOD 选级用）：球心取包围盒中心，半径覆盖全部显示点与建构点
+   *
+   * 包围盒只统计表面建构点，显示点（拟合曲面采样）可能超出，先并入全部点再取中心。
+   * 缓存随包围盒重算（_boundingBoxDirty）或显示点 / 建构点版本变化失效；
+   * 绕过 Object 方法直接改写点坐标时需调用 invalidateBounds()
+   * @returns {{center: {x, y, z}, radius: number}}
+   */
+  getBoundingSphere() {
+    const box = this.getBoundingBox();
+    const cache = this._boundingSphere;
+    if (cache &&
+      cache.box === box &&
+      cache.displayPoints === this.displayPoints &&
+      cache.displayCount === this.displayPoints.length &&
+      cache.displayVersion === this._displayPointVersion &&
+      cache.constructionPoints === this.constructionPoints &&
+      cache.constructionCount === this.constructionPoints.length &&
+      cache.constructionVersion === this._constructionPointVersion) {
+      return cache.sphere;
+    }
+
+    // 包围盒并入全部点后取中心
+    const min = { ...box.min };
+    const max = { ...box.max };
+    const sources = [this.displayPoints, this.constructionPoints];
+    for (const points of sources) {
+      for (const p of points) {
+        if (p.x < min.x) min.x = p.x;
+        if (p.y < min.y) min.y = p.y;
+        if (p.z < min.z) min.z = p.z;
+        if (p.x > max.x) max.x = p.x;
+        if (p.y > max.y) max.y = p.y;
+        if (p.z > max.z) max.z = p.z;
+      }
+    }
+    const center = {
+      x: (min.x + max.x) / 2,
+      y: (min.y + max.y) / 2,
+      z: (min.z + max.z) / 2,
+    };
+    let maxSq = 0;
+    for (const points of sources) {
+      for (const p of points) {
+        const dx = p.x - center.x;
+        const dy = p.y - center.y;
+        const dz = p.z - center.z;
+        const dd = dx * dx + dy * dy + dz * dz;
+        if (dd > maxSq) maxSq = dd;
+      }
+    }
+
+    const sphere = { center, radius: Math.sqrt(maxSq) };
+    this._boundingSphere = {
+      sphere,
+      box,
+      displayPoints: this.displayPoints,
+      displayCount: this.displayPoints.length,
+      displayVersion: this._displayPointVersion,
+      constructionPoints: this.constructionPoints,
+      constructionCount: this.constructionPoints.length,
+      constructionVersion: this._constructionPointVersion,
+    };
+    return sphere;
+  }
+
+  /**
+   * 标记包围盒 / 包围球失效（外部直接改写点坐标后调用）
+   */
+  invalidateBounds() {
+    this._boundingBoxDirty = true;
+    this._boundingSphere = null;
+  }
+
+  // ==========================================================================
+  // 相似变换（场景节点移动，见 manage/World.js）
+  // ==========================================================================
+
+  /**
+   * 整体施加 p' = position + rotation · (scale · (p - origin))
+   *
+   * 显示点、控制点、建构点与物理粒子（位置、上一步位置、速度、形状匹配静止偏移）一起变换，
+   * 法向量随旋转；距离约束静止长度与球谐系数随缩放。
+   * 旋转后球谐系数不再描述表面：有拟合器实例时按新控制点重新拟合，否则保留旧系数并告警；
+   * 二维椭圆傅里叶轮廓不支持旋转
+   *
+   * @param {object} transform
+   * @param {{x, y, z}} transform.origin - 变换前的参考点
+   * @param {CameraOrientation} transform.rotation - 单位四元数（需提供 rotate(v)）
+   * @param {number} transform.scale - 均匀缩放（默认 1）
+   * @param {{x, y, z}} transform.position - 参考点变换后的位置
+   */
+  applyTransform(transform) {
+    const { origin, rotation, position } = transform;
+    const scale = transform.scale ?? 1;
+    if (!(scale > 0)) {
+      throw new Error(`[Object] applyTransform requires a positive scale, got ${scale}`);
+    }
+    const rotates = Math.abs(rotation.w) < 1 - 1e-12;
+
+    // 同一坐标对象可能被多处引用（parametric 模式下建构点即控制点，表面粒子共享 _physicsData）
+    const moved = new Set();
+    const place = (v) => {
+      if (!v || moved.has(v)) return;
+      moved.add(v);
+      const r = rotation.rotate({ x: (v.x - origin.x) * scale, y: (v.y - origin.y) * scale, z: (v.z - origin.z) * scale });
+      v.x = position.x + r.x;
+      v.y = position.y + r.y;
+      v.z = position.z + r.z;
+    };
+    const turn = (v, factor = 1) => {
+      if (!v || moved.has(v)) return;
+      moved.add(v);
+      const r = rotation.rotate(v);
+      v.x = r.x * factor;
+      v.y = r.y * factor;
+      v.z = r.z * factor;
+    };
+    const turnNormal = (p) => {
+      const r = rotation.rotate({ x: p.nx, y: p.ny, z: p.nz });
+      p.nx = r.x;
+      p.ny = r.y;
+      p.nz = r.z;
+    };
+
+    for (const points of [this.displayPoints, this.controlPoints, this.constructionPoints]) {
+      for (const p of points) {
+        if (moved.has(p)) continue;
+        place(p);
+        if (rotates) turnNormal(p);
+        if (p._physicsData) {
+          place(p._physicsData.position);
+          place(p._physicsData.prevPosition);
+          turn(p._physicsData.velocity, scale);
+        }
+      }
+    }
+
+    const physicsState = this.representation.physicsState;
+    for (const particle of physicsState?.particles ?? []) {
+      place(particle.position);
+      place(particle.prevPosition);
+      turn(particle.velocity, scale);
+      turn(particle._shapeMatchingData?.restOffset, scale);
+      if (rotates && particle.nx !== undefined) turnNormal(particle);
+    }
+    if (scale !== 1) {
+      for (const c of physicsState?.constraints ?? []) {
+        if (typeof c.restLength === 'number') c.restLength *= scale;
+        if (typeof c.distance === 'number') c.distance *= scale;
+      }
+    }
+
+    if (this.center) {
+      const c = { ...this.center };
+      place(c);
+      this.center = c;
+    }
+    this._centerVersion++;
+
+    const data = this.representation.data;
+    if (data?.coefficients && scale !== 1) {
+      const coefficients = data.coefficients;
+      for (let i = 0; i < coefficients.length; i++) coefficients[i] *= scale;
+    }
+
+    // 拟合缓存、增量拟合栈与几何量都基于旧坐标
+    this._controlPointVersion++;
+    this._fitCache.clear();
+    this._fitStack = [];
+    this._fitStackX = [];
+    this._fitStackY = [];
+    this._collider = null;
+    this.representation.geometryCache = {
+      volume: null,
+      surfaceArea: null,
+      sections: new Map()
+    };
+
+    if (rotates && data?.sphericalHarmonics) {
+      if (this._fitterInstance) {
+        this._autoRefit();
+      } else {
+        console.warn(`[Object] ${this.metadata.name}: rotated without a fitter, spherical harmonics coefficients are stale`);
+      }
+    } else if (rotates && this.representation.type === 'elliptic-fourier-2d') {
+      console.warn(`[Object] ${this.metadata.name}: elliptic Fourier contours do not support rotation`);
+    }
+
+    this.invalidateBounds();
+    this.metadata.modified = Date.now();
+  }
+
+  // ==========================================================================
+  // 细节层次（LOD）
+  // ==========================================================================
+
+  /**
+   * 渲染点的细节层次：第 k 级取每 2^k 个点中的一个（全量、1/2、1/4……）
+   *
+   * 黄金螺旋采样与随机点云按步长抽取后仍近似均匀，各级共享同一批 Point 实例；
+   * 点数不足 LOD_MIN_POINTS 的级别不再生成。
+   * 无显示点时以建构点为源（与 Window 的回退一致）；缓存随源数组与版本失效
+   * @returns {Point[][]} 第 0 级为全量
+   */
+  getLodLevels() {
+    const useDisplay = this.displayPoints.length > 0;
+    const source = useDisplay ? this.displayPoints : this.constructionPoints;
+    const version = useDisplay ? this._displayPointVersion : this._constructionPointVersion;
+    const cache = this._lodLevels;
+    if (cache && cache.source === source && cache.count === source.length && cache.version === version) {
+      return cache.levels;
+    }
+
+    const levels = [source];
+    for (let k = 1; k <= Object.LOD_MAX_LEVEL; k++) {
+      const stride = 1 << k;
+      if (source.length / stride < Object.LOD_MIN_POINTS) break;
+      const level = [];
+      for (let i = 0; i < source.length; i += stride) {
+        level.push(source[i]);
+      }
+      levels.push(level);
+    }
+    this._lodLevels = { source, count: source.length, version, levels };
+    return levels;
+  }
+
+  /**
+   * 某一级的渲染点（级别超出范围时取最近的已有级别）
+   * @param {number} level - 0 = 全量
+   * @returns {Point[]}
+   */
+  getRenderPoints(level = 0) {
+    const levels = this.getLodLevels();
+    return levels[Math.max(0, Math.min(level, levels.length - 1))];
+  }
+
+  // ==========================================================================
+  // 序列化（场景文件，见 manage/SceneSerializer.js）
+  // ==========================================================================
+
+  /**
+   * 可 JSON 化的完整状态
+   *
+   * 点集存为扁平坐标数组；拓扑存三角形、边与体积网格的内部边、皮骨边（邻接表读取时重建）；
+   * representation.data 中的球谐函数实例不可序列化，记为 sphericalHarmonics: true，
+   * 读取时由调用方注入；材料属性函数（material.properties）不保存。
+   * 离散模式额外保存约束静止长度与粒子速度，读取时按保存的边重建物理拓扑
+   * （约束顺序与保存时一致）后写回
+   * @returns {object}
+   */
+  serialize() {
+    const rep = this.representation;
+    const sameConstruction = this.constructionPoints === this.controlPoints;
+    const physicsState = rep.physicsState;
+    const discrete = this.mode === 'discrete' && physicsState?.particles?.length > 0;
+
+    return {
+      metadata: { ...this.metadata },
+      mode: discrete ? 'discrete' : 'parametric',
+      center: this.center ? { x: this.center.x, y: this.center.y, z: this.center.z } : null,
+      displayPoints: Object._serializePoints(this.displayPoints),
+      controlPoints: Object._serializePoints(this.controlPoints),
+      constructionPoints: sameConstruction ? null : Object._serializePoints(this.constructionPoints),
+      surfaceCount: this._surfaceBoundary,
+      representation: {
+        type: rep.type,
+        isClosed: rep.isClosed,
+        data: Object._plain(rep.data, ['sphericalHarmonics']),
+        sphericalHarmonics: !!rep.data?.sphericalHarmonics,
+        topology: {
+          triangles: rep.topology.triangles.map(t => [t[0], t[1], t[2]]),
+          edges: rep.topology.edges.map(e => [e[0], e[1]]),
+          internalEdges: (rep.topology.internalEdges ?? []).map(e => [e[0], e[1]]),
+          skinBoneEdges: (rep.topology.skinBoneEdges ?? []).map(e => [e[0], e[1]]),
+        },
+        clothConfig: Object._plain(rep.clothConfig),
+        lineConfig: Object._plain(rep.lineConfig),
+        efdConfig: Object._plain(rep.efdConfig),
+        fixedIndices: [...rep.fixedIndices],
+        metadata: Object._plain(rep.metadata),
+      },
+      physics: {
+        enabled: this.physics.enabled,
+        mass: this.physics.mass,
+        velocity: { ...this.physics.velocity },
+        model: this.physics.model,
+      },
+      physicsState: discrete ? {
+        physicsModel: physicsState.physicsModel,
+        restLengths: physicsState.constraints.map(c => c.restLength ?? null),
+        velocities: Object._flatten(physicsState.particles.map(p => p.velocity)),
+      } : null,
+    };
+  }
+
+  /**
+   * 由 serialize() 的结果重建物体
+   * @param {object} data
+   * @param {object} options
+   * @param {object} options.sphericalHarmonics - 球谐函数实例（data 含球谐表面时必需）
+   * @returns {Object}
+   */
+  static deserialize(data, options = {}) {
+    const rep = data.representation;
+    if (rep.sphericalHarmonics && !options.sphericalHarmonics) {
+      throw new Error(`[Object] ${data.metadata?.name}: missing required option: sphericalHarmonics`);
+    }
+
+    const controlPoints = Object._deserializePoints(data.controlPoints);
+    const object = new Object([], {
+      controlPoints,
+      center: data.center ?? undefined,
+      name: data.metadata?.name,
+      physicsModel: data.physics?.model,
+    });
+    object.displayPoints = Object._deserializePoints(data.displayPoints);
+    if (data.constructionPoints) {
+      object.constructionPoints = Object._deserializePoints(data.constructionPoints);
+    }
+    object._surfaceBoundary = data.surfaceCount;
+
+    const target = object.representation;
+    target.type = rep.type;
+    target.isClosed = rep.isClosed;
+    target.data = rep.data ? { ...rep.data } : null;
+    if (rep.sphericalHarmonics) {
+      target.data.sphericalHarmonics = options.sphericalHarmonics;
+    }
+    const topology = GeometryImpl.rebuildTopology(
+      rep.topology.triangles,
+      rep.topology.edges,
+      object.constructionPoints.length
+    );
+    target.topology = {
+      ...topology,
+      degree: null,
+      internalEdges: (rep.topology.internalEdges ?? []).map(e => [e[0], e[1]]),
+      skinBoneEdges: (rep.topology.skinBoneEdges ?? []).map(e => [e[0], e[1]])
+    };
+    target.clothConfig = rep.clothConfig ?? null;
+    target.lineConfig = rep.lineConfig ?? null;
+    target.efdConfig = rep.efdConfig ?? null;
+    target.fixedIndices = [...(rep.fixedIndices ?? [])];
+    target.metadata = rep.metadata ?? {};
+    target.physicsState = {
+      physicsModel: data.physics?.model ?? 'pbd',
+      particles: [],
+      constraints: [],
+      surfaceStartIndex: 0,
+      internalStartIndex: data.surfaceCount,
+      surfaceCount: data.surfaceCount,
+      internalCount: object.constructionPoints.length - data.surfaceCount
+    };
+    object._isVolumetric = rep.type === 'volumetric';
+    object.physics = {
+      enabled: !!data.physics?.enabled,
+      mass: data.physics?.mass ?? 1.0,
+      velocity: { x: 0, y: 0, z: 0, ...data.physics?.velocity },
+      model: data.physics?.model ?? 'pbd'
+    };
+    object.metadata = { ...object.metadata, ...data.metadata };
+
+    if (data.mode === 'discrete' && data.physicsState) {
+      // 沿用保存的边：按当前（已形变）位置重新搜索会得到不同的边，静止长度无法对应
+      object.rebuildPhysicsTopology({ physicsModel: data.physicsState.physicsModel, keepEdges: true });
+      const { particles, constraints } = target.physicsState;
+      const { restLengths, velocities } = data.physicsState;
+      // 同一拓扑生成的约束顺序一致，写回形变前的静止长度（PBD 约束以 distance 为准）与速度
+      if (restLengths?.length === constraints.length) {
+        constraints.forEach((c, i) => {
+          if (restLengths[i] === null) return;
+          c.restLength = restLengths[i];
+          if (c.distance !== undefined) c.distance = restLengths[i];
+        });
+      } else if (restLengths) {
+        console.warn(`[Object] ${object.metadata.name}: constraint count changed, rest lengths not restored`);
+      }
+      if (velocities?.length === particles.length * 3) {
+        particles.forEach((p, i) => {
+          p.velocity.x = velocities[i * 3];
+          p.velocity.y = velocities[i * 3 + 1];
+          p.velocity.z = velocities[i * 3 + 2];
+        });
+      }
+    }
+
+    object._displayPointVersion++;
+    object._constructionPointVersion++;
+    object.invalidateBounds();
+    return object;
+  }
+
+  // 点集 → { positions, normals?, colors?, scalars? }（可选属性全为默认值时省略）
+  static _serializePoints(points) {
+    const result = { positions: Object._flatten(points) };
+    if (points.some(p => p.nx !== 0 || p.ny !== 0 || p.nz !== 0)) {
+      result.normals = Object._flatten(points.map(p => ({ x: p.nx, y: p.ny, z: p.nz })));
+    }
+    if (points.some(p => p.color)) {
+      result.colors = points.map(p => (p.color ? [p.color[0], p.color[1], p.color[2]] : null));
+    }
+    if (points.some(p => Number.isFinite(p.scalar))) {
+      result.scalars = points.map(p => (Number.isFinite(p.scalar) ? p.scalar : null));
+    }
+    return result;
+  }
+
+  static _deserializePoints(data) {
+    const { positions, normals, colors, scalars } = data;
+    const points = [];
+    for (let i = 0; i < positions.length / 3; i++) {
+      const p = new Point(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]);
+      if (normals) {
+        p.nx = normals[i * 3];
+        p.ny = normals[i * 3 + 1];
+        p.nz = normals[i * 3 + 2];
+      }
+      if (colors?.[i]) p.color = [...colors[i]];
+      if (scalars && Number.isFinite(scalars[i])) p.scalar = scalars[i];
+      points.push(p);
+    }
+    return points;
+  }
+
+  static _flatten(vectors) {
+    const flat = new Array(vectors.length * 3);
+    for (let i = 0; i < vectors.length; i++) {
+      flat[i * 3] = vectors[i].x;
+      flat[i * 3 + 1] = vectors[i].y;
+      flat[i * 3 + 2] = vectors[i].z;
+    }
+    return flat;
+  }
+
+  // 深拷贝为 JSON 值：类型化数组转普通数组，函数、Map 与 skip 中的键丢弃
+  static _plain(value, skip = []) {
+    if (value === null || value === undefined) return null;
+    if (ArrayBuffer.isView(value)) return Array.from(value);
+    if (Array.isArray(value)) return value.map(v => Object._plain(v));
+    if (typeof value === 'function' || value instanceof Map) return null;
+    if (typeof value !== 'object') return value;
+    const result = {};
+    for (const key in value) {
+      if (skip.includes(key) || typeof value[key] === 'function' || value[key] instanceof Map) continue;
+      result[key] = Object._plain(value[key]);
+    }
+    return result;
+  }
+
   // ==========================================================================
   // 调试
   // ==========================================================================
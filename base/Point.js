@@ -18,6 +18,17 @@ export class Point {
     this.ry = 0;
     this.rz = 0;
     this.light = 0.6;
+    // 逐点颜色 [r, g, b]（0-255），null 表示无颜色（按单色/LUT 渲染）
+    this.color = null;
+    // 有色光源混合出的颜色系数 [r, g, b]（0-1），null 表示白光（见 Window.accumulateLights）
+    this.tint = null;
+    // 多光源反射分量 { [lightId]: { rx, ry, rz, visibility } }（由各光源窗口写入，
+    // visibility 为阴影可见比例 0-1）
+    this.lightContribs = null;
+    // 被遮挡的直射光比例（0 = 全亮，1 = 完全处于阴影）
+    this.shadow = 0;
+    // 任意标量（曲率、约束应变、符号距离等，见 ScalarField.js），null 表示无
+    this.scalar = null;
   }
 
   getD(p) {
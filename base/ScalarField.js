@@ -0,0 +1,230 @@
+/**
+ * ScalarField.js - 逐点标量场（曲率 / 约束应变 / 球谐符号距离）
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 计算标量并写入 point.scalar（供 render/Colormap.js 的 ScalarColoring 着色）
+ *   - 'curvature'：表面建构点的离散平均曲率（拓扑边 + 顶点法向量）
+ *   - 'strain'：物理视图距离 / 弹簧约束的相对伸长，按粒子平均
+ *   - 'signedDistance'：到球谐体表面的符号距离（SphericalHarmonics.signedDistance）
+ * - 统计场景内标量范围（自动映射区间）
+ *
+ * 曲率与应变定义在建构点（网格顶点）上，随 meshStyle 三角形插值显示；
+ * 显示点不跟随物理形变，只有符号距离同时写入显示点。
+ * 无法计算的点 scalar 置为 null（渲染时按普通光照显示）
+ *
+ * 依赖：
+ * - Object.js（鸭子类型）: representation.topology / data、getPhysicsView、constructionPoints
+ * ============================================================================
+ */
+
+export class ScalarField {
+
+  // symmetric：有正负之分的量，自动区间关于 0 对称（0 落在色图中点）
+  static FIELDS = {
+    curvature: { label: '平均曲率（1/cm）', symmetric: false },
+    strain: { label: '约束应变', symmetric: true },
+    signedDistance: { label: '球谐符号距离（cm）', symmetric: true },
+  };
+
+  static EPSILON = 1e-10;
+
+  /**
+   * 字段名（FIELDS 的键，按声明顺序）
+   * @returns {string[]}
+   */
+  static names() {
+    return Object.keys(ScalarField.FIELDS);
+  }
+
+  /**
+   * 计算一个物体的标量场（先清除全部点的旧标量，切换字段后不残留）
+   * @param {Object} object
+   * @param {string} field - FIELDS 的键
+   * @param {object} options
+   * @param {Object} options.target - signedDistance 的目标球谐体（默认物体自身）
+   * @returns {number} 写入有效标量的点数
+   */
+  static apply(object, field, options = {}) {
+    ScalarField.clear(object);
+    switch (field) {
+      case 'curvature':
+        return ScalarField.curvature(object);
+      case 'strain':
+        return ScalarField.strain(object);
+      case 'signedDistance': {
+        const target = options.target ?? object;
+        const points = object.displayPoints.concat(object.constructionPoints);
+        return ScalarField.signedDistance(points, target);
+      }
+      default:
+        throw new Error(`[ScalarField] Unknown field: ${field}`);
+    }
+  }
+
+  /**
+   * 清除物体所有点的标量
+   */
+  static clear(object) {
+    for (const p of object.displayPoints) p.scalar = null;
+    for (const p of object.constructionPoints) p.scalar = null;
+  }
+
+  /**
+   * 离散平均曲率：每条邻边的法曲率 κ = 2 (pᵢ - pⱼ)·nᵢ / |pᵢ - pⱼ|²
+   * （球面上恰为 1/R），取邻边平均；法向量朝外时凸处为正
+   * 需要表面拓扑边与顶点法向量（Window.computeVertexNormals 或 commitPhysics 写入）
+   * @returns {number}
+   */
+  static curvature(object) {
+    const vertices = object.constructionPoints;
+    const edges = object.representation?.topology?.edges;
+    const surfaceCount = Math.min(object.surfaceCount ?? vertices.length, vertices.length);
+    for (const p of vertices) p.scalar = null;
+    if (!edges || edges.length === 0) return 0;
+
+    const sum = new Float64Array(surfaceCount);
+    const count = new Uint32Array(surfaceCount);
+    const accumulate = (i, j) => {
+      const pi = vertices[i], pj = vertices[j];
+      const dx = pi.x - pj.x, dy = pi.y - pj.y, dz = pi.z - pj.z;
+      const lengthSq = dx * dx + dy * dy + dz * dz;
+      if (lengthSq < ScalarField.EPSILON) return;
+      const normalLength = Math.sqrt(pi.nx * pi.nx + pi.ny * pi.ny + pi.nz * pi.nz);
+      if (normalLength < ScalarField.EPSILON) return;
+      sum[i] += 2 * (dx * pi.nx + dy * pi.ny + dz * pi.nz) / (normalLength * lengthSq);
+      count[i]++;
+    };
+    for (const [i, j] of edges) {
+      if (i >= surfaceCount || j >= surfaceCount) continue;
+      accumulate(i, j);
+      accumulate(j, i);
+    }
+
+    let written = 0;
+    for (let i = 0; i < surfaceCount; i++) {
+      if (count[i] === 0) continue;
+      vertices[i].scalar = sum[i] / count[i];
+      written++;
+    }
+    return written;
+  }
+
+  /**
+   * 约束应变：(当前长度 - 静止长度) / 静止长度，正为拉伸、负为压缩；
+   * 每个粒子取所连距离 / 弹簧约束的平均，写回对应建构点（映射同 commitPhysics）
+   * 物体不在 'discrete' 模式或尚无粒子时不写入
+   * @returns {number}
+   */
+  static strain(object) {
+    const vertices = object.constructionPoints;
+    for (const p of vertices) p.scalar = null;
+    if (object.mode !== 'discrete' || !(object.representation.physicsState?.particles?.length > 0)) return 0;
+
+    const { particles, constraints } = object.getPhysicsView();
+    const sum = new Float64Array(particles.length);
+    const count = new Uint32Array(particles.length);
+    for (const c of constraints) {
+      if (c.type !== 'distance' && c.type !== 'spring') continue;
+      const i = c.i ?? c.particles?.[0];
+      const j = c.j ?? c.particles?.[1];
+      const a = particles[i]?.position, b = particles[j]?.position;
+      const rest = c.restLength ?? c.distance;
+      if (!a || !b || !(rest > ScalarField.EPSILON)) continue;
+      const dx = b.x - a.x, dy = b.y - a.y, dz = b.z - a.z;
+      const e = (Math.sqrt(dx * dx + dy * dy + dz * dz) - rest) / rest;
+      sum[i] += e;
+      count[i]++;
+      sum[j] += e;
+      count[j]++;
+    }
+
+    const physicsState = object.representation.physicsState;
+    const surfaceCount = Math.min(physicsState.surfaceCount, object._surfaceBoundary);
+    const internalCount = Math.min(physicsState.internalCount, vertices.length - object._surfaceBoundary);
+    let written = 0;
+    const write = (particleIndex, point) => {
+      if (!point || !(count[particleIndex] > 0)) return;
+      point.scalar = sum[particleIndex] / count[particleIndex];
+      written++;
+    };
+    for (let i = 0; i < surfaceCount; i++) {
+      write(i, vertices[i]);
+    }
+    for (let i = 0; i < internalCount; i++) {
+      write(physicsState.internalStartIndex + i, vertices[object._surfaceBoundary + i]);
+    }
+    return written;
+  }
+
+  /**
+   * 到球谐体表面的符号距离（正 = 外部，负 = 内部；近似值，见 SphericalHarmonics.signedDistance）
+   * @param {Point[]} points
+   * @param {Object} target - 已拟合球谐的物体（representation.data 含 coefficients / sphericalHarmonics）
+   * @returns {number}
+   */
+  static signedDistance(points, target) {
+    const data = target?.representation?.data;
+    for (const p of points) p.scalar = null;
+    if (!data?.coefficients || !data.sphericalHarmonics) return 0;
+
+    const { coefficients, sphericalHarmonics } = data;
+    let written = 0;
+    for (const p of points) {
+      const d = sphericalHarmonics.signedDistance(coefficients, p.x, p.y, p.z, target.center);
+      if (!Number.isFinite(d)) continue;
+      p.scalar = d;
+      written++;
+    }
+    return written;
+  }
+
+  /**
+   * 物体是否带球谐表面（可作为 signedDistance 的目标）
+   */
+  static hasSphericalHarmonics(object) {
+    const data = object?.representation?.data;
+    return !!(data?.coefficients && data.sphericalHarmonics);
+  }
+
+  /**
+   * 场景内有效标量的范围
+   * @param {Object[]} objects
+   * @param {boolean} symmetric - 关于 0 对称（[-m, m]，m 为最大绝对值）
+   * @returns {{min: number, max: number, count: number}}
+   */
+  static range(objects, symmetric = false) {
+    let min = Infinity;
+    let max = -Infinity;
+    let count = 0;
+    const visit = (points) => {
+      for (const p of points) {
+        const s = p.scalar;
+        if (s === null || s === undefined || !Number.isFinite(s)) continue;
+        if (s < min) min = s;
+        if (s > max) max = s;
+        count++;
+      }
+    };
+    for (const object of objects) {
+      visit(object.displayPoints);
+      if (object.constructionPoints !== object.displayPoints) visit(object.constructionPoints);
+    }
+    if (count === 0) return { min: 0, max: 1, count };
+    if (symmetric) {
+      const m = Math.max(Math.abs(min), Math.abs(max));
+      min = -m;
+      max = m;
+    }
+    if (!(max > min)) {
+      // 常数场：给出以该值为中心的单位区间，避免除零
+      min -= 0.5;
+      max += 0.5;
+    }
+    return { min, max, count };
+  }
+}
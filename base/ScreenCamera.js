@@ -0,0 +1,297 @@
+/**
+ * ScreenCamera.js - 物理屏幕相机模型（离轴非对称视锥）
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 由屏幕三个角点（厘米，世界坐标）与头部位置（headMoveTo 跟踪结果）
+ *   为左眼 / 中眼 / 右眼构建离轴非对称视锥
+ * - 输出投影矩阵、视图矩阵（列主序 Float32Array(16)，WebGL 约定）
+ * - 点 → 像素投影（project）与像素 → 世界射线（ray，供拾取）
+ *
+ * 方法：R. Kooima, "Generalized Perspective Projection", 2008
+ * - vr / vu / vn：屏幕右 / 上 / 法向（指向观察者）
+ * - 视锥范围 l, r, b, t 按眼到屏幕平面距离缩放到近平面
+ *
+ * 与 Window.calculateBasePoint 的关系：
+ * 其中 rate = 屏幕距离 / 点距离、眼偏移 (eyeD / 2) · (1 - rate)
+ * 正是本模型在屏幕平面上的同一投影（左右眼位于 head ∓ vr · eyeD / 2），
+ * 逐点热路径保留原实现，其余后端与拾取统一使用本模型
+ *
+ * 立体舒适修正（Window.stereoScale / stereoShift）：
+ * 缩放视差 = 缩放瞳距（eyeD 取修正后的值）；平移视差 = 左右图像在屏幕上
+ * 各自反向平移 imageShift / 2（左眼向左，右眼向右）
+ *
+ * 无外部依赖
+ * ============================================================================
+ */
+
+export class ScreenCamera {
+
+  static EYES = ['left', 'mono', 'right'];
+
+  // 默认近 / 远平面（厘米）
+  static DEFAULT_NEAR = 1;
+  static DEFAULT_FAR = 10000;
+
+  constructor() {
+    // 屏幕角点（世界坐标，厘米）
+    this.lowerLeft = { x: 0, y: 0, z: 0 };
+    this.lowerRight = { x: 0, y: 0, z: 0 };
+    this.upperLeft = { x: 0, y: 0, z: 0 };
+    // 屏幕正交基
+    this.vr = { x: 1, y: 0, z: 0 };
+    this.vu = { x: 0, y: 0, z: 1 };
+    this.vn = { x: 0, y: -1, z: 0 };
+    this.xlength = 0;
+    this.ylength = 0;
+    // 视口像素
+    this.width = 0;
+    this.height = 0;
+    // 头部（双眼中点）与瞳距
+    this.head = { x: 0, y: 0, z: 0 };
+    this.eyeD = 0;
+    // 左右图像的水平反向平移总量（厘米，正值把场景推向屏幕后）
+    this.imageShift = 0;
+  }
+
+  /**
+   * 设置屏幕角点（右上角由其余三点决定）
+   */
+  setScreen(lowerLeft, lowerRight, upperLeft) {
+    this.lowerLeft = { ...lowerLeft };
+    this.lowerRight = { ...lowerRight };
+    this.upperLeft = { ...upperLeft };
+    const right = ScreenCamera._sub(lowerRight, lowerLeft);
+    const up = ScreenCamera._sub(upperLeft, lowerLeft);
+    this.xlength = ScreenCamera._length(right);
+    this.ylength = ScreenCamera._length(up);
+    if (this.xlength < 1e-10 || this.ylength < 1e-10) {
+      throw new Error('[ScreenCamera] Degenerate screen corners');
+    }
+    this.vr = ScreenCamera._scale(right, 1 / this.xlength);
+    this.vu = ScreenCamera._scale(up, 1 / this.ylength);
+    const n = ScreenCamera._cross(this.vr, this.vu);
+    this.vn = ScreenCamera._scale(n, 1 / ScreenCamera._length(n));
+    return this;
+  }
+
+  setViewport(width, height) {
+    this.width = width;
+    this.height = height;
+    return this;
+  }
+
+  setHead(head, eyeD = this.eyeD) {
+    this.head = { x: head.x, y: head.y, z: head.z };
+    this.eyeD = eyeD;
+    return this;
+  }
+
+  /**
+   * 从 Window 同步：屏幕中心 = direction.start，横轴 vx，竖轴 vy，
+   * 尺寸 xlength × ylength，头部 capital，瞳距 eyeD（含立体舒适修正）
+   * @param {Window} window - 已执行 calculatePointToCenter
+   */
+  updateFromWindow(window) {
+    const center = window.direction.start;
+    const vx = ScreenCamera._normalize(window.vx);
+    const vy = ScreenCamera._normalize(window.vy);
+    const hx = window.xlength / 2;
+    const hy = window.ylength / 2;
+    const corner = (sx, sy) => ({
+      x: center.x + vx.x * hx * sx + vy.x * hy * sy,
+      y: center.y + vx.y * hx * sx + vy.y * hy * sy,
+      z: center.z + vx.z * hx * sx + vy.z * hy * sy,
+    });
+    this.setScreen(corner(-1, -1), corner(1, -1), corner(-1, 1));
+    this.setViewport(window.width, window.height);
+    this.setHead(window.capital, (window.eyeD || 0) * (window.stereoScale ?? 1));
+    this.imageShift = window.eyeD ? (window.stereoShift ?? 0) : 0;
+    return this;
+  }
+
+  /**
+   * 眼睛位置：左右眼沿屏幕横轴偏移 ∓ eyeD / 2（随相机滚转）
+   * @param {string} eye - 'left' | 'mono' | 'right'
+   */
+  eyePosition(eye = 'mono') {
+    const offset = eye === 'left' ? -this.eyeD / 2 : eye === 'right' ? this.eyeD / 2 : 0;
+    return {
+      x: this.head.x + this.vr.x * offset,
+      y: this.head.y + this.vr.y * offset,
+      z: this.head.z + this.vr.z * offset,
+    };
+  }
+
+  /**
+   * 该眼图像在屏幕上的水平平移（厘米）
+   */
+  imageOffset(eye = 'mono') {
+    return eye === 'left' ? -this.imageShift / 2 : eye === 'right' ? this.imageShift / 2 : 0;
+  }
+
+  /**
+   * 离轴视锥范围（近平面上）
+   * @returns {{left, right, bottom, top, near, far, distance}} distance 为眼到屏幕平面距离
+   */
+  frustum(eye = 'mono', near = ScreenCamera.DEFAULT_NEAR, far = ScreenCamera.DEFAULT_FAR) {
+    const pe = this.eyePosition(eye);
+    const va = ScreenCamera._sub(this.lowerLeft, pe);
+    const vb = ScreenCamera._sub(this.lowerRight, pe);
+    const vc = ScreenCamera._sub(this.upperLeft, pe);
+    const distance = -ScreenCamera._dot(va, this.vn);
+    if (distance <= 0) {
+      throw new Error('[ScreenCamera] Eye is behind the screen plane');
+    }
+    const k = near / distance;
+    return {
+      left: ScreenCamera._dot(this.vr, va) * k,
+      right: ScreenCamera._dot(this.vr, vb) * k,
+      bottom: ScreenCamera._dot(this.vu, va) * k,
+      top: ScreenCamera._dot(this.vu, vc) * k,
+      near,
+      far,
+      distance,
+    };
+  }
+
+  /**
+   * 透视投影矩阵（glFrustum，列主序）
+   * @returns {Float32Array}
+   */
+  projectionMatrix(eye = 'mono', near = ScreenCamera.DEFAULT_NEAR, far = ScreenCamera.DEFAULT_FAR) {
+    const { left: l, right: r, bottom: b, top: t } = this.frustum(eye, near, far);
+    const m = new Float32Array(16);
+    m[0] = (2 * near) / (r - l);
+    m[5] = (2 * near) / (t - b);
+    // 图像平移：NDC x 加 2 · offset / xlength（裁剪空间乘 w = -z_eye）
+    m[8] = (r + l) / (r - l) - (2 * this.imageOffset(eye)) / this.xlength;
+    m[9] = (t + b) / (t - b);
+    m[10] = -(far + near) / (far - near);
+    m[11] = -1;
+    m[14] = -(2 * far * near) / (far - near);
+    return m;
+  }
+
+  /**
+   * 视图矩阵：世界 → 屏幕对齐的眼坐标（x 沿 vr，y 沿 vu，-z 指向屏幕）
+   * @returns {Float32Array}
+   */
+  viewMatrix(eye = 'mono') {
+    const pe = this.eyePosition(eye);
+    const { vr, vu, vn } = this;
+    const m = new Float32Array(16);
+    m[0] = vr.x; m[4] = vr.y; m[8] = vr.z;
+    m[1] = vu.x; m[5] = vu.y; m[9] = vu.z;
+    m[2] = vn.x; m[6] = vn.y; m[10] = vn.z;
+    m[12] = -ScreenCamera._dot(vr, pe);
+    m[13] = -ScreenCamera._dot(vu, pe);
+    m[14] = -ScreenCamera._dot(vn, pe);
+    m[15] = 1;
+    return m;
+  }
+
+  /**
+   * 投影 × 视图
+   * @returns {Float32Array}
+   */
+  viewProjectionMatrix(eye = 'mono', near = ScreenCamera.DEFAULT_NEAR, far = ScreenCamera.DEFAULT_FAR) {
+    return ScreenCamera.multiply(this.projectionMatrix(eye, near, far), this.viewMatrix(eye));
+  }
+
+  /**
+   * 世界点 → 视口像素（亚像素，y 向下，与 Window 一致）
+   * @returns {{x: number, y: number, dis: number}|null} dis 为点到眼平面距离；点在眼后返回 null
+   */
+  project(point, eye = 'mono') {
+    const pe = this.eyePosition(eye);
+    const d = ScreenCamera._sub(point, pe);
+    const dis = -ScreenCamera._dot(d, this.vn);
+    if (dis <= 0) return null;
+    const toScreen = -ScreenCamera._dot(ScreenCamera._sub(this.lowerLeft, pe), this.vn);
+    const rate = toScreen / dis;
+    // 屏幕平面交点相对左下角（厘米）
+    const hit = {
+      x: pe.x + d.x * rate - this.lowerLeft.x,
+      y: pe.y + d.y * rate - this.lowerLeft.y,
+      z: pe.z + d.z * rate - this.lowerLeft.z,
+    };
+    const u = ScreenCamera._dot(hit, this.vr) + this.imageOffset(eye);
+    const v = ScreenCamera._dot(hit, this.vu);
+    return {
+      x: (u / this.xlength) * this.width,
+      y: (1 - v / this.ylength) * this.height,
+      dis,
+    };
+  }
+
+  /**
+   * 视口像素 → 世界射线（从眼睛穿过该像素在屏幕上的物理位置）
+   * @returns {{origin: {x, y, z}, direction: {x, y, z}}} direction 为单位向量
+   */
+  ray(px, py, eye = 'mono') {
+    const origin = this.eyePosition(eye);
+    const u = (px / this.width) * this.xlength - this.imageOffset(eye);
+    const v = (1 - py / this.height) * this.ylength;
+    const target = {
+      x: this.lowerLeft.x + this.vr.x * u + this.vu.x * v,
+      y: this.lowerLeft.y + this.vr.y * u + this.vu.y * v,
+      z: this.lowerLeft.z + this.vr.z * u + this.vu.z * v,
+    };
+    return { origin, direction: ScreenCamera._normalize(ScreenCamera._sub(target, origin)) };
+  }
+
+  // ==========================================================================
+  // 向量 / 矩阵工具
+  // ==========================================================================
+
+  /**
+   * 4×4 列主序矩阵乘法 a · b
+   */
+  static multiply(a, b) {
+    const out = new Float32Array(16);
+    for (let col = 0; col < 4; col++) {
+      for (let row = 0; row < 4; row++) {
+        let sum = 0;
+        for (let k = 0; k < 4; k++) {
+          sum += a[k * 4 + row] * b[col * 4 + k];
+        }
+        out[col * 4 + row] = sum;
+      }
+    }
+    return out;
+  }
+
+  static _sub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+  }
+
+  static _scale(a, k) {
+    return { x: a.x * k, y: a.y * k, z: a.z * k };
+  }
+
+  static _dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+  }
+
+  static _cross(a, b) {
+    return {
+      x: a.y * b.z - a.z * b.y,
+      y: a.z * b.x - a.x * b.z,
+      z: a.x * b.y - a.y * b.x,
+    };
+  }
+
+  static _length(a) {
+    return Math.sqrt(a.x * a.x + a.y * a.y + a.z * a.z);
+  }
+
+  static _normalize(a) {
+    const l = ScreenCamera._length(a);
+    return l < 1e-10 ? { x: 0, y: 0, z: 0 } : { x: a.x / l, y: a.y / l, z: a.z / l };
+  }
+}
@@ -0,0 +1,229 @@
+/**
+ * StereoComfort.js - 立体舒适限制（视差预算与自动辐辏）
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 每帧从已投影点的 xL / xR 统计屏幕视差范围（像素 → 厘米 → 角度）
+ * - 视差超出角度预算时调整 Window 的两个立体参数（下一帧生效）：
+ *   - stereoShift：左右图像水平反向平移（厘米），即移动辐辏（零视差）平面
+ *   - stereoScale：视差整体缩放，即压缩景深（等效于缩小瞳距）
+ * - 给出 HUD 警告所需的状态（exceeded：内容本身超出预算；clipped：修正后仍超出）
+ *
+ * 视差约定（屏幕上，厘米）：p = xR - xL = eyeD · (1 - D / d) · scale + shift
+ * - p < 0：交叉视差，点出屏（在屏幕前）
+ * - p > 0：非交叉视差，点入屏
+ * 角度视差 = 2 · atan(p / 2V)，V 为双眼到屏幕平面距离（Window.disOfPointToPlane）
+ *
+ * 只统计深度缓冲中各像素的最近点（被遮挡的点看不见，不影响融合）与网格顶点；
+ * 屏幕网格（windowObjects）恒为零视差，不参与统计
+ *
+ * 依赖：
+ * - Window.js: 投影结果（depthBuffer.points / grid / meshObjects）与立体参数
+ * ============================================================================
+ */
+
+export class StereoComfort {
+
+  // 'off'：只统计不修正；'shift'：只移辐辏平面；'compress'：只压缩景深（零视差平面不动）；
+  // 'auto'：先移辐辏平面，视差范围宽于预算时再压缩
+  static MODES = ['off', 'shift', 'compress', 'auto'];
+
+  // crossedDeg / uncrossedDeg：出屏 / 入屏角度预算（度，常用 1°）；
+  // smoothing：每帧向目标修正靠近的比例（避免画面跳变）；minScale：景深压缩下限
+  static DEFAULTS = { mode: 'auto', crossedDeg: 1, uncrossedDeg: 1, smoothing: 0.2, minScale: 0.2 };
+
+  // 死区：视差按整像素量化，目标平移变化不足 SETTLE_PIXELS 像素、
+  // 缩放变化不足 SETTLE_SCALE 时保持原目标（避免逐帧 ±1 像素抖动），也以此判断已稳定
+  static SETTLE_PIXELS = 1;
+  static SETTLE_SCALE = 0.01;
+
+  /**
+   * @param {object} options - 见 DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...StereoComfort.DEFAULTS };
+    this.configure(options);
+
+    // 本帧统计（角度单位为度；count = 0 时其余无意义）
+    this.stats = {
+      count: 0,
+      minDisparity: 0,  // 像素（含当前修正）
+      maxDisparity: 0,
+      crossedDeg: 0,    // 未修正内容的最大出屏角度视差（正数）
+      uncrossedDeg: 0,  // 未修正内容的最大入屏角度视差
+      exceeded: false,  // 未修正内容超出预算
+      clipped: false,   // 修正（含平滑过渡中）后仍超出预算
+    };
+    // 修正目标（平滑过渡的终点）
+    this.target = { scale: 1, shift: 0 };
+  }
+
+  configure(options = {}) {
+    const merged = { ...this.options, ...options };
+    if (!StereoComfort.MODES.includes(merged.mode)) {
+      throw new Error(`[StereoComfort] Unknown mode: ${merged.mode}`);
+    }
+    if (!(merged.crossedDeg > 0) || !(merged.uncrossedDeg > 0)) {
+      throw new Error('[StereoComfort] Disparity budget must be positive');
+    }
+    this.options = merged;
+  }
+
+  /**
+   * 是否仍在向目标修正过渡（主循环据此继续重绘）
+   */
+  isSettling(window) {
+    return !StereoComfort._near(window.stereoScale, window.stereoShift, this.target, window.DPIx);
+  }
+
+  static _near(scale, shift, target, DPIx) {
+    return Math.abs(scale - target.scale) < StereoComfort.SETTLE_SCALE &&
+      Math.abs(shift - target.shift) * DPIx < StereoComfort.SETTLE_PIXELS;
+  }
+
+  /**
+   * 统计本帧视差并更新 window.stereoScale / stereoShift（需已执行立体 calculate）
+   * @param {Window} window
+   * @param {boolean} immediate - 直接设为目标值（离屏渲染），不平滑
+   * @returns {object} stats
+   */
+  update(window, immediate = false) {
+    const stats = this.stats;
+    const range = StereoComfort.measure(window);
+    stats.count = range.count;
+    if (range.count === 0 || !window.eyeD) {
+      stats.exceeded = false;
+      stats.clipped = false;
+      return stats;
+    }
+    stats.minDisparity = range.min;
+    stats.maxDisparity = range.max;
+
+    // 去掉当前修正，得到内容本身的视差范围（厘米）
+    const scale = window.stereoScale;
+    const shift = window.stereoShift;
+    const lo = (range.min / window.DPIx - shift) / scale;
+    const hi = (range.max / window.DPIx - shift) / scale;
+
+    const V = window.disOfPointToPlane;
+    const crossedLimit = StereoComfort.angleToParallax(this.options.crossedDeg, V);
+    const uncrossedLimit = StereoComfort.angleToParallax(this.options.uncrossedDeg, V);
+
+    stats.crossedDeg = lo < 0 ? StereoComfort.parallaxToAngle(-lo, V) : 0;
+    stats.uncrossedDeg = hi > 0 ? StereoComfort.parallaxToAngle(hi, V) : 0;
+    stats.exceeded = lo < -crossedLimit || hi > uncrossedLimit;
+
+    const solved = this._solve(lo, hi, crossedLimit, uncrossedLimit);
+    if (!StereoComfort._near(solved.scale, solved.shift, this.target, window.DPIx)) {
+      this.target = solved;
+    }
+
+    const k = immediate ? 1 : this.options.smoothing;
+    window.stereoScale = scale + (this.target.scale - scale) * k;
+    window.stereoShift = shift + (this.target.shift - shift) * k;
+
+    // 一个像素的量化容差
+    const eps = 1 / window.DPIx;
+    const fittedLo = lo * window.stereoScale + window.stereoShift;
+    const fittedHi = hi * window.stereoScale + window.stereoShift;
+    stats.clipped = fittedLo < -crossedLimit - eps || fittedHi > uncrossedLimit + eps;
+    return stats;
+  }
+
+  /**
+   * 由内容视差范围 [lo, hi]（厘米）求目标缩放与平移，
+   * 使修正后范围落在 [-crossedLimit, uncrossedLimit] 内，且改动尽量小
+   */
+  _solve(lo, hi, crossedLimit, uncrossedLimit) {
+    const { mode, minScale } = this.options;
+    if (mode === 'off') {
+      return { scale: 1, shift: 0 };
+    }
+
+    if (mode === 'compress') {
+      // 绕零视差平面缩放：出屏 / 入屏两侧各自需要的比例取小
+      let scale = 1;
+      if (lo < 0) scale = Math.min(scale, crossedLimit / -lo);
+      if (hi > 0) scale = Math.min(scale, uncrossedLimit / hi);
+      return { scale: Math.max(minScale, scale), shift: 0 };
+    }
+
+    const width = hi - lo;
+    const budget = crossedLimit + uncrossedLimit;
+    let scale = 1;
+    if (width > budget) {
+      if (mode === 'shift') {
+        // 放不下：居中，两侧均匀超出
+        return { scale: 1, shift: (uncrossedLimit - crossedLimit) / 2 - (lo + hi) / 2 };
+      }
+      scale = Math.max(minScale, budget / width);
+    }
+    const sLo = lo * scale;
+    const sHi = hi * scale;
+    // 最小平移：只在越界时把范围推回预算内
+    let shift = 0;
+    if (sLo < -crossedLimit) shift = -crossedLimit - sLo;
+    else if (sHi > uncrossedLimit) shift = uncrossedLimit - sHi;
+    return { scale, shift };
+  }
+
+  /**
+   * 本帧可见点的像素视差 xR - xL 范围
+   * @returns {{min: number, max: number, count: number}}
+   */
+  static measure(window) {
+    let min = Infinity;
+    let max = -Infinity;
+    let count = 0;
+    const add = (disparity) => {
+      if (disparity < min) min = disparity;
+      if (disparity > max) max = disparity;
+      count++;
+    };
+
+    const depthBuffer = window.depthBuffer;
+    if (depthBuffer) {
+      for (const p of depthBuffer.points) {
+        if (p.xM === 0 || p.yM === 0) continue;
+        if (!depthBuffer.isVisible(p, 'M')) continue;
+        add(p.xR - p.xL);
+      }
+    } else {
+      for (const column of window.grid) {
+        for (const cell of column) {
+          for (const p of cell) {
+            if (p.xM !== 0 && p.yM !== 0) add(p.xR - p.xL);
+          }
+        }
+      }
+    }
+    for (const object of window.meshObjects) {
+      const vertices = object.constructionPoints;
+      for (let i = 0; i < object.surfaceCount; i++) {
+        const proj = vertices[i].proj;
+        if (!proj?.valid) continue;
+        if (proj.xM < 0 || proj.xM >= window.width || proj.y < 0 || proj.y >= window.height) continue;
+        add(proj.xR - proj.xL);
+      }
+    }
+    return { min, max, count };
+  }
+
+  /**
+   * 角度视差（度）→ 屏幕视差（厘米）
+   */
+  static angleToParallax(degrees, viewingDistance) {
+    return 2 * viewingDistance * Math.tan((degrees * Math.PI) / 360);
+  }
+
+  /**
+   * 屏幕视差（厘米）→ 角度视差（度）
+   */
+  static parallaxToAngle(parallax, viewingDistance) {
+    return (360 / Math.PI) * Math.atan(parallax / (2 * viewingDistance));
+  }
+}
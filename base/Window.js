@@ -1,8 +1,27 @@
 import { Point } from "./Point.js";
 import { Object } from "./Object.js";
 import { Vector } from "./Vector.js";
+import { DepthBuffer } from "./DepthBuffer.js";
+import { CameraOrientation } from "./CameraOrientation.js";
+import { ScreenCamera } from "./ScreenCamera.js";
 export class Window {
-  constructor(width, height, xlength, ylength, name) {
+
+  // 俯仰极限（弧度）：视线不与世界竖轴重合
+  static PITCH_LIMIT = Math.PI / 2 - 0.01;
+
+  // 近处拒绝距离（厘米）：点比屏幕平面更靠近观察者超过该值时不投影
+  static NEAR_REJECT = 7.5;
+
+  // LOD：投影面积内每像素期望的点数（超出即为重叠绘制，可降级）
+  static LOD_POINTS_PER_PIXEL = 1;
+
+  /**
+   * @param {object} options
+   * @param {boolean} options.depthBuffer - 启用逐像素深度缓冲（遮挡由最近点决定，
+   *   不再用网格单元变暗）；法向量估算用的隐藏窗口不需要
+   * @param {string[]} options.depthLayers - 深度缓冲层（默认 M/L/R，光源窗口只需 ['M']）
+   */
+  constructor(width, height, xlength, ylength, name, options = {}) {
     this.width = width;
     this.height = height;
     this.xlength = xlength;
@@ -24,6 +43,51 @@ export class Window {
     this.grid = Array.from({ length: this.width / this.gridsize }, () =>
       Array.from({ length: this.height / this.gridsize }, () => []),
     );
+
+    // 遮挡：'depth' = 逐像素深度缓冲；'grid' = 网格单元深度段启发式（原逻辑）
+    this.depthBuffer = options.depthBuffer ? new DepthBuffer(width, height, options.depthLayers) : null;
+    this.occlusionMode = this.depthBuffer ? 'depth' : 'grid';
+
+    // 本帧已投影三角形顶点的网格物体（供渲染器光栅化）
+    this.meshObjects = [];
+
+    // 多光源（见 Light.js）：
+    // - lights：主窗口逐光源累加亮度；为空时沿用单一 rx/ry/rz（原逻辑）
+    // - lightSource：光源窗口所属光源，反射向量写入 point.lightContribs[id]
+    this.lights = [];
+    this.lightSource = null;
+
+    // 相机姿态（四元数，见 CameraOrientation.js）：
+    // 为 null 时 vx = direction × Z（原逻辑，无滚转）；
+    // 设置后 vx / vy 取姿态的 right / up，支持俯仰与滚转
+    this.orientation = null;
+
+    // 物理屏幕相机（离轴视锥，见 ScreenCamera.js），每次 calculate 同步，
+    // 供渲染后端取投影矩阵、供拾取取射线
+    this.screenCamera = new ScreenCamera();
+
+    // 整物体剔除统计（每次 calculate 重置）；
+    // newlyVisible：观察者窗口本帧由不可见变为可见的物体数（其光照需再算一帧）
+    this.cullStats = { tested: 0, culled: 0 };
+    this.newlyVisible = 0;
+
+    // 显示点细节层次（见 Object.getLodLevels），观察者窗口按物体投影尺寸选级；
+    // lodRefined：本帧选级比上一帧更细的物体数（新增点的光照需再算一帧）
+    this.lod = { enabled: true, pointsPerPixel: Window.LOD_POINTS_PER_PIXEL };
+    this.lodRefined = 0;
+
+    // 立体舒适修正（由 StereoComfort 每帧调整，见 StereoComfort.js）：
+    // 屏幕视差 = eyeD · (1 - D / d) · stereoScale + stereoShift（厘米）
+    this.stereoScale = 1;
+    this.stereoShift = 0;
+  }
+
+  /**
+   * 光源窗口在主窗口之前计算，沿用观察者上一帧的剔除与 LOD 结果；
+   * 有物体新进入视野或 LOD 变细时，需要再算一帧才能得到完整光照
+   */
+  get needsRelight() {
+    return this.newlyVisible > 0 || this.lodRefined > 0;
   }
   resizeRefresh(width, height, xlength, ylength) {
     this.width = width;
@@ -32,6 +96,9 @@ export class Window {
     this.ylength = ylength;
     this.DPIx = width / this.xlength;
     this.DPIy = height / this.ylength;
+    if (this.depthBuffer) {
+      this.depthBuffer.resize(width, height);
+    }
   }
   getAngle() {
     const hcdx = this.direction.start.x - this.capital.x;
@@ -72,21 +139,163 @@ export class Window {
     this.DPIy = height / this.ylength;
   }
 
+  /**
+   * 原地水平转向（正角 = 右转，dirAngle 增大方向）
+   * 保留当前俯仰与滚转
+   */
   horizontalRotation(angle) {
-    const camAngle = angle + this.dirAngle;
-    const camDirAngle = angle + this.direction.dirAngle;
-    const camElevation = 0;
+    this.look(-angle, 0);
+  }
+
+  // ==========================================================================
+  // 相机姿态（偏航 / 俯仰 / 滚转）
+  // ==========================================================================
+
+  /**
+   * 取得相机姿态（首次调用时由当前 direction 构造，零滚转）
+   * @returns {CameraOrientation}
+   */
+  ensureOrientation() {
+    if (!this.orientation) {
+      this.orientation = CameraOrientation.fromDirection(this.direction);
+    }
+    return this.orientation;
+  }
+
+  /**
+   * 原地转动视线：偏航绕世界 Z（正 = 左转），俯仰绕相机横轴（正 = 抬头）
+   * 屏幕参考点随视线绕双眼转动
+   */
+  look(yaw, pitch) {
+    const orientation = this.ensureOrientation();
+    orientation.rotateWorld(CameraOrientation.AXIS_Z, yaw);
+    orientation.rotateLocal(CameraOrientation.AXIS_X, this._clampPitch(orientation, pitch));
+    this._syncDirection();
+  }
+
+  /**
+   * 滚转（正 = 头向右倾），双眼基线随之旋转
+   */
+  roll(angle) {
+    this.ensureOrientation().rotateLocal(CameraOrientation.AXIS_Y, angle);
+    this._syncDirection();
+  }
+
+  /**
+   * 绕中心环绕：偏航绕过中心的世界竖轴，俯仰绕过中心的相机横轴
+   * 双眼、屏幕参考点与姿态一起旋转（从上方俯视物体）
+   * @param {{x, y, z}} center - 旋转中心
+   */
+  orbit(center, yaw, pitch) {
+    const orientation = this.ensureOrientation();
+    pitch = this._clampPitch(orientation, pitch);
+    const rotation = CameraOrientation.fromAxisAngle(CameraOrientation.AXIS_Z, yaw)
+      .multiply(CameraOrientation.fromAxisAngle(orientation.right(), pitch));
+
+    for (const p of [this.capital, this.direction.start]) {
+      const r = rotation.rotate({ x: p.x - center.x, y: p.y - center.y, z: p.z - center.z });
+      p.x = center.x + r.x;
+      p.y = center.y + r.y;
+      p.z = center.z + r.z;
+    }
+    orientation._set(rotation.multiply(orientation));
+
+    const f = orientation.forward();
+    this.direction.x = f.x;
+    this.direction.y = f.y;
+    this.direction.z = f.z;
+    this.direction.getAngle();
+    this.getAngle();
+  }
+
+  /**
+   * 相机位姿：双眼位置、屏幕参考点与姿态四元数（保存 / 恢复视角用，均为副本）
+   * @returns {{capital: {x, y, z}, screen: {x, y, z}, orientation: {w, x, y, z}}}
+   */
+  getPose() {
+    const { w, x, y, z } = this.ensureOrientation();
+    const { capital, direction } = this;
+    return {
+      capital: { x: capital.x, y: capital.y, z: capital.z },
+      screen: { x: direction.start.x, y: direction.start.y, z: direction.start.z },
+      orientation: { w, x, y, z },
+    };
+  }
+
+  /**
+   * 恢复相机位姿（getPose 的逆操作），视线取姿态 forward
+   */
+  setPose(pose) {
+    const { capital, screen, orientation } = pose;
+    this.capital.x = capital.x;
+    this.capital.y = capital.y;
+    this.capital.z = capital.z;
+    this.direction.start.x = screen.x;
+    this.direction.start.y = screen.y;
+    this.direction.start.z = screen.z;
+    this.orientation = new CameraOrientation(orientation.w, orientation.x, orientation.y, orientation.z).normalize();
+
+    const f = this.orientation.forward();
+    this.direction.x = f.x;
+    this.direction.y = f.y;
+    this.direction.z = f.z;
+    this.direction.getAngle();
+    this.getAngle();
+  }
+
+  /**
+   * 随场景节点移动：双眼与屏幕参考点按 p' = position + rotation · (p - origin) 刚体移动，
+   * 姿态左乘 rotation（见 manage/World.js）
+   * 缩放不作用于观察者：双眼到屏幕的距离与屏幕尺寸是物理量
+   * @param {{origin, rotation, position}} transform - 同 Object.applyTransform（忽略 scale）
+   */
+  applyTransform(transform) {
+    const { origin, rotation, position } = transform;
+    const orientation = this.ensureOrientation();
+    for (const p of [this.capital, this.direction.start]) {
+      const r = rotation.rotate({ x: p.x - origin.x, y: p.y - origin.y, z: p.z - origin.z });
+      p.x = position.x + r.x;
+      p.y = position.y + r.y;
+      p.z = position.z + r.z;
+    }
+    orientation._set(rotation.multiply(orientation));
+
+    const f = orientation.forward();
+    this.direction.x = f.x;
+    this.direction.y = f.y;
+    this.direction.z = f.z;
+    this.direction.getAngle();
+    this.getAngle();
+  }
+
+  /**
+   * 水平回正：清除俯仰与滚转，保留偏航
+   */
+  levelHorizon() {
+    const { yaw } = this.ensureOrientation().getYawPitchRoll();
+    this.orientation = CameraOrientation.fromYawPitchRoll(yaw, 0, 0);
+    this._syncDirection();
+  }
+
+  // 俯仰增量限制在 ±PITCH_LIMIT 内
+  _clampPitch(orientation, pitch) {
+    const current = Math.asin(Math.max(-1, Math.min(1, orientation.forward().z)));
+    const limit = Window.PITCH_LIMIT;
+    return Math.max(-limit, Math.min(limit, current + pitch)) - current;
+  }
+
+  // 视线改为姿态 forward，屏幕参考点保持与双眼的距离
+  _syncDirection() {
+    const f = this.orientation.forward();
     const hcd = this.capital.getD(this.direction.start);
-    this.direction.start.x =
-      hcd * Math.cos(camElevation) * Math.sin(camAngle) + this.capital.x;
-    this.direction.start.y =
-      hcd * Math.cos(camElevation) * Math.cos(camAngle) + this.capital.y;
-    this.direction.start.z = hcd * Math.sin(camElevation) + this.capital.z;
-    this.direction.x = Math.cos(camElevation) * Math.sin(camDirAngle);
-    this.direction.y = Math.cos(camElevation) * Math.cos(camDirAngle);
-    this.direction.z = Math.sin(camElevation);
-    this.dirAngle = camAngle;
-    this.direction.dirAngle = camDirAngle;
+    this.direction.x = f.x;
+    this.direction.y = f.y;
+    this.direction.z = f.z;
+    this.direction.start.x = this.capital.x + f.x * hcd;
+    this.direction.start.y = this.capital.y + f.y * hcd;
+    this.direction.start.z = this.capital.z + f.z * hcd;
+    this.direction.getAngle();
+    this.getAngle();
   }
   headMoveTo(headDisFromPane, headHeight, headX) {
     this.capital = this.direction.getPoint(headDisFromPane);
@@ -103,6 +312,7 @@ export class Window {
     this.eyeD = eyeD;
     this.getAngle();
     this.calculatePointToCenter(head, direction);
+    this.screenCamera.updateFromWindow(this);
 
     // 清空网格
     for (let i = 0; i < this.grid.length; i++) {
@@ -110,6 +320,16 @@ export class Window {
         this.grid[i][j].length = 0;
       }
     }
+    if (this.depthBuffer) {
+      this.depthBuffer.clear();
+    }
+    this.meshObjects.length = 0;
+    this.cullStats.tested = 0;
+    this.cullStats.culled = 0;
+    this.newlyVisible = 0;
+    this.lodRefined = 0;
+    // 观察者窗口（立体、非光源）负责记录 object.visibleLastFrame 与 object.lodLevel
+    const tracksVisibility = !light && !!eyeD;
     if (this.eyeD && this.windowObjects.length == 0) {
       const gridConfig =
       {
@@ -138,10 +358,31 @@ export class Window {
     for (let oi = 0; oi < objects.length; oi++) {
       const object = objects[oi];
       // 阶段1修改：优先使用 displayPoints（渲染用），回退到 constructionPoints
-      const renderPoints = (object.displayPoints && object.displayPoints.length > 0)
-        ? object.displayPoints
-        : object.constructionPoints;
-      if (!renderPoints || renderPoints.length === 0) continue;
+      if (object.displayPoints.length === 0 && object.constructionPoints.length === 0) continue;
+
+      // 0. 整物体剔除：包围球完全在视锥外时跳过逐点投影
+      //    （被剔除物体的点保留上一帧的投影字段，使用方以 visibleLastFrame 判断）
+      const visible = this.cullObject(head, direction, object);
+      if (tracksVisibility) {
+        if (visible && object.visibleLastFrame === false) this.newlyVisible++;
+        object.visibleLastFrame = visible;
+      }
+      if (!visible) continue;
+      // 光源窗口：观察者上一帧看不到的物体只进深度缓冲（仍投射阴影），跳过反射计算
+      const receivesLight = !(light && object.visibleLastFrame === false);
+
+      // 细节层次：观察者窗口按投影尺寸选级，光源窗口沿用其上一帧的级别，
+      // 其余窗口（法向量估算）用全量
+      let level = 0;
+      if (tracksVisibility) {
+        level = this.selectLodLevel(head, direction, object);
+        if (level < object.lodLevel) this.lodRefined++;
+        object.lodLevel = level;
+      } else if (light) {
+        level = object.lodLevel;
+      }
+      const renderPoints = object.getRenderPoints(level);
+
       for (let pi = 0; pi < renderPoints.length; pi++) {
         const point = renderPoints[pi];
         // 1. 执行公共基础计算
@@ -151,10 +392,16 @@ export class Window {
           direction,
           point,
         );
-        if (inverseRate === null) continue;
+        if (inverseRate === null || !receivesLight) continue;
         // 2. 执行 A 点特有逻辑
         this.handleAPointSpecific(head, eyeD, point, light, inverseRate);
       }
+
+      // 3. 网格物体：投影三角形/边的顶点（光照/立体窗口才需要，法向量估算窗口跳过）
+      if ((light || eyeD) && receivesLight && Window.hasMeshTopology(object)) {
+        this.calculateMeshVertices(head, eyeD, direction, object, light);
+        this.meshObjects.push(object);
+      }
     }
 
     // 处理 otherObjects 集合（原 calculateOtherPoint 逻辑）
@@ -166,6 +413,9 @@ export class Window {
           ? object.displayPoints
           : object.constructionPoints;
         if (!renderPoints || renderPoints.length === 0) continue;
+        const visible = this.cullObject(head, direction, object);
+        if (tracksVisibility) object.visibleLastFrame = visible;
+        if (!visible) continue;
         for (let pi = 0; pi < renderPoints.length; pi++) {
           const point = renderPoints[pi];
           // 1. 初始化 otherPoint 特有属性（light 初始值）
@@ -197,12 +447,28 @@ export class Window {
     //     }
     //   }
     // }
-    this.calculateNormal();
+    // 深度缓冲模式下网格为空：遮挡由逐像素测试决定，法向量由隐藏窗口（网格模式）估算
+    if (this.occlusionMode === 'grid') {
+      this.calculateNormal();
+    }
   }
 
   calculatePointToCenter(p, direction) {
-    this.vx = direction.cross(0, 0, 1);
-    this.vy = this.vx.cross(direction.x, direction.y, direction.z);
+    if (this.orientation) {
+      // direction 被外部直接改写时按新视线重建姿态（保留滚转）
+      const f = this.orientation.forward();
+      if (f.x * direction.x + f.y * direction.y + f.z * direction.z < 1 - 1e-6) {
+        const { roll } = this.orientation.getYawPitchRoll();
+        this.orientation = CameraOrientation.fromDirection(direction, roll);
+      }
+      const right = this.orientation.right();
+      const up = this.orientation.up();
+      this.vx = new Vector(right.x, right.y, right.z);
+      this.vy = new Vector(up.x, up.y, up.z);
+    } else {
+      this.vx = direction.cross(0, 0, 1);
+      this.vy = this.vx.cross(direction.x, direction.y, direction.z);
+    }
     const cpdx = p.x - direction.start.x;
     const cpdy = p.y - direction.start.y;
     const cpdz = p.z - direction.start.z;
@@ -232,7 +498,7 @@ export class Window {
 
     // 3. 平面距离判断（公共：超出阈值则点无效）
     const disOfPointToHeadPlane = direction.projL(hpdx, hpdy, hpdz);
-    if (this.disOfPointToPlane - disOfPointToHeadPlane > 7.5) {
+    if (this.disOfPointToPlane - disOfPointToHeadPlane > Window.NEAR_REJECT) {
       return null;
     }
 
@@ -273,15 +539,17 @@ export class Window {
     point.yM = yScreen;
     point.dis = disOfPointToHeadPlane;
 
-    // 按距离排序插入网格（公共）
-    let insertIndex = 0;
-    while (
-      insertIndex < this.grid[x_grid][y_grid].length &&
-      this.grid[x_grid][y_grid][insertIndex].dis < point.dis
-    ) {
-      insertIndex++;
+    // 按距离排序插入网格（网格遮挡模式；深度缓冲模式由第 10 步逐像素测试）
+    if (this.occlusionMode === 'grid') {
+      let insertIndex = 0;
+      while (
+        insertIndex < this.grid[x_grid][y_grid].length &&
+        this.grid[x_grid][y_grid][insertIndex].dis < point.dis
+      ) {
+        insertIndex++;
+      }
+      this.grid[x_grid][y_grid].splice(insertIndex, 0, point);
     }
-    this.grid[x_grid][y_grid].splice(insertIndex, 0, point);
 
     // 9. 双眼坐标计算（公共：eyeD 存在时）
     if (eyeD) {
@@ -299,7 +567,7 @@ export class Window {
         point.xM = 0;
         point.yM = 0;
       }
-      const dis = (eyeD / 2) * inverseRate;
+      const dis = ((eyeD / 2) * inverseRate * this.stereoScale) + this.stereoShift / 2;
       const xL = x - dis;
       const xR = x + dis;
       const yLScreen = Math.round(y * this.DPIy);
@@ -311,9 +579,204 @@ export class Window {
       point.yR = yLScreen;
     }
 
+    // 10. 逐像素深度测试（最近点胜出，左右眼分别测试）
+    if (this.depthBuffer) {
+      this.depthBuffer.submit(point, !!eyeD);
+    }
+
     // 返回差异逻辑需用到的 inverseRate（点有效时）
     return inverseRate;
   }
+  /**
+   * 整物体剔除：包围球（Object.getBoundingSphere）是否可能有点通过 calculateBasePoint
+   * 需已执行 calculatePointToCenter
+   * @returns {boolean} false 表示物体一定完全不可见
+   */
+  cullObject(head, direction, object) {
+    this.cullStats.tested++;
+    const visible = this.isSphereVisible(head, direction, object.getBoundingSphere());
+    if (!visible) this.cullStats.culled++;
+    return visible;
+  }
+
+  /**
+   * 包围球与投影视锥的保守相交测试（与 calculateBasePoint 的拒绝条件对应）
+   * - 近处：点到头部平面距离 < disOfPointToPlane - NEAR_REJECT 时被拒绝
+   * - 四个侧面：过头部（中眼）与屏幕四边的平面；左右眼坐标由中眼坐标推出，
+   *   有效性也按中眼判断，故中眼视锥即足够
+   * @param {{center: {x, y, z}, radius: number}} sphere
+   * @returns {boolean}
+   */
+  isSphereVisible(head, direction, sphere) {
+    const { center, radius } = sphere;
+    const hx = center.x - head.x;
+    const hy = center.y - head.y;
+    const hz = center.z - head.z;
+    // 球心到头部平面的距离
+    const d = direction.projL(hx, hy, hz);
+    const D = this.disOfPointToPlane;
+    const nearLimit = D - Window.NEAR_REJECT;
+    if (d + radius < nearLimit) return false;
+    // 近处阈值在头部之后时，头后的点投影会翻转，不做侧面剔除
+    if (nearLimit <= 0) return true;
+
+    // 屏幕中心相对头部在屏幕横 / 竖轴上的偏移
+    const cx = -this.disOfPointProjToPlaneYaxis;
+    const cy = -this.disOfPointProjToPlaneXaxis;
+    const a = this.vx.projL(hx, hy, hz);
+    const b = this.vy.projL(hx, hy, hz);
+    return Window._insideSlab(a, d, D, cx - this.xlength / 2, cx + this.xlength / 2, radius) &&
+      Window._insideSlab(b, d, D, cy - this.ylength / 2, cy + this.ylength / 2, radius);
+  }
+
+  /**
+   * 按包围球投影面积选 LOD 级别：期望点数 = 投影圆面积（像素）× pointsPerPixel × 2
+   * （封闭表面约一半朝向观察者），取点数仍不少于期望值的最粗级别
+   * @returns {number} 级别（0 = 全量）
+   */
+  selectLodLevel(head, direction, object) {
+    const levels = object.getLodLevels();
+    if (!this.lod.enabled || levels.length === 1) return 0;
+    const { center, radius } = object.getBoundingSphere();
+    const d = direction.projL(center.x - head.x, center.y - head.y, center.z - head.z);
+    // 观察者在包围球内或贴近时用全量
+    if (d <= radius) return 0;
+    const r = (radius * this.disOfPointToPlane / d) * this.DPIx;
+    const wanted = Math.PI * r * r * this.lod.pointsPerPixel * 2;
+    let level = 0;
+    while (level + 1 < levels.length && levels[level + 1].length >= wanted) {
+      level++;
+    }
+    return level;
+  }
+
+  /**
+   * 投影坐标 a·D/d 落在 (lo, hi) 内 ⇔ 点在两个过头部的平面之间：
+   * a·D - lo·d > 0 且 hi·d - a·D > 0（法向长度分别为 hypot(D, lo)、hypot(D, hi)）
+   * 球心到任一平面外侧超过 radius 即不可见
+   */
+  static _insideSlab(a, d, D, lo, hi, radius) {
+    if (a * D - lo * d < -radius * Math.hypot(D, lo)) return false;
+    if (hi * d - a * D < -radius * Math.hypot(D, hi)) return false;
+    return true;
+  }
+
+  /**
+   * 物体是否带可光栅化的拓扑（三角形或任一类边）
+   */
+  static hasMeshTopology(object) {
+    const topology = object.representation?.topology;
+    if (!topology) return false;
+    return topology.triangles?.length > 0 ||
+      topology.edges?.length > 0 ||
+      topology.internalEdges?.length > 0 ||
+      topology.skinBoneEdges?.length > 0;
+  }
+
+  /**
+   * 投影网格物体的建构点（三角形/边的顶点）
+   *
+   * 与 calculateBasePoint 的区别：
+   * - 不做屏幕边界裁剪（跨越屏幕边缘的三角形仍需完整顶点坐标）
+   * - 保留亚像素精度，写入 point.proj = { xM, xL, xR, y, dis, valid }
+   * - 不进入网格与深度缓冲（由渲染器按三角形逐像素测试）
+   *
+   * 顶点法向量按相邻三角形面积加权重算（布料/软体每帧形变）；
+   * 只有存在内部边 / 皮骨边时才投影内部点
+   */
+  calculateMeshVertices(head, eyeD, direction, object, light) {
+    const vertices = object.constructionPoints;
+    const topology = object.representation.topology;
+    if (topology.triangles?.length > 0) {
+      Window.computeVertexNormals(vertices, object.surfaceCount, topology.triangles);
+    }
+
+    const hasInternalEdges = topology.internalEdges?.length > 0 || topology.skinBoneEdges?.length > 0;
+    const count = hasInternalEdges ? vertices.length : object.surfaceCount;
+    for (let i = 0; i < count; i++) {
+      const point = vertices[i];
+      const inverseRate = this.projectVertex(head, eyeD, direction, point);
+      if (inverseRate === null) continue;
+      this.handleAPointSpecific(head, eyeD, point, light, inverseRate);
+    }
+  }
+
+  /**
+   * 单顶点投影（不裁剪，亚像素）
+   * @returns {number|null} inverseRate，点过近（与 calculateBasePoint 同一近裁剪）时返回 null
+   */
+  projectVertex(head, eyeD, direction, point) {
+    if (!point.proj) {
+      point.proj = { xM: 0, xL: 0, xR: 0, y: 0, dis: 0, valid: false };
+    }
+    const proj = point.proj;
+    proj.valid = false;
+
+    const hpdx = point.x - head.x;
+    const hpdy = point.y - head.y;
+    const hpdz = point.z - head.z;
+    point.dir = Math.sqrt(hpdx * hpdx + hpdy * hpdy + hpdz * hpdz);
+
+    const disOfPointToHeadPlane = direction.projL(hpdx, hpdy, hpdz);
+    if (this.disOfPointToPlane - disOfPointToHeadPlane > Window.NEAR_REJECT || disOfPointToHeadPlane <= 0) {
+      return null;
+    }
+
+    const rate = this.disOfPointToPlane / disOfPointToHeadPlane;
+    const inverseRate = 1 - rate;
+    const y =
+      this.ylength / 2 -
+      (this.disOfPointProjToPlaneXaxis + this.vy.projL(hpdx, hpdy, hpdz) * rate);
+    const x =
+      this.xlength / 2 +
+      this.disOfPointProjToPlaneYaxis +
+      this.vx.projL(hpdx, hpdy, hpdz) * rate;
+    const eyeOffset = eyeD ? ((eyeD / 2) * inverseRate * this.stereoScale) + this.stereoShift / 2 : 0;
+
+    proj.xM = x * this.DPIx;
+    proj.xL = (x - eyeOffset) * this.DPIx;
+    proj.xR = (x + eyeOffset) * this.DPIx;
+    proj.y = y * this.DPIy;
+    proj.dis = disOfPointToHeadPlane;
+    proj.valid = true;
+    point.dis = disOfPointToHeadPlane;
+    return inverseRate;
+  }
+
+  /**
+   * 面积加权顶点法向量（三角形朝外，见 GeometryImpl._isTriangleOutwardFacing）
+   */
+  static computeVertexNormals(vertices, count, triangles) {
+    for (let i = 0; i < count; i++) {
+      vertices[i].nx = 0;
+      vertices[i].ny = 0;
+      vertices[i].nz = 0;
+    }
+    for (const [a, b, c] of triangles) {
+      const pa = vertices[a], pb = vertices[b], pc = vertices[c];
+      if (!pa || !pb || !pc) continue;
+      const e1x = pb.x - pa.x, e1y = pb.y - pa.y, e1z = pb.z - pa.z;
+      const e2x = pc.x - pa.x, e2y = pc.y - pa.y, e2z = pc.z - pa.z;
+      const nx = e1y * e2z - e1z * e2y;
+      const ny = e1z * e2x - e1x * e2z;
+      const nz = e1x * e2y - e1y * e2x;
+      for (const p of [pa, pb, pc]) {
+        p.nx += nx;
+        p.ny += ny;
+        p.nz += nz;
+      }
+    }
+    for (let i = 0; i < count; i++) {
+      const p = vertices[i];
+      const len = Math.sqrt(p.nx * p.nx + p.ny * p.ny + p.nz * p.nz);
+      if (len > 1e-10) {
+        p.nx /= len;
+        p.ny /= len;
+        p.nz /= len;
+      }
+    }
+  }
+
   handleAPointSpecific(head, eyeD, point, light, inverseRate) {
     // 1. A点特有：light 初始值（OtherPoint 初始值为1，此处为0.5）
     point.light = 0.4;
@@ -321,7 +784,9 @@ export class Window {
     // 2. A点特有：eyeD 存在时的屏幕边界校验与光照计算
     if (eyeD) {
       // 法向量与光照计算（OtherPoint 无此逻辑）
-      if (point.rx != 0 || point.ry != 0 || point.rz != 0) {
+      if (this.lights.length > 0) {
+        point.light *= this.accumulateLights(head, point);
+      } else if (point.rx != 0 || point.ry != 0 || point.rz != 0) {
         const hpdx = point.x - head.x;
         const hpdy = point.y - head.y;
         const hpdz = point.z - head.z;
@@ -366,7 +831,62 @@ export class Window {
       point.rx *= attenuation;
       point.ry *= attenuation;
       point.rz *= attenuation;
+
+      // 多光源：按光源强度/衰减/聚光锥缩放后存入该光源的槽位
+      if (this.lightSource) {
+        const factor = this.lightSource.factorAt(point);
+        if (!point.lightContribs) point.lightContribs = {};
+        const slot = point.lightContribs[this.lightSource.id] ??= { rx: 0, ry: 0, rz: 0, visibility: 1 };
+        slot.rx = point.rx * factor;
+        slot.ry = point.ry * factor;
+        slot.rz = point.rz * factor;
+      }
+    }
+  }
+
+  /**
+   * 多光源亮度累加（主窗口）
+   * 每个光源的反射分量按原单光源公式求 projR，乘以阴影可见比例后求和；
+   * 有色光源同时按贡献加权混合出 point.tint（白光为 null），
+   * point.shadow 记录被遮挡的直射光比例
+   * @returns {number} 反射项之和（未乘 0.4 基础系数）
+   */
+  accumulateLights(head, point) {
+    point.tint = null;
+    point.shadow = 0;
+    const contribs = point.lightContribs;
+    if (!contribs) return 0;
+
+    const hpdx = point.x - head.x;
+    const hpdy = point.y - head.y;
+    const hpdz = point.z - head.z;
+    const projN = -hpdx * point.nx + -hpdy * point.ny + -hpdz * point.nz;
+    if (projN <= 0) return 0;
+
+    let sum = 0;
+    let tr = 0, tg = 0, tb = 0;
+    let colored = false;
+    let unshadowed = 0;
+    for (const source of this.lights) {
+      const slot = contribs[source.id];
+      if (!slot) continue;
+      const projR = (-hpdx * slot.rx + -hpdy * slot.ry + -hpdz * slot.rz) / point.dir;
+      if (projR <= 0) continue;
+      unshadowed += projR;
+      // 阴影：按光源深度缓冲的可见比例（PCF）削弱直射项
+      const lit = projR * slot.visibility;
+      if (lit <= 0) continue;
+      sum += lit;
+      tr += lit * source.color[0];
+      tg += lit * source.color[1];
+      tb += lit * source.color[2];
+      if (!source.isWhite) colored = true;
+    }
+    point.shadow = unshadowed > 0 ? 1 - sum / unshadowed : 0;
+    if (colored && sum > 0) {
+      point.tint = [tr / sum / 255, tg / sum / 255, tb / sum / 255];
     }
+    return sum;
   }
   calculateNormal() {
     // 遍历每个网格单元
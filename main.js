@@ -1,37 +1,120 @@
 import { Window } from "./base/Window.js";
 import { Object } from "./base/Object.js";
 import { Point } from "./base/Point.js";
+import { CameraOrientation } from "./base/CameraOrientation.js";
 import { Vector } from "./base/Vector.js";
+import { DisplayProfileRegistry } from "./base/DisplayProfile.js";
+import { StereoComfort } from "./base/StereoComfort.js";
+import { ScalarField } from "./base/ScalarField.js";
 import { Classifier } from "./math/Classifier.js";
+import { World } from "./manage/World.js";
+import { SceneSerializer } from "./manage/SceneSerializer.js";
+import {
+  CommandHistory, CreateObjectCommand, FixPointCommand, GroupCommand, MovePointCommand,
+} from "./manage/CommandHistory.js";
+import { CommandConsole } from "./manage/CommandConsole.js";
+import { Picker, SelectionSet } from "./manage/Picker.js";
+import { AnaglyphProfileRegistry } from "./render/AnaglyphProfile.js";
+import { StereoRenderer } from "./render/StereoRenderer.js";
+import { WebGLRenderer } from "./render/WebGLRenderer.js";
+import { CalibrationWizard } from "./render/CalibrationWizard.js";
+import { ColormapRegistry } from "./render/Colormap.js";
+import { StereoCapture, SequenceRecorder } from "./render/StereoCapture.js";
 
 // ========================
 // 1. 配置参数（预留接口）
 // ========================
 const CONFIG = {
-  // 显示器物理尺寸（厘米）
-  screenXLengthCm: 31.0,
-  screenYLengthCm: 17.4,
-  screenWidth: 1920,
-  screenHeight: 1080,
-  // 双眼瞳距（厘米）
-  eyeD: 6.3,
+  // 显示配置（见 base/DisplayProfile.js）：像素密度、整屏分辨率、瞳距、观看距离、
+  // 眼镜串扰校准。内置 'laptop-31cm'（31.0 × 17.4 cm，1920 × 1080，瞳距 6.3 cm）；
+  // I 键进入校准向导生成新配置，O 键循环切换已保存的配置
+  displayProfile: 'laptop-31cm',
+  // 用户配置在 localStorage 中的键名
+  displayProfileStorageKey: 'stereo.displayProfiles',
 
   // ========== 阶段1修改：用户/场景布置 ==========
-  // 显示模式: '3D_LR'(左红右蓝), '3D_RL'(左蓝右红), '2D'(纯2D紫色)
+  // 显示模式: '3D_LR'(左眼用左镜片色), '3D_RL'(左右互换), '2D'(纯2D单色),
+  //          'DUBOIS'(逐点真彩色，Dubois 最小二乘合成),
+  //          'SBS' / 'SBS_CROSS'(左右半宽并排 / 交叉眼), 'TB'(上下半高),
+  //          'ROW_INTERLACED' / 'COL_INTERLACED'(行 / 列交错，被动 3D 显示器),
+  //          'LEFT_EYE' / 'RIGHT_EYE'(只显示一只眼)
   displayMode: '3D_LR',
+  // DUBOIS 模式的投影矩阵: 'red-cyan' | 'green-magenta' | 'amber-blue'
+  duboisVariant: 'red-cyan',
+  // 互补色眼镜配置: 'red-blue' | 'red-cyan' | 'green-magenta' | 'amber-blue'
+  // （见 render/AnaglyphProfile.js，K 键运行时循环切换）
+  anaglyphProfile: 'red-blue',
+  // 眼镜串扰校准（U 键进入校准画面）：每次按键调整的比例步长，
+  // 结果随当前显示配置保存
+  crosstalkStep: 0.005,
+  // 网格物体（带拓扑）样式: 'points'(只画点) | 'surface'(逐眼光栅化三角形) |
+  //          'wireframe'(抗锯齿边线，表面边/内部边/皮骨边各一色) | 'surface+wireframe'
+  // （J 键运行时循环切换）
+  meshStyle: 'surface',
+  // 景深：以屏幕平面（零视差）为焦平面，离焦点扩散变大变暗（H 键开关）
+  // strength: 每单位相对离焦的弥散半径（像素）；minScale: 模糊后亮度下限
+  depthOfField: { enabled: false, strength: 3, minScale: 0.25 },
+  // 标量着色（见 base/ScalarField.js、render/Colormap.js）：逐点标量经色图映射为颜色 /
+  // 互补色亮度，在立体视图中直接查看布料、软体的应变分布（A 键循环切换 field，D 键切换色图）
+  // field: null(关闭) | 'curvature'(平均曲率) | 'strain'(约束应变) | 'signedDistance'(到球谐表面)
+  // colormap: 'viridis' | 'inferno' | 'magma' | 'gray'（明度单调，互补色模式下次序不变）
+  // range: null 自动（应变 / 符号距离关于 0 对称），或 [min, max] 固定区间
+  scalarField: { field: null, colormap: 'viridis', range: null },
+  // 截图与序列录制（见 render/StereoCapture.js，总走 CPU 渲染，输出确定）：
+  // 1 键当前画面 PNG，2 键左右眼各一张，3 键全分辨率立体对，4 键仿 MPO 的 JSON 包；
+  // 5 键开始 / 停止录制：按 sequence.frameRate 的固定模拟步长逐帧推进并下载编号文件，
+  // 与显示刷新率无关，录制中视角按 orbitDegPerSecond 绕旋转中心匀速环绕（转台）
+  capture: {
+    prefix: 'stereo_',
+    sequence: { frameRate: 30, frames: 120, format: 'png', prefix: 'frame_', digits: 5 },
+    orbitDegPerSecond: 30,
+  },
+  // 场景文件（见 manage/SceneSerializer.js）：6 键保存为 JSON，7 键读取；
+  // 文件含物体、光源、节点层级、相机位姿与 SCENE_CONFIG_KEYS 列出的显示参数
+  // shMaxOrder: 读取球谐表面时注入的球谐函数实例阶数（不低于文件中的拟合阶数）
+  scene: { fileName: 'scene.json', shMaxOrder: 10 },
+  // 撤销 / 重做（见 manage/CommandHistory.js，Ctrl+Z 撤销，Ctrl+Y 或 Ctrl+Shift+Z 重做）：
+  // maxCommands / maxBytes: 保留的步数与内存预算；mergeWindowMs: 拖动中连续移动合并为一步的间隔
+  history: { maxCommands: 200, maxBytes: 32 * 1024 * 1024, mergeWindowMs: 500 },
+  // 命令控制台（见 manage/CommandConsole.js）：` 键打开，Esc 关闭，↑/↓ 翻阅输入历史；
+  // 程序内可调用 window.execute("sphere 0 50 0 3")，输入 help 查看全部命令
+  console: { toggleKey: '`', historySize: 50 },
+  // 鼠标拾取（见 manage/Picker.js）：悬停高亮，单击选中，Shift+单击加入 / 移出选择集；
+  // radiusPx: 点命中半径；clickTolerancePx: 按下到松开移动不超过该距离视为单击（否则为拖拽环绕）
+  picking: { radiusPx: 6, clickTolerancePx: 3, hoverColor: '#ffff00', selectColor: '#00ffff' },
+  // 物理模拟（math/PhysicsSystem.js，由 index.html 以普通脚本引入；控制台 physics on 启用）：
+  // 场景以 Z 为竖直方向，重力沿 -Z；地面按 Y 判定，放到远处即不参与
+  // maxStep: 单帧最大模拟步长（秒），掉帧时不一次推进过多
+  physics: { gravity: { x: 0, y: 0, z: -9.8 }, groundY: -1e6, maxStep: 1 / 30 },
+  // 立体舒适限制（见 base/StereoComfort.js，Y 键循环切换 mode）：
+  // mode: 'off'(只警告) | 'shift'(移辐辏平面) | 'compress'(压缩景深) | 'auto'(先移后压)
+  // crossedDeg / uncrossedDeg: 出屏 / 入屏角度视差预算（度）；超出时右上角显示警告
+  comfort: { mode: 'auto', crossedDeg: 1, uncrossedDeg: 1, smoothing: 0.2, minScale: 0.2 },
+  // 显示点细节层次：按物体投影尺寸从全量、1/2、1/4……中选级
+  // pointsPerPixel: 投影面积内每像素期望的点数，越小越早降级
+  lod: { enabled: true, pointsPerPixel: 1 },
+  // 渲染后端（启动时选定）: 'cpu'(StereoRenderer，参考实现) |
+  //          'webgl2'(WebGLRenderer，点位置常驻 GPU，大点云用) | 'auto'(有 WebGL2 即用)
+  // WebGL2 不可用时回退到 CPU
+  renderBackend: 'cpu',
   // 坐标系布置（厘米）：
   // - 旋转中心 = 原点 (0, 0, 0)
-  // - 双眼在 +Y 方向，距原点 userDistanceFromOrigin
   // - 屏幕在 +Y 方向，距原点 screenDistance
+  // - 双眼在屏幕前显示配置的 viewingDistance 处（默认 40，即距原点 10）
   userEyeHeight: 0,              // Z 高度（统一为 0）
-  userDistanceFromOrigin: 10,    // 双眼到旋转中心距离
   screenDistance: 50,            // 屏幕到旋转中心距离
   // =============================================
 
-  // 光源初始位置（可参数化，后期支持操作移动）
-  lightX: 5,
-  lightY: 15,
-  lightZ: 0,
+  // 光源列表（见 base/Light.js），每项一个光源窗口，主窗口逐光源累加亮度
+  // type: 'point' | 'directional' | 'spot'；color: RGB；falloff: 1/(1+k·d²)；
+  // spot 另有 innerAngle / outerAngle（弧度），directional 需 direction；
+  // shadow: { enabled, bias(厘米，防自遮挡), radius(像素，PCF 软边半径) }
+  lights: [
+    {
+      name: 'key', type: 'point', position: { x: 5, y: 15, z: 0 }, intensity: 1.0,
+      shadow: { enabled: true, bias: 0.5, radius: 1 },
+    },
+  ],
   // 点云密度
   spherePoints: 1000,
   cubePoints: 250,
@@ -40,8 +123,11 @@ const CONFIG = {
   moveSpeed: 0.5,
   minElevation: -Math.PI / 2 + 0.1,
   maxElevation: Math.PI / 2 - 0.1,
-  // 拖拽旋转灵敏度
+  // 拖拽旋转灵敏度（水平拖拽 = 环绕偏航，竖直拖拽 = 环绕俯仰）
   dragRotationSpeed: 0.01,
+  // 原地俯仰（W/S）与滚转（Q/E）速度（弧度/帧）
+  lookSpeed: 0.025,
+  rollSpeed: 0.025,
   // 隐藏窗口估算次数
   normalEstimationIterations: 500,
   normalEstimationRadius: 15,
@@ -208,30 +294,11 @@ function createSphereWithMeridians(
   y0,
   z0,
   radius = 2.5,
-  numMeridians = 12,     // 每组大圆的数量（实际每组只有1个，但可旋转生成多个）
   pointsPerCircle = 50
 ) {
   const points = [];
 
-  // 1. XY 平面大圆（绕Z轴）及其旋转副本
-  const angleStep = (2 * Math.PI) / numMeridians;
-  for (let i = 0; i < numMeridians; i++) {
-    const angle = i * angleStep;
-    for (let p = 0; p <= pointsPerCircle; p++) {
-      const theta = (p / pointsPerCircle) * 2 * Math.PI;
-      // 基础圆在 XY 平面
-      let x = radius * Math.cos(theta);
-      let y = radius * Math.sin(theta);
-      let z = 0;
-      // 绕 Z 轴旋转 angle（其实不需要，因为XY平面圆绕Z轴旋转还是自己）
-      // 但为了生成多条，我们可以绕其他轴旋转这个圆
-      // 更好的方式：直接生成三个坐标平面的圆
-
-      // 实际上，我们只需要三个正交圆，然后可以旋转它们
-    }
-  }
-
-  // 更简单：直接生成三个正交大圆
+  // 三个正交大圆
   // 圆1: XY平面 (z=z0)
   for (let p = 0; p <= pointsPerCircle; p++) {
     const theta = (p / pointsPerCircle) * 2 * Math.PI;
@@ -281,16 +348,28 @@ function createTestScene() {
   ];
 }
 
+// 场景：物体、光源与观察者窗口挂在场景图节点上，光照目标为物体所在位置
+const world = new World({
+  lightTarget: { x: 0, y: CONFIG.screenDistance, z: CONFIG.userEyeHeight },
+  // 普通脚本的类声明不挂在 window 上，只能按名称检查
+  physics: typeof PhysicsSystem !== "undefined" ? new PhysicsSystem(CONFIG.physics) : null,
+});
+for (const object of createTestScene()) {
+  world.addObject(object);
+}
+
 const SystemState = {
   ifControl: true,
-  // 对象列表
-  objects: createTestScene(),
-  otherObjects: [], // 例如光源点
+  world,
+  // 对象列表（场景数组的引用，增删经由 world）
+  objects: world.objects,
+  otherObjects: world.otherObjects, // 例如光源点
 
   // 窗口实例
   hiddenWindow: null,
-  lightWindow: null,
   mainWindow: null,
+  // 光源注册表（每个光源持有自己的隐藏光源窗口）
+  lights: world.lights,
 
   // 旋转中心（阶段1新增）
   rotationCenter: null,
@@ -311,6 +390,47 @@ const SystemState = {
   ctx: null,
   debugDiv: null,
 
+  // CPU 渲染器（像素缓冲、Dubois 合成缓冲跨帧复用）
+  renderer: new StereoRenderer(),
+  // WebGL2 渲染器（renderBackend 选中且可用时创建，此时 ctx 为 null）
+  glRenderer: null,
+  renderBackend: 'cpu',
+  // 立体舒适限制（每帧统计视差，修正下一帧的 stereoScale / stereoShift）
+  comfort: new StereoComfort(CONFIG.comfort),
+  comfortHud: null,
+  // 当前显示配置（DisplayProfile），窗口尺寸与瞳距都取自它
+  display: null,
+  // 串扰校准画面（显示测试图代替场景）
+  crosstalkCalibration: false,
+  // 显示校准向导（CalibrationWizard，进行中时显示测试图代替场景）
+  wizard: null,
+  // 截图（独立的 CPU 渲染器）与进行中的序列录制（SequenceRecorder）
+  capture: new StereoCapture(),
+  captureCount: 0,
+  recorder: null,
+  // 场景与物体编辑的撤销 / 重做（创建物体与控制台 move / fix 对选中点的编辑都经由它执行）
+  history: new CommandHistory(CONFIG.history),
+  // 命令控制台（命令注册见 registerConsoleCommands）与其 DOM、输入历史
+  console: new CommandConsole(),
+  consoleDiv: null,
+  consoleOutput: null,
+  consoleInput: null,
+  consoleHistory: [],
+  consoleHistoryIndex: 0,
+  // 拟合与读取场景共用的球谐函数实例（首次使用时创建）
+  sphericalHarmonics: null,
+  // 上一次推进物理模拟的时间（毫秒，null = 模拟未运行）
+  lastPhysicsTime: null,
+  // 经控制台创建的物体计数（生成默认名称）
+  createdCount: 0,
+  // 鼠标拾取：悬停中的拾取结果与选择集（供编辑工具读取）
+  picker: new Picker(CONFIG.picking),
+  selection: new SelectionSet(),
+  hover: null,
+  // 鼠标按下位置（区分单击与拖拽）
+  mouseDownX: 0,
+  mouseDownY: 0,
+
   // 画布尺寸
   screenWidthPx: window.innerWidth,
   screenHeightPx: window.innerHeight,
@@ -509,40 +629,53 @@ function processQueue(dataList, num, maxLength = 5, tol = 0.1) {
 async function init() {
   // 改为 async
   // 创建 DOM 元素
-  SystemState.canvas = document.createElement("canvas");
-  SystemState.ctx = SystemState.canvas.getContext("2d");
+  initRenderBackend();
   SystemState.debugDiv =
     document.getElementById("debug") || document.createElement("div");
   SystemState.debugDiv.id = "debug";
   if (!document.getElementById("debug")) {
     document.body.appendChild(SystemState.debugDiv);
   }
+  SystemState.comfortHud =
+    document.getElementById("comfort") || document.createElement("div");
+  SystemState.comfortHud.id = "comfort";
+  if (!document.getElementById("comfort")) {
+    document.body.appendChild(SystemState.comfortHud);
+  }
 
   // 设置画布大小
   resizeCanvas();
 
-  // 创建窗口实例
+  // 显示配置（已保存的用户配置 + 串扰校准）
+  loadDisplayProfiles();
+  const display = DisplayProfileRegistry.get(CONFIG.displayProfile);
+  SystemState.display = display;
+  AnaglyphProfileRegistry.importCalibration(display.crosstalk);
+
+  // 创建窗口实例：隐藏窗口与光源窗口覆盖整屏物理尺寸，主窗口按画布像素换算
   SystemState.hiddenWindow = new Window(
     SystemState.screenWidthPx,
     SystemState.screenHeightPx,
-    CONFIG.screenXLengthCm,
-    CONFIG.screenYLengthCm,
+    display.screenXLengthCm,
+    display.screenYLengthCm,
     "hidden",
   );
-  SystemState.lightWindow = new Window(
+  SystemState.lights.resize(
     SystemState.screenWidthPx,
     SystemState.screenHeightPx,
-    CONFIG.screenXLengthCm,
-    CONFIG.screenYLengthCm,
-    "light",
+    display.screenXLengthCm,
+    display.screenYLengthCm,
   );
-  SystemState.mainWindow = new Window(
+  for (const options of CONFIG.lights) {
+    SystemState.world.addLight(options);
+  }
+  SystemState.mainWindow = display.createWindow(
     window.innerWidth,
     window.innerHeight,
-    (window.innerWidth / CONFIG.screenWidth) * CONFIG.screenXLengthCm,
-    (window.innerHeight / CONFIG.screenHeight) * CONFIG.screenYLengthCm,
     "main",
+    { depthBuffer: true },
   );
+  SystemState.mainWindow.lod = { ...CONFIG.lod };
 
   // ========== 阶段1修改：用户初始位置 ==========
   const eyeZ = CONFIG.userEyeHeight;
@@ -550,8 +683,8 @@ async function init() {
   // 旋转中心 = 原点
   SystemState.rotationCenter = new Point(0, 0, eyeZ);
 
-  // 双眼位置 = 原点向 +Y 方向偏移
-  SystemState.mainWindow.capital = new Point(0, CONFIG.userDistanceFromOrigin, eyeZ);
+  // 双眼位置 = 屏幕前观看距离处
+  SystemState.mainWindow.capital = new Point(0, CONFIG.screenDistance - display.viewingDistance, eyeZ);
 
   // 视线方向：从双眼指向屏幕（+Y 方向）
   // direction.start = 屏幕参考点（屏幕平面上的锚点）
@@ -561,9 +694,11 @@ async function init() {
     0, CONFIG.screenDistance + 1, eyeZ   // 方向 = +Y
   );
   // 结果：direction.start = (0, 50, 0)，direction = (0, 1, 0)
+  // 相机姿态（四元数）：之后的转向 / 俯仰 / 滚转 / 环绕都经由它更新 vx、vy
+  SystemState.mainWindow.ensureOrientation();
+  SystemState.world.addWindow(SystemState.mainWindow, { eyeD: display.eyeD });
   // =============================================
 
-
   // 估算法向量
   estimateNormals();
 
@@ -575,14 +710,34 @@ async function init() {
 
   // 设置事件监听器
   setupEventListeners();
+  initConsole();
 
   // 初始化摄像头
   await initCamera(); // 等待摄像头初始化
   // initCameraDisplay();
-  SystemState.debugDiv.textContent = "初始化完成";
+  SystemState.debugDiv.textContent = `初始化完成（渲染后端: ${SystemState.renderBackend}）`;
   console.log("初始化完成");
 }
 
+// 渲染后端选择：画布取得 webgl2 上下文后不能再取 2d，
+// 失败时换一块新画布给 CPU 后端
+function initRenderBackend() {
+  if (CONFIG.renderBackend !== 'cpu') {
+    const canvas = document.createElement("canvas");
+    try {
+      SystemState.glRenderer = new WebGLRenderer(canvas);
+      SystemState.canvas = canvas;
+      SystemState.renderBackend = 'webgl2';
+      return;
+    } catch (error) {
+      console.warn(`[main] WebGL2 backend unavailable, falling back to CPU: ${error.message}`);
+    }
+  }
+  SystemState.canvas = document.createElement("canvas");
+  SystemState.ctx = SystemState.canvas.getContext("2d");
+  SystemState.renderBackend = 'cpu';
+}
+
 // ========================
 // 7. 法向量估算
 // ========================
@@ -615,379 +770,993 @@ function estimateNormals() {
 // 8. 光源更新
 // ========================
 function updateLight() {
-  const eyeZ = CONFIG.userEyeHeight;
-  const targetY = CONFIG.screenDistance;  // 光照目标：物体所在位置
-
-  // 光源位置（使用 CONFIG 参数）
-  const lightX = CONFIG.lightX;
-  const lightY = CONFIG.lightY;
-  const lightZ = CONFIG.lightZ;
-
-  const lightDir = new Vector(0, 0, 0);
-  // 光源从光源位置指向物体中心（0, targetY, eyeZ）
-  lightDir.normalInit(lightX, lightY, lightZ, 0, targetY, eyeZ);
-  const lightCamPos = lightDir.getPoint(-5);
-
-  SystemState.lightWindow.calculate(
-    lightCamPos,
-    0,
-    lightDir,
-    SystemState.objects,
-    1.0,
-    SystemState.otherObjects,
-  );
+  // 场景节点的移动先落到物体与光源上，再计算光源窗口
+  SystemState.world.updateTransforms();
+  SystemState.world.updateLights();
+
   SystemState.otherObjects.length = 0;
-  // 光源小球放在实际光源位置
-  SystemState.otherObjects.push(
-    createSphere(lightX, lightY, lightZ, 0.5, 20),
-  );
+  // 光源小球放在实际光源位置（平行光没有位置）
+  for (const light of SystemState.mainWindow.lights) {
+    if (light.type === 'directional') continue;
+    const { x, y, z } = light.position;
+    SystemState.otherObjects.push(createSphere(x, y, z, 0.5, 20));
+  }
 }
 
 // ========================
 // 9. 相机更新
 // ========================
 function updateCamera() {
-  SystemState.mainWindow.calculate(
-    SystemState.mainWindow.capital,
-    CONFIG.eyeD,
-    SystemState.mainWindow.direction,
-    SystemState.objects,
-    0,
-    SystemState.otherObjects,
-  );
+  SystemState.world.updateTransforms();
+  SystemState.world.project();
 }
 
 // ========================
 // 10. 渲染函数（基于putImageData批量绘图优化，支持邻接点绘制规则）
-// ========================// 1. 预计算固定色相的RGB颜色表（仅初始化一次，避免循环内复杂计算）
-// 色相：红(0)、蓝(240)、紫(285)；饱和度：红/蓝(100%)、紫(90%)
-const COLOR_LUT = (() => {
-  const factor = 10; // 用于将小数亮度转换为数组索引的因子
-  const maxBrightnessRed = 35; // 对应 baseLight = 35
-  const maxBrightnessBluePurple = 50; // 对应 baseLight = 50
-
-  // 计算数组大小
-  const sizeRed = Math.round(maxBrightnessRed * factor) + 1; // 0 到 3500 (含)
-  const sizeBluePurple = Math.round(maxBrightnessBluePurple * factor) + 1; // 0 到 5000 (含)
-
-  const lut = {
-    red: new Array(sizeRed), // 索引 0 到 3500
-    blue: new Array(sizeBluePurple), // 索引 0 到 5000
-    purple: new Array(sizeBluePurple), // 索引 0 到 5000
-  };
+// ========================
+// 1. 颜色查找表由互补色眼镜配置提供（render/AnaglyphProfile.js），
+//    每个配置首次使用时预计算一次，运行时可通过 setAnaglyphProfile 切换
+function setAnaglyphProfile(name) {
+  const profile = AnaglyphProfileRegistry.get(name);
+  CONFIG.anaglyphProfile = profile.name;
+  SystemState.ifControl = true;
+  SystemState.debugDiv.textContent = `眼镜配置: ${profile.label}`;
+  return profile;
+}
 
-  // 基础HSL转RGB（仅用于预计算，不在循环中调用）
-  const hslToRgb = (h, s, l) => {
-    s /= 100;
-    l /= 100;
-    const k = (n) => (n + h / 30) % 12;
-    const a = s * Math.min(l, 1 - l);
-    const f = (n) =>
-      l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
-    return [
-      Math.round(f(0) * 255),
-      Math.round(f(8) * 255),
-      Math.round(f(4) * 255),
-    ];
-  };
+// 串扰校准：渲染时读眼镜配置上的比例（AnaglyphProfile.crosstalk），
+// 保存时随当前显示配置持久化
+function saveCrosstalkCalibration() {
+  SystemState.display.crosstalk = AnaglyphProfileRegistry.exportCalibration();
+  saveDisplayProfiles();
+}
+
+function showCrosstalk() {
+  const profile = AnaglyphProfileRegistry.get(CONFIG.anaglyphProfile);
+  const { leftToRight, rightToLeft } = profile.crosstalk;
+  SystemState.debugDiv.textContent =
+    `串扰校准（${profile.label}）: 左→右 ${(leftToRight * 100).toFixed(1)}% [ ] 调整，` +
+    `右→左 ${(rightToLeft * 100).toFixed(1)}% - = 调整；U 退出`;
+}
+
+// 校准画面：闭一只眼，调到条纹重影消失（见 StereoRenderer.renderCrosstalkPattern）
+function toggleCrosstalkCalibration() {
+  if (SystemState.wizard) return;
+  if (SystemState.glRenderer) {
+    SystemState.debugDiv.textContent = "串扰校准画面需要 CPU 渲染后端";
+    return;
+  }
+  SystemState.crosstalkCalibration = !SystemState.crosstalkCalibration;
+  SystemState.ifControl = true;
+  if (SystemState.crosstalkCalibration) {
+    showCrosstalk();
+  } else {
+    SystemState.debugDiv.textContent = "串扰校准已保存";
+  }
+}
+
+function adjustCrosstalk(key, delta) {
+  const profile = AnaglyphProfileRegistry.get(CONFIG.anaglyphProfile);
+  profile.setCrosstalk({ [key]: profile.crosstalk[key] + delta });
+  saveCrosstalkCalibration();
+  SystemState.ifControl = true;
+  showCrosstalk();
+}
 
-  // 预计算红色（h=0, s=100%）：亮度0-35
-  for (let i = 0; i < sizeRed; i++) {
-    const l = i / factor; // 例如 i=150 -> l=1.5
-    lut.red[i] = hslToRgb(0, 100, l);
+// ========================
+// 显示配置与校准向导
+// ========================
+function loadDisplayProfiles() {
+  try {
+    const saved = localStorage.getItem(CONFIG.displayProfileStorageKey);
+    if (saved) DisplayProfileRegistry.importProfiles(JSON.parse(saved));
+  } catch (error) {
+    console.warn(`[main] Failed to load display profiles: ${error.message}`);
   }
+}
 
-  // 预计算蓝色（h=240, s=100%）：亮度0-50
-  for (let i = 0; i < sizeBluePurple; i++) {
-    const l = i / factor;
-    lut.blue[i] = hslToRgb(240, 100, l);
+function saveDisplayProfiles() {
+  try {
+    localStorage.setItem(
+      CONFIG.displayProfileStorageKey,
+      JSON.stringify(DisplayProfileRegistry.exportProfiles()),
+    );
+  } catch (error) {
+    console.warn(`[main] Failed to save display profiles: ${error.message}`);
   }
+}
+
+// 切换显示配置：窗口按新像素密度换算物理尺寸，双眼移到新观看距离，载入其串扰校准
+function applyDisplayProfile(profile) {
+  SystemState.display = profile;
+  CONFIG.displayProfile = profile.name;
+  const hidden = SystemState.hiddenWindow;
+  hidden.resizeRefresh(hidden.width, hidden.height, profile.screenXLengthCm, profile.screenYLengthCm);
+  SystemState.lights.resize(
+    SystemState.screenWidthPx,
+    SystemState.screenHeightPx,
+    profile.screenXLengthCm,
+    profile.screenYLengthCm,
+  );
+  const main = SystemState.mainWindow;
+  profile.resizeWindow(main);
+  SystemState.world.setEyeD(main, profile.eyeD);
+  main.windowObjects.length = 0;  // 屏幕网格按厘米生成，需重建
+  const dir = main.direction;
+  main.capital.x = dir.start.x - dir.x * profile.viewingDistance;
+  main.capital.y = dir.start.y - dir.y * profile.viewingDistance;
+  main.capital.z = dir.start.z - dir.z * profile.viewingDistance;
+  AnaglyphProfileRegistry.importCalibration(profile.crosstalk);
+  SystemState.ifControl = true;
+  SystemState.debugDiv.textContent = `显示配置: ${profile.label}` +
+    `（${profile.screenXLengthCm.toFixed(1)} × ${profile.screenYLengthCm.toFixed(1)} cm，` +
+    `瞳距 ${profile.eyeD} cm，观看距离 ${profile.viewingDistance.toFixed(0)} cm）`;
+}
 
-  // 预计算紫色（h=285, s=90%）：亮度0-50
-  for (let i = 0; i < sizeBluePurple; i++) {
-    const l = i / factor;
-    lut.purple[i] = hslToRgb(285, 90, l);
+// 校准向导：测试图由 CalibrationWizard 生成，需要 CPU 渲染后端
+function startCalibrationWizard() {
+  if (SystemState.glRenderer) {
+    SystemState.debugDiv.textContent = "显示校准向导需要 CPU 渲染后端";
+    return;
   }
+  SystemState.crosstalkCalibration = false;
+  SystemState.wizard = new CalibrationWizard(SystemState.display);
+  SystemState.ifControl = true;
+  SystemState.debugDiv.textContent = SystemState.wizard.instructions();
+}
 
-  return lut;
-})();
+function finishCalibrationWizard() {
+  const wizard = SystemState.wizard;
+  SystemState.wizard = null;
+  SystemState.ifControl = true;
+  const name = window.prompt("显示配置名称", `display-${DisplayProfileRegistry.names().length}`);
+  if (!name) {
+    SystemState.debugDiv.textContent = "校准已取消";
+    return;
+  }
+  try {
+    const profile = DisplayProfileRegistry.register(
+      wizard.createProfile(name, { width: window.screen.width, height: window.screen.height }),
+    );
+    saveDisplayProfiles();
+    applyDisplayProfile(profile);
+  } catch (error) {
+    SystemState.debugDiv.textContent = `校准结果无效: ${error.message}`;
+  }
+}
+
+// 向导进行中的按键：←/→ 调整（Shift 粗调），Enter 下一步，Backspace 上一步，Esc 取消
+function handleWizardKey(e) {
+  const wizard = SystemState.wizard;
+  if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+    wizard.adjust(e.key === "ArrowRight" ? 1 : -1, e.shiftKey);
+  } else if (e.key === "Enter") {
+    if (wizard.next()) {
+      finishCalibrationWizard();
+      return;
+    }
+  } else if (e.key === "Backspace") {
+    wizard.back();
+  } else if (e.key === "Escape") {
+    SystemState.wizard = null;
+    SystemState.ifControl = true;
+    SystemState.debugDiv.textContent = "校准已取消";
+    return;
+  }
+  SystemState.ifControl = true;
+  SystemState.debugDiv.textContent = wizard.instructions();
+}
 
-// 2. 优化后的渲染函数
-// 优化后的渲染函数（使用抽象子函数）
+// 网格样式切换（见 StereoRenderer.MESH_STYLES）
+function setMeshStyle(style) {
+  if (!StereoRenderer.MESH_STYLES.includes(style)) {
+    console.warn(`[main] Unknown mesh style: ${style}`);
+    return CONFIG.meshStyle;
+  }
+  CONFIG.meshStyle = style;
+  SystemState.ifControl = true;
+  SystemState.debugDiv.textContent = `网格样式: ${style}`;
+  return style;
+}
+
+// 2. 渲染函数：投影由 mainWindow 计算，像素由 StereoRenderer 生成（无 DOM 依赖），
+//    这里只负责把结果提交到画布；WebGL2 后端直接绘制到画布
 function render() {
   const ctx = SystemState.ctx;
-  const { screenWidthPx: width, screenHeightPx: height } = SystemState;
 
-  // 1. 初始化ImageData（批量像素容器）
-  const imageData = ctx.createImageData(width, height);
-  const pixelData = imageData.data; // RGBA数组：[R, G, B, A]，A固定255（不透明）
+  const options = rendererOptions();
+  if (SystemState.wizard) {
+    const { width, height } = SystemState.canvas;
+    const pixelData = SystemState.wizard.render(
+      width, height, CONFIG.anaglyphProfile, CONFIG.displayMode === '3D_RL',
+    );
+    ctx.putImageData(new ImageData(pixelData, width, height), 0, 0);
+    return;
+  }
+  if (SystemState.crosstalkCalibration) {
+    SystemState.renderer.setOptions(options);
+    const { width, height } = SystemState.canvas;
+    const pixelData = SystemState.renderer.renderCrosstalkPattern(width, height);
+    ctx.putImageData(new ImageData(pixelData, width, height), 0, 0);
+    return;
+  }
 
   updateCamera();
+  updateComfort();
+  options.scalarColoring = updateScalarField();
 
-  // 2. 邻接点生成工具函数（提取为独立函数，避免子函数嵌套）
-  function getNeighbors(x, y, light) {
-    const neighbors = [];
-    // 规则1：light∈(0.6, 1] → 8邻接
-    if (light <= 1 && light > 0.6) {
-      neighbors.push(
-        { nx: x, ny: y - 1, ratio: 0.707 },
-        { nx: x, ny: y + 1, ratio: 0.707 },
-        { nx: x - 1, ny: y, ratio: 0.707 },
-        { nx: x + 1, ny: y, ratio: 0.707 },
-        { nx: x - 1, ny: y - 1, ratio: 0.4 },
-        { nx: x + 1, ny: y - 1, ratio: 0.4 },
-        { nx: x - 1, ny: y + 1, ratio: 0.4 },
-        { nx: x + 1, ny: y + 1, ratio: 0.4 },
-      );
-    }
-    // 规则2：light∈(0.3, 0.6] → 8邻接（原逻辑中ratio未用light计算，保持一致）
-    else if (light <= 0.6 && light > 0.3) {
-      neighbors.push(
-        { nx: x, ny: y - 1, ratio: 0.707 },
-        { nx: x, ny: y + 1, ratio: 0.707 },
-        { nx: x - 1, ny: y, ratio: 0.707 },
-        { nx: x + 1, ny: y, ratio: 0.707 },
-        { nx: x - 1, ny: y - 1, ratio: 0.4 },
-        { nx: x + 1, ny: y - 1, ratio: 0.4 },
-        { nx: x - 1, ny: y + 1, ratio: 0.4 },
-        { nx: x + 1, ny: y + 1, ratio: 0.4 },
-      );
-    }
-    // 规则3：light≤0.3 → 无邻接
-    return neighbors;
-  }
-  function drawColoredPoints(params) {
-    const {
-      colorType,
-      x,
-      y,
-      light,
-      baseLight,
-      maxLutIndex,
-      pixelData,
-      width,
-      height,
-      getNeighbors,
-    } = params;
-
-    // 1. 跳过无效坐标（x/y为0或超出画布范围）
-    if (x === 0 || y === 0 || x < 0 || x >= width || y < 0 || y >= height) {
-      return;
-    }
+  if (SystemState.glRenderer) {
+    SystemState.glRenderer.setOptions(options);
+    SystemState.glRenderer.rasterize(SystemState.mainWindow, SystemState.objects, SystemState.otherObjects);
+    return;
+  }
 
-    // 2. 计算主点亮度与颜色（复用原逻辑：亮度=light*baseLight，索引限制在[0, maxLutIndex]）
-    const mainBrightnessVal = light * baseLight;
-    const mainLutIndex = Math.max(
-      0,
-      Math.min(maxLutIndex, Math.round(mainBrightnessVal * 10)),
-    );
-    const [rMain, gMain, bMain] = COLOR_LUT[colorType][mainLutIndex] || [
-      0, 0, 0,
-    ];
-
-    // 3. 绘制主点像素
-    const mainPixelIdx = (y * width + x) * 4;
-    pixelData[mainPixelIdx] = rMain; // R通道
-    pixelData[mainPixelIdx + 1] = gMain; // G通道
-    pixelData[mainPixelIdx + 2] = bMain; // B通道
-    pixelData[mainPixelIdx + 3] = 255; // A通道（不透明）
-
-    // 4. 计算并绘制邻接点
-    const neighbors = getNeighbors(x, y, light);
-    for (const nb of neighbors) {
-      const { nx: neighborX, ny: neighborY, ratio } = nb;
-      // 跳过邻接点无效坐标
-      if (
-        neighborX < 0 ||
-        neighborX >= width ||
-        neighborY < 0 ||
-        neighborY >= height
-      ) {
-        continue;
-      }
-      // 计算邻接点亮度与颜色（复用原逻辑：亮度=light*baseLight*ratio）
-      const nbBrightnessVal = light * baseLight * ratio;
-      const nbLutIndex = Math.max(
-        0,
-        Math.min(maxLutIndex, Math.round(nbBrightnessVal * 10)),
-      );
-      const [rNb, gNb, bNb] = COLOR_LUT[colorType][nbLutIndex] || [0, 0, 0];
-
-      // 绘制邻接点像素
-      const nbPixelIdx = (neighborY * width + neighborX) * 4;
-      pixelData[nbPixelIdx] = rNb;
-      pixelData[nbPixelIdx + 1] = gNb;
-      pixelData[nbPixelIdx + 2] = bNb;
-      pixelData[nbPixelIdx + 3] = 255;
-    }
+  SystemState.renderer.setOptions(options);
+  const pixelData = SystemState.renderer.rasterize(SystemState.mainWindow);
+  const { width, height } = SystemState.renderer;
+
+  // 批量渲染所有像素（仅1次DOM操作）
+  ctx.putImageData(new ImageData(pixelData, width, height), 0, 0);
+  drawPickOverlay(ctx);
+}
+
+// 渲染器显示参数（屏幕渲染与截图共用）
+function rendererOptions() {
+  return {
+    displayMode: CONFIG.displayMode,
+    anaglyphProfile: CONFIG.anaglyphProfile,
+    duboisVariant: CONFIG.duboisVariant,
+    meshStyle: CONFIG.meshStyle,
+    depthOfField: CONFIG.depthOfField,
+  };
+}
+
+// ========================
+// 截图与序列录制
+// ========================
+
+// 浏览器下载一个文件（连续下载多个文件时浏览器可能要求授权）
+function downloadFile(name, data, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// 截图前把本帧算到自洽：光源窗口沿用观察者的剔除结果、舒适修正作用于下一次投影，
+// 因此先投影一次，再更新光照与舒适修正（不平滑），最后重新投影
+function prepareCaptureFrame() {
+  updateCamera();
+  updateLight();
+  SystemState.comfort.update(SystemState.mainWindow, true);
+  updateCamera();
+  return { ...rendererOptions(), scalarColoring: updateScalarField() };
+}
+
+function captureScreenshot(format) {
+  if (SystemState.wizard || SystemState.crosstalkCalibration) return;
+  const capture = SystemState.capture;
+  capture.setOptions(prepareCaptureFrame());
+  const baseName = SequenceRecorder.frameName(CONFIG.capture.prefix, SystemState.captureCount++, 3);
+  const metadata = { displayMode: CONFIG.displayMode, displayProfile: CONFIG.displayProfile };
+  const files = capture.files(SystemState.mainWindow, format, baseName, metadata);
+  for (const file of files) {
+    downloadFile(file.name, file.data, file.type);
   }
-  function drawNonAdjacentPoints(params) {
-    const {
-      colorType,
-      x,
-      y,
-      light,
-      baseLight,
-      maxLutIndex,
-      pixelData,
-      width,
-      height,
-      // 保留参数结构，但不使用邻接相关逻辑
-      getNeighbors,
-    } = params;
-
-    // 1. 跳过无效坐标（同原逻辑：过滤边界外坐标）
-    if (x === 0 || y === 0 || x < 0 || x >= width || y < 0 || y >= height) {
-      return;
-    }
+  SystemState.ifControl = true;
+  SystemState.debugDiv.textContent = `已截图: ${files.map(file => file.name).join(", ")}`;
+}
 
-    // 2. 计算主点亮度与颜色（复用原逻辑，仅处理主点）
-    const mainBrightnessVal = light * baseLight;
-    const mainLutIndex = Math.max(
-      0,
-      Math.min(maxLutIndex, Math.round(mainBrightnessVal * 10)),
+// 录制进行中时再次调用则请求停止（当前帧写完后结束）
+async function toggleRecording() {
+  if (SystemState.recorder) {
+    SystemState.recorder.stop();
+    return;
+  }
+  if (SystemState.wizard || SystemState.crosstalkCalibration) return;
+  const recorder = new SequenceRecorder(SystemState.capture, CONFIG.capture.sequence);
+  const orbitSpeed = (CONFIG.capture.orbitDegPerSecond * Math.PI) / 180;
+  SystemState.recorder = recorder;
+  SystemState.debugDiv.textContent = "录制中…（5 键或 Esc 停止）";
+  try {
+    const result = await recorder.record(
+      SystemState.mainWindow,
+      (dt, time, index) => {
+        if (dt > 0) {
+          userRotate(orbitSpeed * dt);
+          // 录制期间 gameLoop 暂停，物理按录制的固定步长推进
+          SystemState.world.step(dt);
+        }
+        SystemState.capture.setOptions(prepareCaptureFrame());
+        SystemState.debugDiv.textContent = `录制中: 第 ${index + 1} / ${recorder.options.frames} 帧`;
+      },
+      async (name, data, type) => {
+        downloadFile(name, data, type);
+        // 让出主线程，浏览器得以处理下载与按键
+        await new Promise(resolve => setTimeout(resolve, 0));
+      },
     );
-    const [rMain, gMain, bMain] = COLOR_LUT[colorType][mainLutIndex] || [0, 0, 0];
-
-    // 3. 仅绘制主点像素（移除所有邻接像素绘制逻辑）
-    const mainPixelIdx = (y * width + x) * 4;
-    pixelData[mainPixelIdx] = rMain; // R通道
-    pixelData[mainPixelIdx + 1] = gMain; // G通道
-    pixelData[mainPixelIdx + 2] = bMain; // B通道
-    pixelData[mainPixelIdx + 3] = 255; // A通道（不透明）
-  }
-
-  for (let index = 0; index < SystemState.mainWindow.windowObjects.length; index++) {
-    const element = SystemState.mainWindow.windowObjects[index];
-    // 阶段1修改：优先使用 displayPoints，回退到 constructionPoints
-    const renderPoints = (element.displayPoints && element.displayPoints.length > 0)
-      ? element.displayPoints
-      : element.constructionPoints;
-    if (!renderPoints || renderPoints.length === 0) continue;
-    for (let i = 0; i < renderPoints.length; i++) {
-      const p = renderPoints[i];
-      const commonParams = {
-        light: p.light,
-        pixelData,
-        width,
-        height,
-        getNeighbors,
-      };
-      if (p.xM !== 0 && p.yM !== 0) {
-        // 合并first为true/false的重复逻辑
-        drawNonAdjacentPoints({
-          ...commonParams,
-          colorType: "purple",
-          x: p.xM,
-          y: p.yM,
-          baseLight: 50,
-          maxLutIndex: 350,
-        });
-      }
+    SystemState.debugDiv.textContent =
+      `录制${result.stopped ? "已停止" : "完成"}：${result.frames} 帧，${result.files} 个文件`;
+  } catch (error) {
+    console.error("[main] Recording failed:", error);
+    SystemState.debugDiv.textContent = `录制失败: ${error.message}`;
+  } finally {
+    SystemState.recorder = null;
+    // 实时模拟从下一帧重新计时，不把录制耗时计入步长
+    SystemState.lastPhysicsTime = null;
+    SystemState.ifControl = true;
+  }
+}
+
+// ========================
+// 场景文件
+// ========================
+
+// 随场景保存的显示参数（CONFIG 的键）
+const SCENE_CONFIG_KEYS = [
+  'displayProfile', 'displayMode', 'duboisVariant', 'anaglyphProfile', 'meshStyle',
+  'depthOfField', 'scalarField', 'comfort', 'lod', 'userEyeHeight', 'screenDistance',
+];
+
+function saveScene() {
+  if (SystemState.wizard || SystemState.crosstalkCalibration) return;
+  const config = {};
+  for (const key of SCENE_CONFIG_KEYS) config[key] = CONFIG[key];
+  const { x, y, z } = SystemState.rotationCenter;
+  const text = SceneSerializer.stringify(SystemState.world, {
+    config,
+    viewer: { rotationCenter: { x, y, z } },
+  });
+  downloadFile(CONFIG.scene.fileName, text, "application/json");
+  SystemState.debugDiv.textContent =
+    `已保存场景: ${CONFIG.scene.fileName}（${SystemState.objects.length} 个物体）`;
+}
+
+// 选择本地 JSON 文件读取；失败时场景保持不变
+function openSceneFile() {
+  if (SystemState.wizard || SystemState.crosstalkCalibration) return;
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".json,application/json";
+  input.addEventListener("change", async () => {
+    const file = input.files[0];
+    if (!file) return;
+    try {
+      loadScene(await file.text());
+      SystemState.debugDiv.textContent =
+        `已读取场景: ${file.name}（${SystemState.objects.length} 个物体）`;
+    } catch (error) {
+      console.error("[main] Scene load failed:", error);
+      SystemState.debugDiv.textContent = `场景读取失败: ${error.message}`;
     }
+  });
+  input.click();
+}
+
+function loadScene(text) {
+  const { config, viewer } = SceneSerializer.load(SystemState.world, text, {
+    sphericalHarmonics: getSphericalHarmonics(),
+  });
+  if (viewer?.rotationCenter) {
+    const { x, y, z } = viewer.rotationCenter;
+    SystemState.rotationCenter = new Point(x, y, z);
   }
-  // 3. 遍历所有网格点（主循环）
-  for (let gridX = 0; gridX < SystemState.mainWindow.grid.length; gridX++) {
-    const gridCol = SystemState.mainWindow.grid[gridX];
-    for (let gridY = 0; gridY < gridCol.length; gridY++) {
-      const pointsInGrid = gridCol[gridY];
-      for (const p of pointsInGrid) {
-        // 公共参数：所有点渲染都需要的基础参数（复用，减少重复传参）
-        const commonParams = {
-          light: p.light,
-          pixelData,
-          width,
-          height,
-          getNeighbors,
-        };
-
-        // ========== 阶段1新增：显示模式判断 ==========
-        if (CONFIG.displayMode === '2D') {
-          // 纯2D模式：使用 xM/yM，紫色
-          if (p.xM !== 0 && p.yM !== 0) {
-            drawColoredPoints({
-              ...commonParams,
-              colorType: "purple",
-              x: p.xM,
-              y: p.yM,
-              baseLight: 50,
-              maxLutIndex: 500,
-            });
-          }
-        } else {
-          // 3D模式：根据 displayMode 决定左右眼颜色
-          const isLR = CONFIG.displayMode === '3D_LR';
-          const leftColor = isLR ? 'red' : 'blue';
-          const rightColor = isLR ? 'blue' : 'red';
-          const leftBaseLight = isLR ? 35 : 50;
-          const rightBaseLight = isLR ? 50 : 35;
-          const leftMaxLut = isLR ? 350 : 500;
-          const rightMaxLut = isLR ? 500 : 350;
-
-          // --------------------------
-          // 处理立体点（有左右眼差异）
-          // --------------------------
-          if (Math.abs(p.xL - p.xR) > 0) {
-            const first = p.xL % 2 === 0;
-
-            // ① 左眼点
-            if (first && p.xL !== 0 && p.yL !== 0) {
-              drawColoredPoints({
-                ...commonParams,
-                colorType: leftColor,
-                x: p.xL,
-                y: p.yL,
-                baseLight: leftBaseLight,
-                maxLutIndex: leftMaxLut,
-              });
-            }
-
-            // ② 右眼点
-            if (p.xR !== 0 && p.yR !== 0) {
-              drawColoredPoints({
-                ...commonParams,
-                colorType: rightColor,
-                x: p.xR,
-                y: p.yR,
-                baseLight: rightBaseLight,
-                maxLutIndex: rightMaxLut,
-              });
-            }
-
-            if (!first && p.xL !== 0 && p.yL !== 0) {
-              drawColoredPoints({
-                ...commonParams,
-                colorType: leftColor,
-                x: p.xL,
-                y: p.yL,
-                baseLight: leftBaseLight,
-                maxLutIndex: leftMaxLut,
-              });
-            }
-          }
-          // --------------------------
-          // 处理紫色点（无左右眼差异，如网格点）
-          // --------------------------
-          else {
-            if (p.xM !== 0 && p.yM !== 0) {
-              drawColoredPoints({
-                ...commonParams,
-                colorType: "purple",
-                x: p.xM,
-                y: p.yM,
-                baseLight: 50,
-                maxLutIndex: 500,
-              });
-            }
-          }
+  if (config) applySceneConfig(config);
+  // 旧物体已被替换，之前的编辑无法撤销，选择也随之失效
+  SystemState.history.clear();
+  SystemState.selection.clear();
+  SystemState.hover = null;
+  SystemState.mainWindow.windowObjects.length = 0;
+  estimateNormals();
+  updateLight();
+  SystemState.ifControl = true;
+}
+
+// 文件中的显示参数：未知的配置名与样式跳过，其余经各自的切换函数生效
+function applySceneConfig(config) {
+  for (const key of ['displayMode', 'duboisVariant', 'userEyeHeight', 'screenDistance']) {
+    if (config[key] !== undefined) CONFIG[key] = config[key];
+  }
+  for (const key of ['depthOfField', 'scalarField', 'lod']) {
+    if (config[key]) CONFIG[key] = { ...CONFIG[key], ...config[key] };
+  }
+  SystemState.mainWindow.lod = { ...CONFIG.lod };
+  if (config.meshStyle) setMeshStyle(config.meshStyle);
+  if (config.anaglyphProfile && AnaglyphProfileRegistry.has(config.anaglyphProfile)) {
+    setAnaglyphProfile(config.anaglyphProfile);
+  }
+  if (config.comfort) {
+    CONFIG.comfort = { ...CONFIG.comfort, ...config.comfort };
+    SystemState.comfort.configure(CONFIG.comfort);
+  }
+  if (config.displayProfile && DisplayProfileRegistry.has(config.displayProfile)) {
+    applyDisplayProfile(DisplayProfileRegistry.get(config.displayProfile));
+  }
+}
+
+// ========================
+// 撤销 / 重做
+// ========================
+function undoEdit() {
+  runHistory("undo", "撤销");
+}
+
+function redoEdit() {
+  runHistory("redo", "重做");
+}
+
+// 撤销 / 重做后场景点集已变，需重新投影与计算光照
+function runHistory(action, text) {
+  try {
+    const command = SystemState.history[action]();
+    SystemState.debugDiv.textContent = command ? `${text}: ${command.label}` : `没有可${text}的操作`;
+  } catch (error) {
+    console.error(`[main] ${action} failed:`, error);
+    SystemState.debugDiv.textContent = `${text}失败（历史已清空）: ${error.message}`;
+  }
+  updateLight();
+  SystemState.ifControl = true;
+}
+
+// ========================
+// 物理模拟与拟合依赖
+// ========================
+// math/SphericalHarmonics.js 与 PhysicsSystem 一样由 index.html 以普通脚本引入（全局类）
+function getSphericalHarmonics() {
+  SystemState.sphericalHarmonics ??= new SphericalHarmonics(CONFIG.scene.shMaxOrder);
+  return SystemState.sphericalHarmonics;
+}
+
+// 有启用物理的物体时按帧间隔推进模拟（World.step 把粒子位置写回建构点）
+// @returns {boolean} 本帧是否推进了模拟
+function stepPhysics(now) {
+  const active = SystemState.objects.some(object => object.physics.enabled);
+  if (!SystemState.world.physics || !active) {
+    SystemState.lastPhysicsTime = null;
+    return false;
+  }
+  const last = SystemState.lastPhysicsTime ?? now;
+  SystemState.lastPhysicsTime = now;
+  const dt = Math.min(CONFIG.physics.maxStep, (now - last) / 1000);
+  if (dt <= 0) return false;
+  SystemState.world.step(dt);
+  return true;
+}
+
+// ========================
+// 鼠标拾取与选择
+// ========================
+
+// 光标下的拾取结果变化时更新悬停提示并重绘
+function updateHover(px, py) {
+  const hit = SystemState.picker.pick(SystemState.mainWindow, px, py, SystemState.objects);
+  const previous = SystemState.hover;
+  SystemState.hover = hit;
+  if (hit?.object === previous?.object && hit?.point === previous?.point) return;
+  if (hit) SystemState.debugDiv.textContent = describeHit(hit);
+  SystemState.ifControl = true;
+}
+
+// 单击：选中光标下的点（空白处清空选择）；Shift+单击：加入或移出选择集
+function selectAt(px, py, additive) {
+  const selection = SystemState.selection;
+  const hit = SystemState.picker.pick(SystemState.mainWindow, px, py, SystemState.objects);
+  if (additive) {
+    if (hit) selection.toggle(hit);
+  } else {
+    selection.clear();
+    if (hit) selection.add(hit);
+  }
+  SystemState.debugDiv.textContent = hit
+    ? `${describeHit(hit)}，已选 ${selection.size} 个点`
+    : `已选 ${selection.size} 个点`;
+  SystemState.ifControl = true;
+}
+
+// 选中点对应的可编辑点：控制点（点云物体的建构点即控制点）或表面建构点；
+// 显示点与体积网格内部点返回 null。下标按引用查找，须在每次编辑前重新取
+function editablePoint(entry) {
+  const { object, point } = entry;
+  if (entry.kind !== "construction") return null;
+  if (object.constructionPoints === object.controlPoints) {
+    const index = object.controlPoints.indexOf(point);
+    return index < 0 ? null : { object, kind: "control", index };
+  }
+  const index = object.constructionPoints.indexOf(point);
+  return index < 0 || index >= object.surfaceCount ? null : { object, kind: "surface", index };
+}
+
+function describeHit(hit) {
+  const format = (p) => `(${p.x.toFixed(2)}, ${p.y.toFixed(2)}, ${p.z.toFixed(2)})`;
+  const text = `${hit.object.metadata.name} ${hit.kind === "display" ? "显示点" : "建构点"} #${hit.index}`;
+  return hit.surface ? `${text}，表面 ${format(hit.surface.point)}` : text;
+}
+
+// 悬停与选中标记：画在中眼投影位置（与光标对应），只用于 CPU 渲染后端
+function drawPickOverlay(ctx) {
+  const selection = SystemState.selection;
+  selection.prune(SystemState.objects);
+  if (SystemState.hover && !SystemState.objects.includes(SystemState.hover.object)) {
+    SystemState.hover = null;
+  }
+  const camera = SystemState.mainWindow.screenCamera;
+  if (!camera || (selection.size === 0 && !SystemState.hover)) return;
+
+  const mark = (point, color, radius) => {
+    const screen = camera.project(point);
+    if (!screen) return;
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    ctx.arc(screen.x, screen.y, radius, 0, Math.PI * 2);
+    ctx.stroke();
+  };
+  ctx.save();
+  ctx.lineWidth = 1.5;
+  for (const entry of selection.entries()) {
+    mark(entry.point, CONFIG.picking.selectColor, CONFIG.picking.radiusPx);
+  }
+  const hover = SystemState.hover;
+  if (hover) {
+    if (hover.point) mark(hover.point, CONFIG.picking.hoverColor, CONFIG.picking.radiusPx + 2);
+    if (hover.surface) mark(hover.surface.point, CONFIG.picking.hoverColor, 3);
+  }
+  ctx.restore();
+}
+
+// ========================
+// 命令控制台
+// ========================
+
+// 命令的目标物体：整数 = 场景物体下标，其余按名称，缺省为最近添加的物体
+function resolveObject(target) {
+  const objects = SystemState.objects;
+  if (target === undefined) {
+    if (objects.length === 0) throw new Error("场景中没有物体");
+    return objects[objects.length - 1];
+  }
+  const object = /^\d+$/.test(target)
+    ? objects[Number(target)]
+    : objects.find(entry => entry.metadata.name === target);
+  if (!object) throw new Error(`找不到物体: ${target}`);
+  return object;
+}
+
+// 目标光源：整数 = 添加顺序下标，其余按名称
+function resolveLight(target) {
+  const lights = SystemState.lights.all();
+  const light = /^\d+$/.test(target) ? lights[Number(target)] : SystemState.lights.findByName(target);
+  if (!light) throw new Error(`找不到光源: ${target}`);
+  return light;
+}
+
+function describeObject(object) {
+  return `${object.metadata.name}（${object.representation.type}，` +
+    `${object.displayPoints.length} 个显示点，${object.constructionPoints.length} 个建构点）`;
+}
+
+function registerConsoleCommands(commands) {
+  const eyeZ = CONFIG.userEyeHeight;
+  const position = [
+    { name: "x", type: "number", default: 0, description: "中心 X（厘米）" },
+    { name: "y", type: "number", default: CONFIG.screenDistance, description: "中心 Y（厘米，屏幕所在深度）" },
+    { name: "z", type: "number", default: eyeZ, description: "中心 Z（厘米）" },
+  ];
+  const name = { name: "name", type: "string", description: "物体名称（默认 类型-序号）" };
+  const model = { name: "physicsModel", type: "enum", choices: ["pbd", "force"], description: "物理模型" };
+  const objectArg = { name: "object", type: "string", description: "物体下标或名称（默认最近添加的物体）" };
+  const create = (type) => (params) => {
+    const object = createObjectFromCommand({ type, params });
+    if (!object) throw new Error(`未能创建 ${type}`);
+    return { message: `已创建 ${describeObject(object)}`, value: object };
+  };
+
+  commands.register({
+    name: "sphere",
+    summary: "随机采样球面点云",
+    args: [...position,
+      { name: "radius", type: "number", default: 3 },
+      { name: "points", type: "integer", default: CONFIG.spherePoints },
+      name],
+    run: create("sphere"),
+  });
+  commands.register({
+    name: "cube",
+    summary: "立方体表面（可选实体内部）点云，绕 Z 轴旋转 alpha 度",
+    args: [
+      { name: "size", type: "number", default: 5 },
+      { name: "pointsPerFace", type: "integer", default: CONFIG.cubePoints },
+      ...position,
+      { name: "alpha", type: "number", default: 0, description: "绕 Z 轴旋转（度）" },
+      { name: "ifEntity", type: "boolean", default: false, description: "填充内部点" },
+      name],
+    run: create("cube"),
+  });
+  commands.register({
+    name: "plane",
+    summary: "XZ 平面矩形点云，绕 Z 轴旋转 alpha 度",
+    args: [
+      { name: "width", type: "number", default: 20 },
+      { name: "height", type: "number", default: 10 },
+      { name: "pointsPerFace", type: "integer", default: 2000 },
+      ...position,
+      { name: "alpha", type: "number", default: 0, description: "绕 Z 轴旋转（度）" },
+      { name: "ifEntity", type: "boolean", default: false, description: "加倍采样" },
+      name],
+    run: create("plane"),
+  });
+  commands.register({
+    name: "meridians",
+    aliases: ["meridian"],
+    summary: "三条正交大圆组成的经线球",
+    args: [...position,
+      { name: "radius", type: "number", default: 2.5 },
+      { name: "pointsPerCircle", type: "integer", default: 50 },
+      name],
+    run: create("meridians"),
+  });
+  commands.register({
+    name: "cloth",
+    summary: "规则网格布料（XY 平面，中心移到 x, y, z）",
+    args: [
+      { name: "shape", type: "enum", choices: ["rectangle", "circle"], default: "rectangle" },
+      { name: "width", type: "number", default: 20 },
+      { name: "height", type: "number", default: 20 },
+      { name: "spacing", type: "number", default: 1.5, description: "建构点间距" },
+      ...position, model, name],
+    run: create("cloth"),
+  });
+  commands.register({
+    name: "line",
+    summary: "线条（直线 / 圆 / 螺旋，中心移到 x, y, z）",
+    args: [
+      { name: "shape", type: "enum", choices: ["straight", "circle", "spiral"], default: "straight" },
+      { name: "length", type: "number", default: 30 },
+      { name: "spacing", type: "number", default: 1.5, description: "建构点间距" },
+      ...position, model, name],
+    run: create("line"),
+  });
+
+  commands.register({
+    name: "fit",
+    summary: "对物体控制点拟合球谐表面",
+    description: "需要 index.html 引入 math/Matrix.js 与 math/FittingCalculator.js",
+    args: [objectArg,
+      { name: "order", type: "integer", default: 3, description: `拟合阶数（不超过 ${CONFIG.scene.shMaxOrder}）` },
+      { name: "resample", type: "boolean", default: false, description: "按拟合表面重新生成显示点" }],
+    run: ({ object: target, order, resample }) => {
+      if (typeof FittingCalculator === "undefined" || typeof Matrix === "undefined") {
+        throw new Error("拟合器未加载（math/FittingCalculator.js、math/Matrix.js）");
+      }
+      const object = resolveObject(target);
+      object.fitSphericalHarmonics({
+        fitter: FittingCalculator,
+        Matrix,
+        sphericalHarmonics: getSphericalHarmonics(),
+        order,
+      });
+      if (resample) object.generateDisplayPoints({ count: object.displayPoints.length });
+      // 拟合不替换控制点与建构点，之前的点编辑仍可撤销，只是不与之后的拖动合并
+      SystemState.history.seal();
+      SystemState.ifControl = true;
+      return `已拟合 ${describeObject(object)}，${order} 阶`;
+    },
+  });
+  commands.register({
+    name: "mesh",
+    summary: "由球谐表面生成体积网格（先 fit）",
+    args: [objectArg, { name: "spacing", type: "number", description: "建构点间距（默认按库内设置）" }, model],
+    run: ({ object: target, spacing, physicsModel }) => {
+      const object = resolveObject(target);
+      object.generateVolumetricMesh({ spacing, physicsModel });
+      // 建构点数组已替换：该物体之前的点编辑无法恢复，其余物体的历史保留
+      const dropped = SystemState.history.discard(object);
+      SystemState.ifControl = true;
+      return `已生成体积网格 ${describeObject(object)}` +
+        (dropped > 0 ? `（该物体的 ${dropped} 步编辑已移出撤销历史）` : "");
+    },
+  });
+  commands.register({
+    name: "physics",
+    summary: "开启 / 关闭物体的物理模拟",
+    description: "开启时按需构建物理拓扑（球谐体需先 mesh）",
+    args: [{ name: "enabled", type: "boolean", required: true }, objectArg, model],
+    run: ({ enabled, object: target, physicsModel }) => {
+      if (!SystemState.world.physics) {
+        throw new Error("物理系统未加载（math/PhysicsSystem.js）");
+      }
+      const object = resolveObject(target);
+      if (enabled && (object.mode !== "discrete" || physicsModel)) {
+        object.rebuildPhysicsTopology({ physicsModel: physicsModel ?? object.physics.model });
+      }
+      object.physics.enabled = enabled;
+      SystemState.history.seal();
+      SystemState.ifControl = true;
+      return `${object.metadata.name} 物理模拟: ${enabled ? "开启" : "关闭"}`;
+    },
+  });
+
+  commands.register({
+    name: "camera",
+    aliases: ["cam"],
+    summary: "移动观察者：move 平移（厘米），orbit 绕旋转中心环绕，look 原地转向，roll 滚转（度）",
+    args: [
+      { name: "action", type: "enum", choices: ["move", "orbit", "look", "roll"], required: true },
+      { name: "a", type: "number", default: 0, description: "move: dx；orbit / look: 偏航；roll: 角度" },
+      { name: "b", type: "number", default: 0, description: "move: dy；orbit / look: 俯仰" },
+      { name: "c", type: "number", default: 0, description: "move: dz" },
+    ],
+    run: ({ action, a, b, c }) => {
+      const main = SystemState.mainWindow;
+      if (!main) throw new Error("观察者窗口尚未创建");
+      const rad = Math.PI / 180;
+      if (action === "move") {
+        for (const p of [main.capital, main.direction.start]) {
+          p.x += a;
+          p.y += b;
+          p.z += c;
         }
-        // =============================================
+      } else if (action === "orbit") {
+        main.orbit(SystemState.rotationCenter, a * rad, b * rad);
+      } else if (action === "look") {
+        main.look(a * rad, b * rad);
+      } else {
+        main.roll(a * rad);
+      }
+      SystemState.ifControl = true;
+      const { x, y, z } = main.capital;
+      return `相机位置 (${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)})`;
+    },
+  });
+  commands.register({
+    name: "light",
+    summary: "移动光源或修改其强度、开关",
+    args: [
+      { name: "light", type: "string", required: true, description: "光源下标或名称" },
+      { name: "position", type: "vector", description: "新位置 x,y,z（厘米）" },
+      { name: "intensity", type: "number" },
+      { name: "enabled", type: "boolean" },
+    ],
+    run: ({ light: target, position, intensity, enabled }) => {
+      const light = resolveLight(target);
+      if (position) light.position = position;
+      if (intensity !== undefined) light.intensity = intensity;
+      if (enabled !== undefined) light.enabled = enabled;
+      // 只查看时不重算光源窗口
+      if (position || intensity !== undefined || enabled !== undefined) SystemState.ifControl = true;
+      const { x, y, z } = light.position;
+      return `光源 ${light.name}: (${x}, ${y}, ${z})，强度 ${light.intensity}，${light.enabled ? "开启" : "关闭"}`;
+    },
+  });
+
+  commands.register({
+    name: "list",
+    aliases: ["ls"],
+    summary: "列出场景中的物体与光源",
+    run: () => [
+      ...SystemState.objects.map((object, i) => `#${i} ${describeObject(object)}`),
+      ...SystemState.lights.all().map((light, i) => `光源 #${i} ${light.name}（${light.type}）`),
+    ].join("\n") || "场景为空",
+  });
+  commands.register({
+    name: "select",
+    aliases: ["sel"],
+    summary: "列出或清空选中的点（鼠标单击选中，Shift+单击加入 / 移出）",
+    args: [{ name: "action", type: "enum", choices: ["list", "clear"], default: "list" }],
+    run: ({ action }) => {
+      const selection = SystemState.selection;
+      if (action === "clear") {
+        selection.clear();
+        SystemState.ifControl = true;
+        return "已清空选择";
       }
+      selection.prune(SystemState.objects);
+      return selection.entries().map(entry => {
+        const { x, y, z } = entry.point;
+        const kind = entry.kind === "display" ? "显示点" : "建构点";
+        return `${entry.object.metadata.name} ${kind} #${SelectionSet.indexOf(entry)} ` +
+          `(${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)})`;
+      }).join("\n") || "没有选中的点";
+    },
+  });
+  commands.register({
+    name: "move",
+    summary: "按偏移量移动选中的控制点 / 表面点（一步撤销）",
+    description: "显示点与体积网格内部点不可编辑，会被跳过",
+    args: [{ name: "offset", type: "vector", required: true, description: "偏移 dx,dy,dz（厘米）" }],
+    run: ({ offset }) => {
+      const entries = SystemState.selection.entries().filter(entry => editablePoint(entry));
+      if (entries.length === 0) throw new Error("没有选中可编辑的点");
+      const steps = entries.map(entry => () => {
+        const { object, kind, index } = editablePoint(entry);
+        const { x, y, z } = entry.point;
+        return new MovePointCommand(object, kind, index, { x: x + offset.x, y: y + offset.y, z: z + offset.z });
+      });
+      SystemState.history.execute(new GroupCommand(`move ${entries.length} points`, steps));
+      SystemState.history.seal();
+      SystemState.ifControl = true;
+      return `已移动 ${entries.length} 个点`;
+    },
+  });
+  commands.register({
+    name: "fix",
+    summary: "固定 / 解除固定选中的表面点（物理模拟中不动，一步撤销）",
+    args: [{ name: "fixed", type: "boolean", default: true }],
+    run: ({ fixed }) => {
+      const entries = SystemState.selection.entries().filter(entry => editablePoint(entry)?.kind === "surface");
+      if (entries.length === 0) throw new Error("没有选中表面点");
+      const steps = entries.map(entry => () => {
+        const { object, index } = editablePoint(entry);
+        return new FixPointCommand(object, index, fixed);
+      });
+      const group = new GroupCommand(`${fixed ? "fix" : "unfix"} ${entries.length} points`, steps);
+      SystemState.history.execute(group);
+      return `已${fixed ? "固定" : "解除固定"} ${group.commands.length} 个点`;
+    },
+  });
+  commands.register({
+    name: "undo",
+    summary: "撤销上一步编辑",
+    run: () => {
+      const command = SystemState.history.undo();
+      if (!command) return "没有可撤销的操作";
+      SystemState.ifControl = true;
+      return `撤销: ${command.label}`;
+    },
+  });
+  commands.register({
+    name: "redo",
+    summary: "重做撤销的编辑",
+    run: () => {
+      const command = SystemState.history.redo();
+      if (!command) return "没有可重做的操作";
+      SystemState.ifControl = true;
+      return `重做: ${command.label}`;
+    },
+  });
+}
+
+// 执行一行命令，结果写入控制台输出（程序接口：window.execute）
+// 改变场景的命令自行置 ifControl，光照与投影在下一帧的 gameLoop 中更新
+function executeCommand(line) {
+  const result = SystemState.console.execute(line);
+  if (result.command !== null || !result.ok) {
+    printConsole(`> ${line}`);
+    if (result.message) printConsole(result.message, !result.ok);
+  }
+  return result;
+}
+
+function printConsole(text, isError = false) {
+  const output = SystemState.consoleOutput;
+  if (!output) {
+    (isError ? console.warn : console.log)(`[console] ${text}`);
+    return;
+  }
+  const line = document.createElement("div");
+  line.textContent = text;
+  if (isError) line.className = "error";
+  output.appendChild(line);
+  output.scrollTop = output.scrollHeight;
+}
+
+function initConsole() {
+  registerConsoleCommands(SystemState.console);
+  window.execute = executeCommand;
+
+  SystemState.consoleDiv = document.getElementById("console");
+  SystemState.consoleOutput = document.getElementById("console-output");
+  SystemState.consoleInput = document.getElementById("console-input");
+  const input = SystemState.consoleInput;
+  if (!input) return;
+
+  // 输入框内的按键不触发场景快捷键
+  input.addEventListener("keydown", (e) => {
+    e.stopPropagation();
+    const history = SystemState.consoleHistory;
+    if (e.key === "Enter") {
+      const line = input.value.trim();
+      input.value = "";
+      if (!line) return;
+      if (history[history.length - 1] !== line) history.push(line);
+      if (history.length > CONFIG.console.historySize) history.shift();
+      SystemState.consoleHistoryIndex = history.length;
+      executeCommand(line);
+    } else if (e.key === "Escape") {
+      toggleConsole(false);
+    } else if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+      e.preventDefault();
+      const step = e.key === "ArrowUp" ? -1 : 1;
+      const index = Math.max(0, Math.min(history.length, SystemState.consoleHistoryIndex + step));
+      SystemState.consoleHistoryIndex = index;
+      input.value = history[index] ?? "";
     }
+  });
+}
+
+function toggleConsole(open) {
+  if (!SystemState.consoleDiv) return;
+  SystemState.consoleDiv.style.display = open ? "block" : "none";
+  if (open) {
+    for (const key in SystemState.keys) SystemState.keys[key] = false;
+    SystemState.consoleInput.focus();
+  } else {
+    SystemState.consoleInput.blur();
   }
+}
 
-  // 4. 批量渲染所有像素（仅1次DOM操作）
-  ctx.putImageData(imageData, 0, 0);
+// 立体舒适：统计本帧视差并修正下一帧，内容超出预算时显示警告
+function updateComfort() {
+  const stats = SystemState.comfort.update(SystemState.mainWindow);
+  const hud = SystemState.comfortHud;
+  if (!stats.exceeded) {
+    hud.style.display = "none";
+    return;
+  }
+  const { crossedDeg, uncrossedDeg, mode } = SystemState.comfort.options;
+  const action = stats.clipped ? "修正后仍超出" : ({
+    off: "未修正",
+    shift: "已移动辐辏平面",
+    compress: "已压缩景深",
+    auto: "已自动调整",
+  })[mode];
+  hud.textContent =
+    `⚠ 视差超出舒适范围：出屏 ${stats.crossedDeg.toFixed(2)}° / 入屏 ${stats.uncrossedDeg.toFixed(2)}°` +
+    `（预算 ${crossedDeg}° / ${uncrossedDeg}°，${action}）`;
+  hud.style.display = "block";
+}
+
+// 标量场：每帧按当前形变重算（建构点法向量已由本帧 calculate 更新），
+// 返回渲染器的 scalarColoring 选项；场景内没有可计算的物体时关闭着色
+function updateScalarField() {
+  const { field, colormap, range } = CONFIG.scalarField;
+  const objects = SystemState.objects;
+  if (!field) {
+    return { enabled: false };
+  }
+  // 符号距离：自身带球谐表面的物体测到自身，其余测到场景中第一个球谐体
+  const shTarget = objects.find(object => ScalarField.hasSphericalHarmonics(object)) ?? null;
+  for (const object of objects) {
+    const target = ScalarField.hasSphericalHarmonics(object) ? object : shTarget;
+    ScalarField.apply(object, field, { target });
+  }
+  const auto = ScalarField.range(objects, ScalarField.FIELDS[field].symmetric);
+  if (auto.count === 0) {
+    return { enabled: false };
+  }
+  const [min, max] = range ?? [auto.min, auto.max];
+  return { enabled: true, colormap, min, max };
+}
+
+function setScalarField(field) {
+  if (field !== null && !ScalarField.FIELDS[field]) {
+    console.warn(`[main] Unknown scalar field: ${field}`);
+    return CONFIG.scalarField.field;
+  }
+  CONFIG.scalarField.field = field;
+  if (!field) {
+    for (const object of SystemState.objects) ScalarField.clear(object);
+  }
+  SystemState.ifControl = true;
+  SystemState.debugDiv.textContent = `标量着色: ${field ? ScalarField.FIELDS[field].label : "关闭"}`;
+  return field;
+}
+
+function setColormap(name) {
+  const colormap = ColormapRegistry.get(name);
+  CONFIG.scalarField.colormap = colormap.name;
+  SystemState.ifControl = true;
+  SystemState.debugDiv.textContent = `色图: ${colormap.label}`;
+  return colormap;
+}
+
+function setComfortMode(mode) {
+  SystemState.comfort.configure({ mode });
+  CONFIG.comfort.mode = mode;
+  SystemState.ifControl = true;
+  SystemState.debugDiv.textContent = `立体舒适: ${mode}`;
 }
 
 // ========================
@@ -996,37 +1765,19 @@ function render() {
 
 /**
  * 用户绕旋转中心水平旋转
- * 旋转 capital（双眼）、direction.start（屏幕参考点）、direction（视线方向）
+ * 旋转 capital（双眼）、direction.start（屏幕参考点）、direction（视线方向）与相机姿态
  * @param {number} angle - 旋转角度（弧度）
  */
 function userRotate(angle) {
-  const center = SystemState.rotationCenter;
-  const cam = SystemState.mainWindow.capital;
-  const dir = SystemState.mainWindow.direction;
-  const cos = Math.cos(angle);
-  const sin = Math.sin(angle);
-
-  // 1. capital（双眼）绕旋转中心旋转
-  const camDx = cam.x - center.x;
-  const camDy = cam.y - center.y;
-  cam.x = center.x + camDx * cos - camDy * sin;
-  cam.y = center.y + camDx * sin + camDy * cos;
-
-  // 2. direction.start（屏幕参考点）绕旋转中心旋转
-  const startDx = dir.start.x - center.x;
-  const startDy = dir.start.y - center.y;
-  dir.start.x = center.x + startDx * cos - startDy * sin;
-  dir.start.y = center.y + startDx * sin + startDy * cos;
-
-  // 3. direction 向量旋转（修复变量覆盖 bug）
-  const oldDirX = dir.x;
-  const oldDirY = dir.y;
-  dir.x = oldDirX * cos - oldDirY * sin;
-  dir.y = oldDirX * sin + oldDirY * cos;
-
-  // 4. 更新角度
-  dir.getAngle();
-  SystemState.mainWindow.getAngle();
+  SystemState.mainWindow.orbit(SystemState.rotationCenter, angle, 0);
+}
+
+/**
+ * 用户绕旋转中心竖直环绕（正 = 升到物体上方向下看）
+ * @param {number} angle - 旋转角度（弧度）
+ */
+function userOrbitPitch(angle) {
+  SystemState.mainWindow.orbit(SystemState.rotationCenter, 0, -angle);
 }
 
 function handleInput() {
@@ -1092,6 +1843,37 @@ function handleInput() {
   }
   // ============================================================
 
+  // ========== 6-DOF：W/S 抬头/低头，Q/E 左/右滚转，R/T 环绕升高/降低，L 水平回正 ==========
+  if (keys["w"]) {
+    SystemState.mainWindow.look(0, CONFIG.lookSpeed);
+    SystemState.ifControl = true;
+  }
+  if (keys["s"]) {
+    SystemState.mainWindow.look(0, -CONFIG.lookSpeed);
+    SystemState.ifControl = true;
+  }
+  if (keys["q"]) {
+    SystemState.mainWindow.roll(-CONFIG.rollSpeed);
+    SystemState.ifControl = true;
+  }
+  if (keys["e"]) {
+    SystemState.mainWindow.roll(CONFIG.rollSpeed);
+    SystemState.ifControl = true;
+  }
+  if (keys["r"]) {
+    userOrbitPitch(CONFIG.rotationSpeed * 0.5);
+    SystemState.ifControl = true;
+  }
+  if (keys["t"]) {
+    userOrbitPitch(-CONFIG.rotationSpeed * 0.5);
+    SystemState.ifControl = true;
+  }
+  if (keys["l"]) {
+    SystemState.mainWindow.levelHorizon();
+    SystemState.ifControl = true;
+  }
+  // ============================================================
+
   // ========== 阶段1新增：鼠标边缘持续旋转 ==========
   if (SystemState.mouseEdge === -1) {
     // 鼠标在左边缘 -> 持续左转
@@ -1129,7 +1911,92 @@ function handleInput() {
 function setupEventListeners() {
   // 键盘事件
   window.addEventListener("keydown", (e) => {
+    if (SystemState.wizard) {
+      handleWizardKey(e);
+      return;
+    }
+    // 录制中只响应停止键（视角由录制按固定步长推进）
+    if (SystemState.recorder) {
+      if (e.key === "5" || e.key === "Escape") toggleRecording();
+      return;
+    }
+    // ` 键：打开命令控制台（输入框内的按键由控制台自己处理）
+    if (e.key === CONFIG.console.toggleKey) {
+      e.preventDefault();
+      toggleConsole(true);
+      return;
+    }
+    // Ctrl+Z 撤销，Ctrl+Y / Ctrl+Shift+Z 重做（不计入移动键状态）
+    const ctrlKey = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && (ctrlKey === "z" || ctrlKey === "y")) {
+      e.preventDefault();
+      if (ctrlKey === "y" || e.shiftKey) redoEdit();
+      else undoEdit();
+      return;
+    }
     SystemState.keys[e.key.toLowerCase()] = true;
+    // I 键：显示校准向导（银行卡 → 瞳距 → 观看距离）
+    if (e.key.toLowerCase() === "i") {
+      startCalibrationWizard();
+    }
+    // O 键：循环切换显示配置
+    if (e.key.toLowerCase() === "o") {
+      applyDisplayProfile(DisplayProfileRegistry.get(DisplayProfileRegistry.next(CONFIG.displayProfile)));
+    }
+    // K 键：循环切换互补色眼镜配置
+    if (e.key.toLowerCase() === "k") {
+      setAnaglyphProfile(AnaglyphProfileRegistry.next(CONFIG.anaglyphProfile));
+    }
+    // H 键：景深开关
+    if (e.key.toLowerCase() === "h") {
+      CONFIG.depthOfField.enabled = !CONFIG.depthOfField.enabled;
+      SystemState.ifControl = true;
+      SystemState.debugDiv.textContent = `景深: ${CONFIG.depthOfField.enabled ? "开启" : "关闭"}`;
+    }
+    // U 键：串扰校准画面；校准中 [ ] 调左→右、- = 调右→左
+    if (e.key.toLowerCase() === "u") {
+      toggleCrosstalkCalibration();
+    }
+    if (SystemState.crosstalkCalibration) {
+      const step = CONFIG.crosstalkStep;
+      if (e.key === "[") adjustCrosstalk("leftToRight", -step);
+      if (e.key === "]") adjustCrosstalk("leftToRight", step);
+      if (e.key === "-") adjustCrosstalk("rightToLeft", -step);
+      if (e.key === "=") adjustCrosstalk("rightToLeft", step);
+    }
+    // Y 键：循环切换立体舒适模式
+    if (e.key.toLowerCase() === "y") {
+      const modes = StereoComfort.MODES;
+      setComfortMode(modes[(modes.indexOf(CONFIG.comfort.mode) + 1) % modes.length]);
+    }
+    // A 键：循环切换标量场（关闭 → 曲率 → 应变 → 符号距离）；D 键：循环切换色图
+    if (e.key.toLowerCase() === "a") {
+      const fields = [null, ...ScalarField.names()];
+      setScalarField(fields[(fields.indexOf(CONFIG.scalarField.field) + 1) % fields.length]);
+    }
+    if (e.key.toLowerCase() === "d") {
+      setColormap(ColormapRegistry.next(CONFIG.scalarField.colormap));
+    }
+    // 1-4 键：截图（整帧 / 分眼 / 立体对 / JSON 包）；5 键：开始 / 停止序列录制
+    const captureFormat = { "1": "png", "2": "eyes", "3": "pair", "4": "mpo" }[e.key];
+    if (captureFormat) {
+      captureScreenshot(captureFormat);
+    }
+    if (e.key === "5") {
+      toggleRecording();
+    }
+    // 6 键：保存场景文件；7 键：读取场景文件
+    if (e.key === "6") {
+      saveScene();
+    }
+    if (e.key === "7") {
+      openSceneFile();
+    }
+    // J 键：循环切换网格样式
+    if (e.key.toLowerCase() === "j") {
+      const styles = StereoRenderer.MESH_STYLES;
+      setMeshStyle(styles[(styles.indexOf(CONFIG.meshStyle) + 1) % styles.length]);
+    }
     // 示例：按 'c' 键切换摄像头控制
     if (e.key.toLowerCase() === "p") {
       CONFIG.cameraControl.enabled = !CONFIG.cameraControl.enabled;
@@ -1151,9 +2018,16 @@ function setupEventListeners() {
     SystemState.isDragging = true;
     SystemState.lastMouseX = e.clientX;
     SystemState.lastMouseY = e.clientY;
+    SystemState.mouseDownX = e.clientX;
+    SystemState.mouseDownY = e.clientY;
   });
-  window.addEventListener("mouseup", () => {
+  window.addEventListener("mouseup", (e) => {
+    if (!SystemState.isDragging) return;
     SystemState.isDragging = false;
+    const moved = Math.hypot(e.clientX - SystemState.mouseDownX, e.clientY - SystemState.mouseDownY);
+    if (e.target === SystemState.canvas && moved <= CONFIG.picking.clickTolerancePx) {
+      selectAt(e.clientX, e.clientY, e.shiftKey);
+    }
   });
   SystemState.canvas.addEventListener("mousemove", (e) => {
     // 阶段1新增：鼠标边缘状态更新
@@ -1169,6 +2043,19 @@ function setupEventListeners() {
       // 鼠标不在边缘
       SystemState.mouseEdge = 0;
     }
+
+    // 拖拽环绕：水平 = 偏航，竖直 = 俯仰（向下拖 = 升到上方）
+    if (SystemState.isDragging) {
+      const dx = e.clientX - SystemState.lastMouseX;
+      const dy = e.clientY - SystemState.lastMouseY;
+      SystemState.lastMouseX = e.clientX;
+      SystemState.lastMouseY = e.clientY;
+      if (dx !== 0) userRotate(-dx * CONFIG.dragRotationSpeed);
+      if (dy !== 0) userOrbitPitch(dy * CONFIG.dragRotationSpeed);
+      SystemState.ifControl = true;
+    } else {
+      updateHover(e.clientX, e.clientY);
+    }
   });
 
   // 滚轮事件：前进/后退
@@ -1202,26 +2089,21 @@ function setupEventListeners() {
     SystemState.ifControl = true;
     resizeCanvas();
     // 重新创建窗口实例以适应新尺寸
+    const display = SystemState.display;
     SystemState.hiddenWindow = new Window(
       SystemState.screenWidthPx,
       SystemState.screenHeightPx,
-      CONFIG.screenXLengthCm,
-      CONFIG.screenYLengthCm,
+      display.screenXLengthCm,
+      display.screenYLengthCm,
       "hidden",
     );
-    SystemState.lightWindow = new Window(
+    SystemState.lights.resize(
       SystemState.screenWidthPx,
       SystemState.screenHeightPx,
-      CONFIG.screenXLengthCm,
-      CONFIG.screenYLengthCm,
-      "light",
-    );
-    SystemState.mainWindow.resizeRefresh(
-      window.innerWidth,
-      window.innerHeight,
-      (window.innerWidth / CONFIG.screenWidth) * CONFIG.screenXLengthCm,
-      (window.innerHeight / CONFIG.screenHeight) * CONFIG.screenYLengthCm,
+      display.screenXLengthCm,
+      display.screenYLengthCm,
     );
+    display.resizeWindow(SystemState.mainWindow, window.innerWidth, window.innerHeight);
     // 重新估算法向量（可选，可能耗时）
     // estimateNormals();
   });
@@ -1241,33 +2123,106 @@ function resizeCanvas() {
 // ========================
 // 14. 动态对象创建接口（预留）
 // ========================
+// 经由撤销历史创建物体并加入场景
 function createObjectFromCommand(command) {
   console.log("收到创建对象指令:", command);
-  switch (command.type) {
+  const object = SystemState.history.execute(
+    new CreateObjectCommand(SystemState.world, () => buildObjectFromCommand(command)),
+  );
+  if (object) {
+    SystemState.ifControl = true;
+  }
+  return object;
+}
+
+function buildObjectFromCommand(command) {
+  const object = createObjectOfType(command.type, command.params);
+  if (object) {
+    object.metadata.name = command.params.name ?? `${command.type}-${++SystemState.createdCount}`;
+  }
+  return object;
+}
+
+function createObjectOfType(type, params) {
+  switch (type) {
     case "sphere":
       return createSphere(
-        command.params.x,
-        command.params.y,
-        command.params.z,
-        command.params.radius,
-        command.params.points,
+        params.x,
+        params.y,
+        params.z,
+        params.radius,
+        params.points,
       );
     case "cube":
       return createCube(
-        command.params.size,
-        command.params.pointsPerFace,
-        command.params.x,
-        command.params.y,
-        command.params.z,
-        command.params.alpha,
-        command.params.ifEntity,
+        params.size,
+        params.pointsPerFace,
+        params.x,
+        params.y,
+        params.z,
+        params.alpha,
+        params.ifEntity,
+      );
+    case "plane":
+      return createPlane(
+        params.width,
+        params.height,
+        params.pointsPerFace,
+        params.x,
+        params.y,
+        params.z,
+        params.alpha,
+        params.ifEntity,
+      );
+    case "meridians":
+      return createSphereWithMeridians(
+        params.x,
+        params.y,
+        params.z,
+        params.radius,
+        params.pointsPerCircle,
       );
+    case "cloth": {
+      const object = new Object([]);
+      object.generateCloth({
+        shape: params.shape,
+        width: params.width,
+        height: params.height,
+        spacing: params.spacing,
+        physicsModel: params.physicsModel,
+      });
+      object.generateDisplayPoints();
+      return moveObjectTo(object, params);
+    }
+    case "line": {
+      const object = new Object([]);
+      object.generateLine({
+        shape: params.shape,
+        length: params.length,
+        spacing: params.spacing,
+        physicsModel: params.physicsModel,
+      });
+      // 线条没有曲面采样，显示点取建构点的副本
+      object.displayPoints = object.constructionPoints.map(p => new Point(p.x, p.y, p.z));
+      return moveObjectTo(object, params);
+    }
     default:
-      console.warn("未知的对象类型:", command.type);
+      console.warn("未知的对象类型:", type);
       return null;
   }
 }
 
+// 布料与线条在原点附近生成，整体平移到 (x, y, z)
+function moveObjectTo(object, position) {
+  object.applyTransform({
+    origin: object.center,
+    rotation: new CameraOrientation(),
+    position: { x: position.x, y: position.y, z: position.z },
+  });
+  object.invalidateBounds();
+  return object;
+}
+
 // ========================
 // 15. 摄像头控制接口（预留）
 // ========================
@@ -1282,13 +2237,24 @@ function updateFromCamera(cameraData) {
 // 16. 主循环
 // ========================
 function gameLoop() {
+  // 录制期间画面与视角由 SequenceRecorder 驱动
+  if (SystemState.recorder) {
+    requestAnimationFrame(gameLoop);
+    return;
+  }
   handleInput();
+  if (stepPhysics(performance.now())) {
+    SystemState.ifControl = true;
+  }
   //   processCamera(); // 在主循环中处理摄像头
   drawCameraFeedOnMainCanvas(SystemState.ctx);
   if (SystemState.ifControl) {
     updateLight(); // 每帧更新光源位置（如果需要动态光源）
     render();
-    SystemState.ifControl = false;
+    // 光源窗口沿用观察者上一帧的剔除 / LOD 结果，新进入视野或变细的物体下一帧补算光照
+    // 舒适修正平滑过渡期间持续重绘
+    SystemState.ifControl = SystemState.mainWindow.needsRelight ||
+      SystemState.comfort.isSettling(SystemState.mainWindow);
   }
   requestAnimationFrame(gameLoop);
 }
@@ -1352,7 +2318,8 @@ function drawCameraFeedOnMainCanvas(
   opacity = 0.5,
 ) {
   // 可调整位置、大小和透明度
-  if (!SystemState.videoDisplayCanvas) {
+  // WebGL2 后端没有 2D 上下文，不叠加摄像头画面
+  if (!ctx || !SystemState.videoDisplayCanvas) {
     // console.warn("摄像头显示画布不存在，无法绘制。");
     return;
   }
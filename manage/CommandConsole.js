@@ -0,0 +1,342 @@
+/**
+ * CommandConsole.js - 文本命令注册表与解析执行
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 命令注册：名称、别名、一行说明、参数表与 run(args)
+ * - 解析：按空白切分（引号内保留空白），位置参数依参数表顺序填入，
+ *   name=value 形式按名填入；按类型转换并校验取值
+ * - 执行：execute(line) 不抛出，返回 { ok, command, message, value }，
+ *   参数错误附带用法，run 抛出的错误转为失败结果
+ * - 帮助：内置 help 命令，列出全部命令或显示单个命令的用法与参数说明
+ *
+ * 参数类型：number | integer | string | boolean（on/off、true/false、yes/no、1/0）|
+ *          enum（choices 之一）| vector（"x,y,z"）
+ *
+ * 无外部依赖（命令本身由应用注册，见 main.js）
+ * ============================================================================
+ */
+
+export class CommandConsole {
+
+  static ARG_TYPES = ['number', 'integer', 'string', 'boolean', 'enum', 'vector'];
+
+  static BOOLEAN_WORDS = {
+    on: true, true: true, yes: true, 1: true,
+    off: false, false: false, no: false, 0: false,
+  };
+
+  constructor() {
+    // 名称 → 命令定义；别名 → 名称
+    this._commands = new Map();
+    this._aliases = new Map();
+
+    this.register({
+      name: 'help',
+      aliases: ['?'],
+      summary: '列出命令，或显示某个命令的用法',
+      args: [{ name: 'command', type: 'string', description: '命令名' }],
+      run: ({ command }) => this.help(command),
+    });
+  }
+
+  // ==========================================================================
+  // 注册
+  // ==========================================================================
+
+  /**
+   * 注册（或覆盖）命令
+   * @param {object} definition
+   * @param {string} definition.name - 命令名（小写，不含空白）
+   * @param {string[]} definition.aliases - 别名
+   * @param {string} definition.summary - 一行说明
+   * @param {string} definition.description - 补充说明（help <command> 时显示）
+   * @param {object[]} definition.args - 参数表：{ name, type, required, default, choices, description }
+   * @param {(args: object) => *} definition.run - 返回字符串（作为结果消息）或 { message, value }
+   * @returns {object} 规范化后的命令定义
+   */
+  register(definition) {
+    const name = definition.name;
+    if (typeof name !== 'string' || !/^[a-z][\w-]*$/.test(name)) {
+      throw new Error(`[CommandConsole] Invalid command name: ${name}`);
+    }
+    if (typeof definition.run !== 'function') {
+      throw new Error(`[CommandConsole] ${name}: run must be a function`);
+    }
+    const args = (definition.args ?? []).map(arg => ({ type: 'string', required: false, ...arg }));
+    let optional = false;
+    for (const arg of args) {
+      if (!CommandConsole.ARG_TYPES.includes(arg.type)) {
+        throw new Error(`[CommandConsole] ${name}: unknown argument type '${arg.type}' for ${arg.name}`);
+      }
+      if (arg.type === 'enum' && !(arg.choices?.length > 0)) {
+        throw new Error(`[CommandConsole] ${name}: enum argument ${arg.name} needs choices`);
+      }
+      if (arg.required && optional) {
+        throw new Error(`[CommandConsole] ${name}: required argument ${arg.name} follows an optional one`);
+      }
+      optional = optional || !arg.required;
+    }
+
+    this.unregister(name);
+    const command = {
+      name,
+      aliases: [...(definition.aliases ?? [])],
+      summary: definition.summary ?? '',
+      description: definition.description ?? '',
+      args,
+      run: definition.run,
+    };
+    this._commands.set(name, command);
+    for (const alias of command.aliases) {
+      this._aliases.set(alias, name);
+    }
+    return command;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  unregister(name) {
+    const command = this._commands.get(name);
+    if (!command) return false;
+    for (const alias of command.aliases) {
+      this._aliases.delete(alias);
+    }
+    return this._commands.delete(name);
+  }
+
+  /**
+   * 按名称或别名查找
+   * @returns {object|null}
+   */
+  get(name) {
+    const key = name?.toLowerCase();
+    return this._commands.get(key) ?? this._commands.get(this._aliases.get(key)) ?? null;
+  }
+
+  has(name) {
+    return this.get(name) !== null;
+  }
+
+  /**
+   * 命令名（按字母序）
+   * @returns {string[]}
+   */
+  names() {
+    return [...this._commands.keys()].sort();
+  }
+
+  // ==========================================================================
+  // 解析与执行
+  // ==========================================================================
+
+  /**
+   * 执行一行命令（空行与 # 开头的注释行视为成功的空操作）
+   * @param {string} line
+   * @returns {{ok: boolean, command: string|null, message: string, value: *}}
+   */
+  execute(line) {
+    const tokens = CommandConsole.tokenize(line ?? '');
+    if (tokens.error) {
+      return { ok: false, command: null, message: tokens.error, value: undefined };
+    }
+    if (tokens.length === 0 || tokens[0].startsWith('#')) {
+      return { ok: true, command: null, message: '', value: undefined };
+    }
+
+    const command = this.get(tokens[0]);
+    if (!command) {
+      return {
+        ok: false,
+        command: null,
+        message: `未知命令: ${tokens[0]}（输入 help 查看全部命令）`,
+        value: undefined,
+      };
+    }
+
+    let args;
+    try {
+      args = CommandConsole.parseArgs(command, tokens.slice(1));
+    } catch (error) {
+      return {
+        ok: false,
+        command: command.name,
+        message: `${command.name}: ${error.message}\n用法: ${CommandConsole.usage(command)}`,
+        value: undefined,
+      };
+    }
+
+    try {
+      const result = command.run(args);
+      const message = typeof result === 'string' ? result : (result?.message ?? '');
+      const value = typeof result === 'string' ? undefined : result?.value;
+      return { ok: true, command: command.name, message, value };
+    } catch (error) {
+      return { ok: false, command: command.name, message: `${command.name}: ${error.message}`, value: undefined };
+    }
+  }
+
+  /**
+   * 按空白切分，单 / 双引号内保留空白（引号未闭合时返回 { error }）
+   * @returns {string[]|{error: string}}
+   */
+  static tokenize(line) {
+    const tokens = [];
+    let token = null;
+    let quote = null;
+    for (const ch of line) {
+      if (quote) {
+        if (ch === quote) quote = null;
+        else token += ch;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+        token = token ?? '';
+      } else if (/\s/.test(ch)) {
+        if (token !== null) tokens.push(token);
+        token = null;
+      } else {
+        token = (token ?? '') + ch;
+      }
+    }
+    if (quote) return { error: `引号未闭合: ${line}` };
+    if (token !== null) tokens.push(token);
+    return tokens;
+  }
+
+  /**
+   * 把词填入参数表：name=value 按名，其余按位置
+   * @returns {object} 参数名 → 转换后的值（缺省参数取 default，无 default 为 undefined）
+   */
+  static parseArgs(command, tokens) {
+    const args = {};
+    const spec = new Map(command.args.map(arg => [arg.name, arg]));
+    let position = 0;
+
+    for (const token of tokens) {
+      const eq = token.indexOf('=');
+      let arg;
+      let text;
+      if (eq > 0 && spec.has(token.slice(0, eq))) {
+        arg = spec.get(token.slice(0, eq));
+        text = token.slice(eq + 1);
+      } else if (eq > 0 && /^[a-zA-Z]\w*$/.test(token.slice(0, eq))) {
+        throw new Error(`未知参数: ${token.slice(0, eq)}`);
+      } else {
+        while (position < command.args.length && command.args[position].name in args) position++;
+        if (position >= command.args.length) {
+          throw new Error(`多余的参数: ${token}`);
+        }
+        arg = command.args[position++];
+        text = token;
+      }
+      if (arg.name in args) {
+        throw new Error(`参数重复: ${arg.name}`);
+      }
+      args[arg.name] = CommandConsole.parseValue(arg, text);
+    }
+
+    for (const arg of command.args) {
+      if (arg.name in args) continue;
+      if (arg.required) {
+        throw new Error(`缺少参数: ${arg.name}`);
+      }
+      args[arg.name] = arg.default;
+    }
+    return args;
+  }
+
+  /**
+   * 按参数类型转换文本
+   */
+  static parseValue(arg, text) {
+    const fail = (expected) => {
+      throw new Error(`${arg.name} 应为${expected}，得到 '${text}'`);
+    };
+    switch (arg.type) {
+      case 'number': {
+        const value = Number(text);
+        if (text.trim() === '' || !Number.isFinite(value)) fail('数值');
+        return value;
+      }
+      case 'integer': {
+        const value = Number(text);
+        if (text.trim() === '' || !Number.isInteger(value)) fail('整数');
+        return value;
+      }
+      case 'boolean': {
+        const value = CommandConsole.BOOLEAN_WORDS[text.toLowerCase()];
+        if (value === undefined) fail(' on / off');
+        return value;
+      }
+      case 'enum': {
+        const value = arg.choices.find(choice => choice.toLowerCase() === text.toLowerCase());
+        if (value === undefined) fail(` ${arg.choices.join(' | ')} 之一`);
+        return value;
+      }
+      case 'vector': {
+        const parts = text.split(',').map(Number);
+        if (parts.length !== 3 || text.split(',').some(part => part.trim() === '') || !parts.every(Number.isFinite)) {
+          fail('向量 x,y,z');
+        }
+        return { x: parts[0], y: parts[1], z: parts[2] };
+      }
+      default:
+        return text;
+    }
+  }
+
+  // ==========================================================================
+  // 帮助
+  // ==========================================================================
+
+  /**
+   * 用法行：name <必需> [可选]
+   */
+  static usage(command) {
+    const parts = command.args.map(arg => {
+      const label = arg.type === 'enum' ? arg.choices.join('|') : arg.name;
+      return arg.required ? `<${label}>` : `[${label}]`;
+    });
+    return [command.name, ...parts].join(' ');
+  }
+
+  /**
+   * 不带参数：全部命令的用法与说明；带参数：单个命令的详细帮助
+   * @returns {string}
+   */
+  help(name) {
+    if (!name) {
+      return this.names()
+        .map(key => {
+          const command = this._commands.get(key);
+          return `${CommandConsole.usage(command)} — ${command.summary}`;
+        })
+        .join('\n');
+    }
+    const command = this.get(name);
+    if (!command) {
+      throw new Error(`未知命令: ${name}`);
+    }
+    const lines = [`用法: ${CommandConsole.usage(command)}`, command.summary];
+    if (command.description) lines.push(command.description);
+    if (command.aliases.length > 0) lines.push(`别名: ${command.aliases.join(', ')}`);
+    for (const arg of command.args) {
+      const type = arg.type === 'enum' ? arg.choices.join(' | ') : arg.type;
+      const fallback = arg.default !== undefined ? `，默认 ${CommandConsole._format(arg.default)}` : '';
+      lines.push(`  ${arg.name} (${type}${arg.required ? '，必需' : fallback})${arg.description ? ` ${arg.description}` : ''}`);
+    }
+    return lines.join('\n');
+  }
+
+  static _format(value) {
+    if (value && typeof value === 'object' && 'x' in value) {
+      return `${value.x},${value.y},${value.z}`;
+    }
+    return String(value);
+  }
+}
@@ -0,0 +1,540 @@
+/**
+ * CommandHistory.js - 场景与物体编辑的撤销 / 重做
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 编辑命令（EditCommand）：execute / undo / redo，size 估算占用内存，
+ *   merge 把连续的同类编辑（拖动同一个点）合并为一步
+ * - 命令组（GroupCommand）：一次操作编辑多个点（如控制台 move 选中点）时作为一步撤销
+ * - 命令历史（CommandHistory）：撤销栈 + 重做栈，执行新命令时清空重做栈，
+ *   超出条数或内存预算时丢弃最早的命令
+ *
+ * 点编辑命令保存修改前后的快照（Object.capturePoints），撤销 / 重做都是恢复快照
+ * （Object.restorePoints），由它按点集类型使 _fitCache、增量拟合栈、geometryCache
+ * 与拓扑失效。Swap-to-End 会改变点的下标，因此合并按 Point 引用而不是下标判断。
+ *
+ * 点数组被替换（重新生成体积网格、读取场景文件）后，更早的命令无法恢复：
+ * undo / redo 抛出错误并清空历史。替换点数组的操作应先调用 discard(object)，
+ * 只丢弃依赖该物体点集的命令
+ *
+ * 依赖：
+ * - Object.js: capturePoints / restorePoints 与各点编辑方法
+ * - World.js: 物体的添加与移除
+ * ============================================================================
+ */
+
+// ============================================================================
+// 编辑命令
+// ============================================================================
+export class EditCommand {
+
+  constructor(label) {
+    this.label = label;
+    // 最近一次执行 / 合并的时间（毫秒），CommandHistory 据此判断是否合并
+    this.time = 0;
+  }
+
+  /**
+   * 首次执行
+   * @returns {*} 编辑方法的返回值
+   */
+  execute() {
+    throw new Error(`[EditCommand] ${this.label}: execute not implemented`);
+  }
+
+  undo() {
+    throw new Error(`[EditCommand] ${this.label}: undo not implemented`);
+  }
+
+  redo() {
+    this.execute();
+  }
+
+  /**
+   * 把紧随其后的命令并入本命令（next 已执行）
+   * @returns {boolean} 是否已合并
+   */
+  merge(next) {
+    return false;
+  }
+
+  /**
+   * 执行后是否改变了状态（false 时 CommandHistory 不记录）
+   */
+  get changed() {
+    return true;
+  }
+
+  /**
+   * 撤销 / 重做是否依赖该物体当前的点集或点下标（点数组被替换后失效）
+   * @returns {boolean}
+   */
+  dependsOn(object) {
+    return false;
+  }
+
+  /**
+   * 估算占用的字节数（内存预算用）
+   */
+  get size() {
+    return 64;
+  }
+}
+
+// 快照估算：每个 Point 引用 8 字节，每组坐标 40 字节
+function snapshotSize(snapshot) {
+  return snapshot ? snapshot.order.length * 8 + snapshot.coords.length * 40 : 0;
+}
+
+// ============================================================================
+// 点编辑（快照）
+// ============================================================================
+class PointEditCommand extends EditCommand {
+
+  /**
+   * @param {string} label
+   * @param {Object} object
+   * @param {'control'|'surface'} kind
+   * @param {() => Point[]} touched - 执行前后需要记录坐标的点
+   * @param {() => *} apply - 调用 Object 的编辑方法
+   * @param {object} options - restorePoints 参数（autoRefit、updatePhysics）
+   */
+  constructor(label, object, kind, touched, apply, options = {}) {
+    super(label);
+    this.object = object;
+    this.kind = kind;
+    this._touched = touched;
+    this._apply = apply;
+    this._options = options;
+    this.before = null;
+    this.after = null;
+  }
+
+  execute() {
+    this._validate();
+    const points = this._touched();
+    this.before = this.object.capturePoints(this.kind, points);
+    const result = this._apply();
+    this.after = this.object.capturePoints(this.kind, points);
+    return result;
+  }
+
+  undo() {
+    this._restore(this.before);
+  }
+
+  redo() {
+    this._restore(this.after);
+  }
+
+  // 下标无效时 Object 的编辑方法只警告并返回，须在执行前拒绝，否则撤销会按快照清空拓扑
+  _validate() {}
+
+  get changed() {
+    const { before, after } = this;
+    return before.order.length !== after.order.length ||
+      before.order.some((point, i) => point !== after.order[i]) ||
+      before.topology !== after.topology ||
+      before.coords.some(([point, x, y, z], i) => {
+        const [, x2, y2, z2] = after.coords[i];
+        return x !== x2 || y !== y2 || z !== z2;
+      });
+  }
+
+  dependsOn(object) {
+    return object === this.object;
+  }
+
+  _restore(snapshot) {
+    if (!this.object.restorePoints(snapshot, this._options)) {
+      throw new Error(`[CommandHistory] ${this.label}: ${this.object.metadata.name} was rebuilt since the edit`);
+    }
+  }
+
+  get size() {
+    return 64 + snapshotSize(this.before) + snapshotSize(this.after);
+  }
+}
+
+/**
+ * 移动控制点 / 表面点（拖动时连续的移动合并为一步）
+ */
+export class MovePointCommand extends PointEditCommand {
+
+  /**
+   * @param {Object} object
+   * @param {'control'|'surface'} kind - updateControlPoint 或 updateSurfacePoint
+   * @param {number} index
+   * @param {{x, y, z}} position
+   * @param {object} options - 传给 updateControlPoint（autoRefit、updatePhysics）
+   */
+  constructor(object, kind, index, position, options = {}) {
+    const points = kind === 'control' ? object.controlPoints : object.constructionPoints;
+    const { x, y, z } = position;
+    super(
+      `move ${kind} point ${index}`,
+      object,
+      kind,
+      () => (points[index] ? [points[index]] : []),
+      () => (kind === 'control'
+        ? object.updateControlPoint(index, x, y, z, options)
+        : object.updateSurfacePoint(index, x, y, z)),
+      options
+    );
+    // 被移动的点（Swap-to-End 后下标会变，合并按引用判断）
+    const count = kind === 'control' ? points.length : object.surfaceCount;
+    this.point = index >= 0 && index < count ? points[index] : null;
+  }
+
+  _validate() {
+    if (!this.point) {
+      throw new Error(`[CommandHistory] ${this.label}: invalid index on ${this.object.metadata.name}`);
+    }
+  }
+
+  merge(next) {
+    if (!(next instanceof MovePointCommand) || next.object !== this.object ||
+      next.kind !== this.kind || !this.point || next.point !== this.point) {
+      return false;
+    }
+    this.after = next.after;
+    return true;
+  }
+}
+
+/**
+ * 添加控制点
+ */
+export class AddControlPointCommand extends PointEditCommand {
+
+  constructor(object, position) {
+    const { x, y, z } = position;
+    super('add control point', object, 'control', () => [], () => object.addControlPoint(x, y, z));
+  }
+}
+
+/**
+ * 删除控制点
+ */
+export class RemoveControlPointCommand extends PointEditCommand {
+
+  constructor(object, index) {
+    super(`remove control point ${index}`, object, 'control', () => [], () => object.removeControlPoint(index));
+    this.index = index;
+  }
+
+  _validate() {
+    if (!(this.index >= 0 && this.index < this.object.controlPoints.length)) {
+      throw new Error(`[CommandHistory] ${this.label}: invalid index on ${this.object.metadata.name}`);
+    }
+  }
+}
+
+// ============================================================================
+// 固定点
+// ============================================================================
+export class FixPointCommand extends EditCommand {
+
+  /**
+   * @param {Object} object
+   * @param {number} index - 表面点下标
+   * @param {boolean} fixed - true = fixPoint，false = unfixPoint
+   */
+  constructor(object, index, fixed = true) {
+    super(`${fixed ? 'fix' : 'unfix'} point ${index}`);
+    this.object = object;
+    this.index = index;
+    this.fixed = fixed;
+    this._wasFixed = false;
+  }
+
+  execute() {
+    this._wasFixed = this.object.representation.fixedIndices.includes(this.index);
+    this._set(this.fixed);
+  }
+
+  undo() {
+    this._set(this._wasFixed);
+  }
+
+  get changed() {
+    return this._wasFixed !== this.fixed;
+  }
+
+  redo() {
+    this._set(this.fixed);
+  }
+
+  // 表面点下标随体积网格重新生成而改变
+  dependsOn(object) {
+    return object === this.object;
+  }
+
+  _set(fixed) {
+    if (fixed) this.object.fixPoint(this.index);
+    else this.object.unfixPoint(this.index);
+  }
+}
+
+// ============================================================================
+// 物体的创建
+// ============================================================================
+export class CreateObjectCommand extends EditCommand {
+
+  /**
+   * @param {World} world
+   * @param {() => Object|null} create - 只在首次执行时调用（返回 null 时不加入场景）
+   * @param {object} options - World.addObject 的节点参数
+   */
+  constructor(world, create, options = {}) {
+    super('create object');
+    this.world = world;
+    this._create = create;
+    this._options = options;
+    this.object = null;
+  }
+
+  execute() {
+    this.object = this._create();
+    if (this.object) {
+      this.label = `create ${this.object.metadata.name}`;
+      this.world.addObject(this.object, this._options);
+    }
+    return this.object;
+  }
+
+  undo() {
+    if (this.object) this.world.removeObject(this.object);
+  }
+
+  get changed() {
+    return this.object !== null;
+  }
+
+  redo() {
+    if (this.object) this.world.addObject(this.object, this._options);
+  }
+
+  // 物体本身的点集随命令保留
+  get size() {
+    const object = this.object;
+    if (!object) return 64;
+    const count = object.displayPoints.length + object.controlPoints.length +
+      (object.constructionPoints === object.controlPoints ? 0 : object.constructionPoints.length);
+    return 64 + count * 64;
+  }
+}
+
+// ============================================================================
+// 命令组
+// ============================================================================
+export class GroupCommand extends EditCommand {
+
+  /**
+   * @param {string} label
+   * @param {(() => EditCommand)[]} steps - 依次创建子命令：前一个子命令执行后才创建下一个，
+   *   下标按执行时的点集确定（Swap-to-End 会移动同一物体的其他点）
+   */
+  constructor(label, steps) {
+    super(label);
+    this._steps = steps;
+    this.commands = [];
+  }
+
+  // 子命令失败时撤销已执行的部分，整组不生效
+  execute() {
+    this.commands = [];
+    try {
+      for (const step of this._steps) {
+        const command = step();
+        command.execute();
+        if (command.changed) this.commands.push(command);
+      }
+    } catch (error) {
+      this.undo();
+      this.commands = [];
+      throw error;
+    }
+  }
+
+  undo() {
+    for (let i = this.commands.length - 1; i >= 0; i--) this.commands[i].undo();
+  }
+
+  redo() {
+    for (const command of this.commands) command.redo();
+  }
+
+  get changed() {
+    return this.commands.length > 0;
+  }
+
+  dependsOn(object) {
+    return this.commands.some(command => command.dependsOn(object));
+  }
+
+  get size() {
+    return this.commands.reduce((sum, command) => sum + command.size, 64);
+  }
+}
+
+// ============================================================================
+// 命令历史
+// ============================================================================
+export class CommandHistory {
+
+  static DEFAULTS = {
+    // 撤销栈最多保留的命令数
+    maxCommands: 200,
+    // 撤销栈与重做栈合计的内存预算（字节，按 EditCommand.size 估算）
+    maxBytes: 32 * 1024 * 1024,
+    // 同类编辑在该间隔内到达时合并（毫秒，0 = 不合并）
+    mergeWindowMs: 500,
+  };
+
+  /**
+   * @param {object} options - 见 DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...CommandHistory.DEFAULTS, ...options };
+    this._undo = [];
+    this._redo = [];
+    // 为 true 时下一条命令不与栈顶合并（拖动结束时 seal）
+    this._sealed = true;
+    this.bytes = 0;
+  }
+
+  get canUndo() {
+    return this._undo.length > 0;
+  }
+
+  get canRedo() {
+    return this._redo.length > 0;
+  }
+
+  /**
+   * 下一步撤销 / 重做的命令名（没有时为 null）
+   */
+  get undoLabel() {
+    return this._undo.at(-1)?.label ?? null;
+  }
+
+  get redoLabel() {
+    return this._redo.at(-1)?.label ?? null;
+  }
+
+  /**
+   * 执行命令并入栈（与栈顶合并或清空重做栈）；未改变状态的命令不入栈
+   * @param {EditCommand} command
+   * @param {number} now - 当前时间（毫秒，测试与录制时可传入）
+   * @returns {*} 命令的返回值
+   */
+  execute(command, now = Date.now()) {
+    const result = command.execute();
+    if (!command.changed) return result;
+    command.time = now;
+
+    for (const redone of this._redo) this.bytes -= redone.size;
+    this._redo.length = 0;
+
+    const last = this._undo.at(-1);
+    if (!this._sealed && last && now - last.time <= this.options.mergeWindowMs) {
+      const before = last.size;
+      if (last.merge(command)) {
+        last.time = now;
+        this.bytes += last.size - before;
+        return result;
+      }
+    }
+
+    this._undo.push(command);
+    this.bytes += command.size;
+    this._sealed = false;
+    this._trim();
+    return result;
+  }
+
+  /**
+   * 结束当前合并（如拖动松开鼠标），之后的编辑另起一步
+   */
+  seal() {
+    this._sealed = true;
+  }
+
+  /**
+   * @returns {EditCommand|null} 撤销的命令
+   */
+  undo() {
+    const command = this._undo.pop();
+    if (!command) return null;
+    this._run(command, 'undo');
+    this._redo.push(command);
+    this._sealed = true;
+    return command;
+  }
+
+  /**
+   * @returns {EditCommand|null} 重做的命令
+   */
+  redo() {
+    const command = this._redo.pop();
+    if (!command) return null;
+    this._run(command, 'redo');
+    this._undo.push(command);
+    this._sealed = true;
+    return command;
+  }
+
+  clear() {
+    this._undo.length = 0;
+    this._redo.length = 0;
+    this._sealed = true;
+    this.bytes = 0;
+  }
+
+  /**
+   * 丢弃依赖该物体点集的命令（物体的点数组将被替换时调用），其余命令保留
+   * @param {Object} object
+   * @returns {number} 丢弃的命令数
+   */
+  discard(object) {
+    let removed = 0;
+    for (const stack of [this._undo, this._redo]) {
+      const kept = stack.filter(command => {
+        if (!command.dependsOn(object)) return true;
+        this.bytes -= command.size;
+        removed++;
+        return false;
+      });
+      stack.splice(0, stack.length, ...kept);
+    }
+    this._sealed = true;
+    return removed;
+  }
+
+  // 恢复失败时其余命令所依赖的状态也已失效，整个历史作废
+  _run(command, action) {
+    try {
+      command[action]();
+    } catch (error) {
+      this.clear();
+      throw error;
+    }
+  }
+
+  // 丢弃最早的命令直到满足条数与内存预算（至少保留最近一条）
+  _trim() {
+    const { maxCommands, maxBytes } = this.options;
+    let drop = 0;
+    while (this._undo.length - drop > 1 &&
+      (this._undo.length - drop > maxCommands || this.bytes > maxBytes)) {
+      this.bytes -= this._undo[drop].size;
+      drop++;
+    }
+    if (drop > 0) this._undo.splice(0, drop);
+  }
+}
@@ -0,0 +1,338 @@
+/**
+ * Picker.js - 屏幕像素拾取与选择集
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 拾取（Picker）：从观察者头部（中眼，Window.capital）穿过屏幕像素的物理位置发出射线
+ *   （ScreenCamera.ray），返回最近的显示点 / 建构点及其所属物体；
+ *   球谐体另求射线与表面的精确交点（signedDistance 步进 + 二分，再 projectToSurface 细化）
+ * - 选择集（SelectionSet）：按（物体，点）去重的拾取结果集合，变化时通知订阅者，
+ *   供编辑工具（撤销历史的点编辑命令等）读取
+ *
+ * 点命中：点投影到中眼像素（ScreenCamera.project）与光标距离不超过 radiusPx；
+ * 多个命中取离眼平面最近者，即看到的那个点。立体画面中左右眼图像分开，
+ * 以中眼为准与光标在两幅图像之间的位置对应
+ *
+ * 拾取读取窗口最近一次 calculate 同步的 screenCamera，不重新投影场景
+ *
+ * 依赖：
+ * - ScreenCamera.js（经 Window.screenCamera）: 射线与投影
+ * - ScalarField.js: 判断物体是否带球谐表面
+ * ============================================================================
+ */
+
+import { ScalarField } from "../base/ScalarField.js";
+
+export class Picker {
+
+  static DEFAULTS = {
+    // 点命中半径（像素）
+    radiusPx: 6,
+    // 参与拾取的点集
+    displayPoints: true,
+    constructionPoints: true,
+    // 球谐表面求交：包围球内的步进数与二分次数
+    surfaceSteps: 64,
+    bisections: 24,
+  };
+
+  /**
+   * @param {object} options - 见 DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...Picker.DEFAULTS, ...options };
+  }
+
+  /**
+   * 拾取视口像素 (px, py) 下最近的物体与点
+   *
+   * @param {Window} window - 观察者窗口（已执行过 calculate）
+   * @param {number} px
+   * @param {number} py
+   * @param {Object[]} objects - 参与拾取的物体
+   * @returns {{
+   *   object: Object,
+   *   point: Point,
+   *   kind: 'display'|'construction',
+   *   index: number,
+   *   depth: number,
+   *   pixelDistance: number,
+   *   surface: {point, normal, distance, theta, phi}|null,
+   *   ray: {origin, direction}
+   * }|null} depth 为命中处到眼平面的距离（厘米）；surface 为球谐表面交点（未命中表面为 null）
+   */
+  pick(window, px, py, objects) {
+    const camera = window.screenCamera;
+    if (!camera || !(camera.width > 0)) return null;
+
+    const ray = camera.ray(px, py, 'mono');
+    const eye = ray.origin;
+    const toScreen = -Picker._dot(Picker._sub(camera.lowerLeft, eye), camera.vn);
+    if (!(toScreen > 0)) return null;
+    // 眼平面距离为 dis 处一个像素对应的长度 = cmPerPx · dis / toScreen
+    const cmPerPx = camera.xlength / camera.width;
+
+    let best = null;
+    for (const object of objects) {
+      const sphere = object.getBoundingSphere();
+      const toCenter = Picker._sub(sphere.center, eye);
+      const t = Picker._dot(toCenter, ray.direction);
+      if (t + sphere.radius < 0) continue;
+      const perp = Math.sqrt(Math.max(0, Picker._dot(toCenter, toCenter) - t * t));
+      const margin = this.options.radiusPx * cmPerPx * (Math.max(t, 0) + sphere.radius) / toScreen;
+      if (perp > sphere.radius + margin) continue;
+
+      const pointHit = this._pickPoint(camera, px, py, object);
+      const surface = ScalarField.hasSphericalHarmonics(object)
+        ? this._intersectSurface(object, ray, Math.max(0, t - sphere.radius), t + sphere.radius)
+        : null;
+      const surfaceDepth = surface ? camera.project(surface.point)?.dis ?? Infinity : Infinity;
+      const depth = Math.min(pointHit?.depth ?? Infinity, surfaceDepth);
+      if (depth === Infinity) continue;
+
+      const closer = !best || depth < best.depth ||
+        (depth === best.depth && (pointHit?.pixelDistance ?? Infinity) < best.pixelDistance);
+      if (!closer) continue;
+
+      const hit = pointHit ?? this._nearestPoint(object, surface.point);
+      best = {
+        object,
+        point: hit.point,
+        kind: hit.kind,
+        index: hit.index,
+        depth,
+        pixelDistance: pointHit?.pixelDistance ?? Infinity,
+        surface,
+        ray,
+      };
+    }
+    return best;
+  }
+
+  // 物体中投影到光标附近、离眼平面最近的点
+  _pickPoint(camera, px, py, object) {
+    const radiusSq = this.options.radiusPx * this.options.radiusPx;
+    let best = null;
+    for (const [kind, points] of this._pointSets(object)) {
+      for (let i = 0; i < points.length; i++) {
+        const screen = camera.project(points[i]);
+        if (!screen) continue;
+        const dx = screen.x - px;
+        const dy = screen.y - py;
+        const distSq = dx * dx + dy * dy;
+        if (distSq > radiusSq) continue;
+        if (best && (screen.dis > best.depth || (screen.dis === best.depth && distSq >= best.distSq))) continue;
+        best = { point: points[i], kind, index: i, depth: screen.dis, distSq };
+      }
+    }
+    if (best) best.pixelDistance = Math.sqrt(best.distSq);
+    return best;
+  }
+
+  // 空间中离 position 最近的点（表面命中时给出对应的点）
+  _nearestPoint(object, position) {
+    let best = null;
+    for (const [kind, points] of this._pointSets(object)) {
+      for (let i = 0; i < points.length; i++) {
+        const d = Picker._sub(points[i], position);
+        const distSq = Picker._dot(d, d);
+        if (!best || distSq < best.distSq) best = { point: points[i], kind, index: i, distSq };
+      }
+    }
+    return best ?? { point: null, kind: null, index: -1 };
+  }
+
+  _pointSets(object) {
+    const sets = [];
+    if (this.options.displayPoints) sets.push(['display', object.displayPoints]);
+    if (this.options.constructionPoints) sets.push(['construction', object.constructionPoints]);
+    return sets;
+  }
+
+  /**
+   * 射线与球谐表面的第一个交点（从外部进入）：[t0, t1] 内等步长找符号距离由正变非正的区间，
+   * 二分后用 projectToSurface 求表面最近点与法向量
+   * @returns {{point, normal, distance, theta, phi}|null} distance 为射线参数
+   */
+  _intersectSurface(object, ray, t0, t1) {
+    const { coefficients, sphericalHarmonics } = object.representation.data;
+    const center = object.center;
+    const { origin, direction } = ray;
+    const at = (t) => ({
+      x: origin.x + direction.x * t,
+      y: origin.y + direction.y * t,
+      z: origin.z + direction.z * t,
+    });
+    const sdf = (t) => {
+      const p = at(t);
+      return sphericalHarmonics.signedDistance(coefficients, p.x, p.y, p.z, center);
+    };
+
+    // 射线起点（眼睛或包围球入口）已在物体内部时不求交
+    if (!(sdf(t0) > 0)) return null;
+    const steps = this.options.surfaceSteps;
+    let prevT = t0;
+    for (let i = 1; i <= steps; i++) {
+      const t = t0 + (t1 - t0) * (i / steps);
+      const value = sdf(t);
+      if (value <= 0) {
+        let lo = prevT;
+        let hi = t;
+        for (let k = 0; k < this.options.bisections; k++) {
+          const mid = (lo + hi) / 2;
+          if (sdf(mid) > 0) lo = mid;
+          else hi = mid;
+        }
+        const tHit = (lo + hi) / 2;
+        const p = at(tHit);
+        const projected = sphericalHarmonics.projectToSurface(coefficients, p.x, p.y, p.z, center);
+        return {
+          point: projected.point,
+          normal: projected.normal,
+          distance: tHit,
+          theta: projected.theta,
+          phi: projected.phi,
+        };
+      }
+      prevT = t;
+    }
+    return null;
+  }
+
+  static _sub(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+  }
+
+  static _dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+  }
+}
+
+// ============================================================================
+// 选择集
+// ============================================================================
+export class SelectionSet {
+
+  constructor() {
+    // 物体 → Map(点 → 条目)；条目 { object, point, kind, surface }
+    this._items = new Map();
+    this._listeners = new Set();
+  }
+
+  get size() {
+    let count = 0;
+    for (const points of this._items.values()) count += points.size;
+    return count;
+  }
+
+  /**
+   * 加入拾取结果（同一物体的同一点只保留一条）
+   * @param {object} hit - Picker.pick 的结果
+   * @returns {boolean} 是否新加入
+   */
+  add(hit) {
+    if (!hit?.object || !hit.point) return false;
+    let points = this._items.get(hit.object);
+    if (!points) {
+      points = new Map();
+      this._items.set(hit.object, points);
+    }
+    if (points.has(hit.point)) return false;
+    points.set(hit.point, { object: hit.object, point: hit.point, kind: hit.kind, surface: hit.surface ?? null });
+    this._notify();
+    return true;
+  }
+
+  /**
+   * @returns {boolean} 是否移除了条目
+   */
+  remove(object, point) {
+    const points = this._items.get(object);
+    if (!points?.delete(point)) return false;
+    if (points.size === 0) this._items.delete(object);
+    this._notify();
+    return true;
+  }
+
+  /**
+   * 已选则移除，否则加入
+   * @returns {boolean} 操作后是否处于选中状态
+   */
+  toggle(hit) {
+    if (this.has(hit?.object, hit?.point)) {
+      this.remove(hit.object, hit.point);
+      return false;
+    }
+    return this.add(hit);
+  }
+
+  has(object, point) {
+    return this._items.get(object)?.has(point) ?? false;
+  }
+
+  clear() {
+    if (this._items.size === 0) return;
+    this._items.clear();
+    this._notify();
+  }
+
+  /**
+   * 移除不在 objects 中的物体（物体被删除、撤销创建或读取新场景后）
+   * @returns {number} 移除的条目数
+   */
+  prune(objects) {
+    let removed = 0;
+    for (const [object, points] of this._items) {
+      if (objects.includes(object)) continue;
+      removed += points.size;
+      this._items.delete(object);
+    }
+    if (removed > 0) this._notify();
+    return removed;
+  }
+
+  /**
+   * 已选物体（按首次选中顺序）
+   * @returns {Object[]}
+   */
+  objects() {
+    return [...this._items.keys()];
+  }
+
+  /**
+   * 全部条目，或某个物体的条目
+   * @returns {{object, point, kind, surface}[]}
+   */
+  entries(object) {
+    if (object) return [...(this._items.get(object)?.values() ?? [])];
+    const result = [];
+    for (const points of this._items.values()) result.push(...points.values());
+    return result;
+  }
+
+  /**
+   * 条目的当前下标（Swap-to-End 等编辑会改变下标，按引用查找；点已不在物体中时为 -1）
+   */
+  static indexOf(entry) {
+    const points = entry.kind === 'display' ? entry.object.displayPoints : entry.object.constructionPoints;
+    return points.indexOf(entry.point);
+  }
+
+  /**
+   * 订阅变化
+   * @param {(selection: SelectionSet) => void} listener
+   * @returns {() => void} 取消订阅
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  _notify() {
+    for (const listener of this._listeners) listener(this);
+  }
+}
@@ -0,0 +1,402 @@
+/**
+ * SceneSerializer.js - 场景文件（带版本号的 JSON）保存与读取
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 保存：World 的场景图节点、物体（Object.serialize）、光源、观察者相机位姿，
+ *   以及调用方给出的显示参数（config）与应用状态（viewer）
+ * - 读取：解析 → 迁移到当前版本 → 结构校验 → 重建物体 → 替换场景内容
+ *   （观察者窗口由应用创建，读取时保留，只恢复位姿与所在节点）
+ * - 迁移钩子：registerMigration(fromVersion, migrate) 把 fromVersion 的文档
+ *   升级到 fromVersion + 1，读取旧文件时逐级执行
+ *
+ * 文件结构（version 1）：
+ * {
+ *   format: 'stereo-scene', version: 1,
+ *   metadata: {...}, config: {...} | null, viewer: {...} | null,
+ *   objects: [Object.serialize()],
+ *   lights: [{ type, name, position, direction, target, color, intensity, ... }],
+ *   camera: { views: [{ name, eyeD, capital, screen, orientation }] },
+ *   nodes: [{ name, parent, position, rotation: [w, x, y, z], scale, kind, index }]
+ * }
+ * nodes 按先序排列（父节点在前），parent 为 -1 表示根节点之下；
+ * kind / index 指向 objects、lights 或 camera.views 中的条目
+ *
+ * 依赖：
+ * - Object.js: 物体序列化
+ * - Light.js: 光源类型
+ * - CameraOrientation.js: 节点旋转
+ * - World.js: 场景图
+ * ============================================================================
+ */
+
+import { Object } from "../base/Object.js";
+import { Light } from "../base/Light.js";
+import { CameraOrientation } from "../base/CameraOrientation.js";
+import { SceneNode } from "./World.js";
+
+export class SceneSerializer {
+
+  static FORMAT = 'stereo-scene';
+  static VERSION = 1;
+
+  static REPRESENTATION_TYPES = ['points', 'sphericalHarmonics', 'volumetric', 'cloth', 'line', 'elliptic-fourier-2d'];
+
+  // 校验报告的最多问题数
+  static MAX_ERRORS = 20;
+
+  // fromVersion → (doc) => doc（升级一个版本）
+  static _migrations = new Map();
+
+  /**
+   * 注册迁移：把 fromVersion 的文档升级到 fromVersion + 1
+   * @param {number} fromVersion
+   * @param {(doc: object) => object} migrate
+   */
+  static registerMigration(fromVersion, migrate) {
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+      throw new Error(`[SceneSerializer] Invalid migration version: ${fromVersion}`);
+    }
+    SceneSerializer._migrations.set(fromVersion, migrate);
+  }
+
+  // ==========================================================================
+  // 保存
+  // ==========================================================================
+
+  /**
+   * @param {World} world
+   * @param {object} options
+   * @param {object} options.config - 显示参数（原样写入，读取时交还调用方）
+   * @param {object} options.viewer - 应用状态（旋转中心等，原样写入）
+   * @param {object} options.metadata - 场景名、说明等
+   * @returns {object} 可直接 JSON.stringify
+   */
+  static save(world, options = {}) {
+    const objects = world.objects;
+    const lights = world.lights.all();
+    const views = world.views;
+
+    const nodes = [];
+    const indexOf = new Map();
+    world.root.traverse(node => {
+      if (node === world.root) return;
+      indexOf.set(node, nodes.length);
+      let index = -1;
+      if (node.kind === 'object') index = objects.indexOf(node.attachment);
+      if (node.kind === 'light') index = lights.indexOf(node.attachment);
+      if (node.kind === 'window') index = views.findIndex(view => view.window === node.attachment);
+      const { w, x, y, z } = node.rotation;
+      nodes.push({
+        name: node.name,
+        parent: node.parent === world.root ? -1 : indexOf.get(node.parent),
+        position: { ...node.position },
+        rotation: [w, x, y, z],
+        scale: node.scale,
+        kind: index === -1 ? null : node.kind,
+        index,
+      });
+    });
+
+    return {
+      format: SceneSerializer.FORMAT,
+      version: SceneSerializer.VERSION,
+      metadata: { saved: new Date().toISOString(), ...options.metadata },
+      config: options.config ? JSON.parse(JSON.stringify(options.config)) : null,
+      viewer: options.viewer ? JSON.parse(JSON.stringify(options.viewer)) : null,
+      objects: objects.map(object => object.serialize()),
+      lights: lights.map(light => SceneSerializer._serializeLight(light)),
+      camera: {
+        views: views.map(({ window, eyeD }) => ({ name: window.name, eyeD, ...window.getPose() })),
+      },
+      nodes,
+    };
+  }
+
+  /**
+   * @returns {string}
+   */
+  static stringify(world, options = {}) {
+    return JSON.stringify(SceneSerializer.save(world, options));
+  }
+
+  static _serializeLight(light) {
+    return {
+      type: light.type,
+      name: light.name,
+      position: { ...light.position },
+      direction: light.direction ? { ...light.direction } : null,
+      target: light.target ? { x: light.target.x, y: light.target.y, z: light.target.z } : null,
+      color: [...light.color],
+      intensity: light.intensity,
+      falloff: light.falloff,
+      innerAngle: light.innerAngle,
+      outerAngle: light.outerAngle,
+      enabled: light.enabled,
+      shadow: { ...light.shadow },
+    };
+  }
+
+  // ==========================================================================
+  // 读取
+  // ==========================================================================
+
+  /**
+   * 解析 JSON 文本
+   * @returns {object}
+   */
+  static parse(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`[SceneSerializer] Not a JSON document: ${error.message}`);
+    }
+  }
+
+  /**
+   * 逐级迁移到当前版本（当前版本的文档原样返回）
+   * @returns {object}
+   */
+  static migrate(doc) {
+    if (doc?.format !== SceneSerializer.FORMAT) {
+      throw new Error(`[SceneSerializer] Not a scene document (format: ${doc?.format})`);
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+      throw new Error(`[SceneSerializer] Invalid scene version: ${doc.version}`);
+    }
+    if (doc.version > SceneSerializer.VERSION) {
+      throw new Error(`[SceneSerializer] Scene version ${doc.version} is newer than supported version ${SceneSerializer.VERSION}`);
+    }
+    while (doc.version < SceneSerializer.VERSION) {
+      const migrate = SceneSerializer._migrations.get(doc.version);
+      if (!migrate) {
+        throw new Error(`[SceneSerializer] No migration from scene version ${doc.version}`);
+      }
+      const from = doc.version;
+      doc = migrate(doc);
+      if (doc?.version !== from + 1) {
+        throw new Error(`[SceneSerializer] Migration from version ${from} must produce version ${from + 1}`);
+      }
+    }
+    return doc;
+  }
+
+  /**
+   * 读取场景文件并替换 world 的内容（物体、光源、节点；观察者窗口保留）
+   *
+   * 先完成迁移、校验与全部物体重建，任一步失败时场景保持不变
+   *
+   * @param {World} world
+   * @param {object|string} input - 文档或 JSON 文本
+   * @param {object} options - 传给 Object.deserialize（sphericalHarmonics 等）
+   * @returns {{config: object|null, viewer: object|null, metadata: object}}
+   */
+  static load(world, input, options = {}) {
+    const doc = SceneSerializer.migrate(typeof input === 'string' ? SceneSerializer.parse(input) : input);
+    const errors = SceneSerializer.validate(doc);
+    if (errors.length > 0) {
+      throw new Error(`[SceneSerializer] Invalid scene:\n - ${errors.join('\n - ')}`);
+    }
+    const objects = doc.objects.map(data => Object.deserialize(data, options));
+    const lights = doc.lights.map(data => new Light(data));
+
+    const views = world.views.map(({ window, eyeD }) => ({ window, eyeD }));
+    world.clear();
+
+    // 先建层级，再挂载（挂载时的世界坐标即文件中保存的坐标）
+    const attachTo = { object: [], light: [], window: [] };
+    const nodes = [];
+    for (const data of doc.nodes) {
+      const [w, x, y, z] = data.rotation;
+      const node = world.createNode({
+        name: data.name,
+        parent: data.parent === -1 ? world.root : nodes[data.parent],
+        position: data.position,
+        rotation: new CameraOrientation(w, x, y, z).normalize(),
+        scale: data.scale,
+      });
+      nodes.push(node);
+      if (data.kind) attachTo[data.kind][data.index] = node;
+    }
+
+    objects.forEach((object, i) => world.addObject(object, { node: attachTo.object[i] }));
+    lights.forEach((light, i) => world.addLight(light, { node: attachTo.light[i] }));
+    views.forEach(({ window, eyeD }, i) => {
+      const pose = doc.camera.views[i];
+      if (pose) window.setPose(pose);
+      world.addWindow(window, { eyeD, node: attachTo.window[i] });
+    });
+
+    return { config: doc.config, viewer: doc.viewer, metadata: doc.metadata };
+  }
+
+  // ==========================================================================
+  // 校验
+  // ==========================================================================
+
+  /**
+   * 结构校验（当前版本）
+   * @returns {string[]} 问题列表（空 = 有效），至多 MAX_ERRORS 条
+   */
+  static validate(doc) {
+    const errors = [];
+    const fail = (path, message) => {
+      if (errors.length < SceneSerializer.MAX_ERRORS) errors.push(`${path}: ${message}`);
+    };
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isVector = value => isObject(value) &&
+      Number.isFinite(value.x) && Number.isFinite(value.y) && Number.isFinite(value.z);
+    const isIndex = (value, length) => Number.isInteger(value) && value >= 0 && value < length;
+
+    if (!isObject(doc)) {
+      return ['scene: must be an object'];
+    }
+    if (doc.format !== SceneSerializer.FORMAT) fail('format', `expected '${SceneSerializer.FORMAT}'`);
+    if (doc.version !== SceneSerializer.VERSION) fail('version', `expected ${SceneSerializer.VERSION}`);
+    for (const key of ['metadata', 'config', 'viewer']) {
+      if (doc[key] !== null && doc[key] !== undefined && !isObject(doc[key])) fail(key, 'must be an object or null');
+    }
+
+    // 点集：扁平坐标与可选属性长度一致
+    const checkPoints = (path, block) => {
+      if (!isObject(block) || !Array.isArray(block.positions) || block.positions.length % 3 !== 0) {
+        fail(path, 'positions must be a flat array of x, y, z');
+        return -1;
+      }
+      if (!block.positions.every(Number.isFinite)) fail(`${path}.positions`, 'must be finite numbers');
+      const count = block.positions.length / 3;
+      if (block.normals !== undefined &&
+        (!Array.isArray(block.normals) || block.normals.length !== block.positions.length)) {
+        fail(`${path}.normals`, 'length must match positions');
+      }
+      for (const key of ['colors', 'scalars']) {
+        if (block[key] !== undefined && (!Array.isArray(block[key]) || block[key].length !== count)) {
+          fail(`${path}.${key}`, 'needs one entry per point');
+        }
+      }
+      return count;
+    };
+
+    if (!Array.isArray(doc.objects)) {
+      fail('objects', 'must be an array');
+    } else {
+      doc.objects.forEach((object, i) => {
+        const path = `objects[${i}]`;
+        if (!isObject(object)) {
+          fail(path, 'must be an object');
+          return;
+        }
+        if (!['parametric', 'discrete'].includes(object.mode)) fail(`${path}.mode`, "must be 'parametric' or 'discrete'");
+        checkPoints(`${path}.displayPoints`, object.displayPoints);
+        const controlCount = checkPoints(`${path}.controlPoints`, object.controlPoints);
+        const constructionCount = object.constructionPoints === null
+          ? controlCount
+          : checkPoints(`${path}.constructionPoints`, object.constructionPoints);
+        if (!Number.isInteger(object.surfaceCount) || object.surfaceCount < 0 ||
+          (constructionCount >= 0 && object.surfaceCount > constructionCount)) {
+          fail(`${path}.surfaceCount`, 'must be an integer within the construction points');
+        }
+        if (!isObject(object.physics)) fail(`${path}.physics`, 'must be an object');
+
+        const rep = object.representation;
+        if (!isObject(rep)) {
+          fail(`${path}.representation`, 'must be an object');
+          return;
+        }
+        if (!SceneSerializer.REPRESENTATION_TYPES.includes(rep.type)) {
+          fail(`${path}.representation.type`, `unknown type '${rep.type}'`);
+        }
+        if (rep.sphericalHarmonics && !Array.isArray(rep.data?.coefficients)) {
+          fail(`${path}.representation.data.coefficients`, 'required for spherical harmonics surfaces');
+        }
+        const topology = rep.topology;
+        if (!isObject(topology) || !Array.isArray(topology.triangles) || !Array.isArray(topology.edges)) {
+          fail(`${path}.representation.topology`, 'needs triangles and edges arrays');
+        } else if (constructionCount >= 0) {
+          const valid = (list, size) => list.every(entry =>
+            Array.isArray(entry) && entry.length === size && entry.every(v => isIndex(v, constructionCount)));
+          if (!valid(topology.triangles, 3)) fail(`${path}.representation.topology.triangles`, 'vertex index out of range');
+          if (!valid(topology.edges, 2)) fail(`${path}.representation.topology.edges`, 'vertex index out of range');
+          for (const key of ['internalEdges', 'skinBoneEdges']) {
+            if (topology[key] !== undefined && !(Array.isArray(topology[key]) && valid(topology[key], 2))) {
+              fail(`${path}.representation.topology.${key}`, 'vertex index out of range');
+            }
+          }
+        }
+        if (!Array.isArray(rep.fixedIndices) || !rep.fixedIndices.every(v => isIndex(v, object.surfaceCount))) {
+          fail(`${path}.representation.fixedIndices`, 'must index surface points');
+        }
+      });
+    }
+
+    if (!Array.isArray(doc.lights)) {
+      fail('lights', 'must be an array');
+    } else {
+      doc.lights.forEach((light, i) => {
+        const path = `lights[${i}]`;
+        if (!isObject(light)) {
+          fail(path, 'must be an object');
+          return;
+        }
+        if (!Light.TYPES.includes(light.type)) fail(`${path}.type`, `unknown light type '${light.type}'`);
+        if (!isVector(light.position)) fail(`${path}.position`, 'must be a finite vector');
+        if (light.type === 'directional' && !isVector(light.direction)) fail(`${path}.direction`, 'required for directional lights');
+      });
+    }
+
+    const views = doc.camera?.views;
+    if (!Array.isArray(views)) {
+      fail('camera.views', 'must be an array');
+    } else {
+      views.forEach((view, i) => {
+        const path = `camera.views[${i}]`;
+        if (!isVector(view?.capital) || !isVector(view?.screen)) fail(path, 'capital and screen must be finite vectors');
+        const q = view?.orientation;
+        if (!isObject(q) || ![q.w, q.x, q.y, q.z].every(Number.isFinite) || q.w * q.w + q.x * q.x + q.y * q.y + q.z * q.z < 1e-12) {
+          fail(`${path}.orientation`, 'must be a non-zero quaternion');
+        }
+      });
+    }
+
+    if (!Array.isArray(doc.nodes)) {
+      fail('nodes', 'must be an array');
+    } else {
+      const counts = {
+        object: doc.objects?.length ?? 0,
+        light: doc.lights?.length ?? 0,
+        window: views?.length ?? 0,
+      };
+      const used = new Set();
+      doc.nodes.forEach((node, i) => {
+        const path = `nodes[${i}]`;
+        if (!isObject(node)) {
+          fail(path, 'must be an object');
+          return;
+        }
+        if (node.parent !== -1 && !isIndex(node.parent, i)) fail(`${path}.parent`, 'must be -1 or an earlier node');
+        if (!isVector(node.position)) fail(`${path}.position`, 'must be a finite vector');
+        if (!Array.isArray(node.rotation) || node.rotation.length !== 4 || !node.rotation.every(Number.isFinite) ||
+          node.rotation.every(v => v === 0)) {
+          fail(`${path}.rotation`, 'must be a non-zero quaternion [w, x, y, z]');
+        }
+        if (!(node.scale > 0)) fail(`${path}.scale`, 'must be positive');
+        if (node.kind === null || node.kind === undefined) return;
+        if (!SceneNode.KINDS.includes(node.kind)) {
+          fail(`${path}.kind`, `unknown kind '${node.kind}'`);
+        } else if (!isIndex(node.index, counts[node.kind])) {
+          fail(`${path}.index`, `no ${node.kind} #${node.index}`);
+        } else if (used.has(`${node.kind}:${node.index}`)) {
+          fail(`${path}.index`, `${node.kind} #${node.index} is attached twice`);
+        } else {
+          used.add(`${node.kind}:${node.index}`);
+        }
+      });
+    }
+
+    return errors;
+  }
+}
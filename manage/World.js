@@ -1,12 +1,506 @@
-import { Object } from "../base/Object.js";
-import { Window } from "../base/Window.js";
+/**
+ * World.js - 场景图与场景所有者
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 场景节点（SceneNode）：父子层级 + 本地变换（位置、四元数旋转、均匀缩放），
+ *   每个节点至多挂载一个物体 / 光源 / 观察者窗口，空节点用作分组
+ * - 场景（World）：持有物体、附加物体（光源小球等）、光源注册表、观察者窗口与物理系统，
+ *   每帧计算分阶段提供，由调用方按需编排（见下）
+ *
+ * 挂载语义：挂载时物体 / 光源 / 窗口的当前世界坐标视为节点当前世界变换下的姿态，
+ * 此后节点（或任一祖先）变换改变时，挂载项按新旧世界变换之差整体移动
+ * （Object / Light / Window 的 applyTransform）。因此不经节点直接移动挂载项
+ * （拖动控制点、物理模拟、键盘移动相机）与节点变换互不冲突
+ *
+ * 每帧计算（无统一的 calc 入口，调用方在阶段之间插入自己的步骤，
+ * 如 main.js 在投影后做视差舒适修正与标量场着色）：
+ * - updateTransforms(): 节点变换 → 挂载项
+ * - step(dt): 物理模拟并写回建构点
+ * - updateLights(): 光源窗口计算并同步到观察者
+ * - project(): 各观察者窗口投影
+ * 物理推进后需重新 updateLights / project，节点变换改变后需先 updateTransforms
+ *
+ * objects / otherObjects 数组只在原地增删，外部可长期持有引用（main.js 的 SystemState）
+ *
+ * 依赖：
+ * - CameraOrientation.js: 节点旋转（四元数）
+ * - Light.js: 光源注册表
+ * - 物理系统通过 options 传入（math/PhysicsSystem.js 非 ES 模块）：
+ *   需提供 addObject / removeObject / step(dt)
+ * ============================================================================
+ */
+
+import { CameraOrientation } from "../base/CameraOrientation.js";
+import { LightRegistry } from "../base/Light.js";
+
+// ============================================================================
+// SceneNode 类
+// ============================================================================
+export class SceneNode {
+
+  static KINDS = ['object', 'light', 'window'];
+
+  /**
+   * @param {object} options
+   * @param {string} options.name - 节点名（World.find 按名查找）
+   * @param {{x, y, z}} options.position - 相对父节点的位置（厘米）
+   * @param {CameraOrientation} options.rotation - 相对父节点的旋转（默认无旋转）
+   * @param {number} options.scale - 相对父节点的均匀缩放（默认 1）
+   */
+  constructor(options = {}) {
+    this.name = options.name ?? 'node';
+    this.parent = null;
+    this.children = [];
+    this.position = { x: 0, y: 0, z: 0, ...options.position };
+    this.rotation = options.rotation ? options.rotation.clone() : new CameraOrientation();
+    this.scale = 1;
+    this.setScale(options.scale ?? 1);
+
+    // 挂载项与类型（SceneNode.KINDS 之一，空节点为 null）
+    this.attachment = null;
+    this.kind = null;
+    // 挂载项当前所处的世界变换（变换改变时据此求差）
+    this._appliedWorld = null;
+  }
+
+  // ==========================================================================
+  // 层级
+  // ==========================================================================
+
+  /**
+   * 添加子节点（先从原父节点移除）；本地变换不变，挂载项随新父节点的世界变换移动
+   * @returns {SceneNode} child
+   */
+  add(child) {
+    for (let node = this; node; node = node.parent) {
+      if (node === child) {
+        throw new Error(`[SceneNode] Cannot add ${child.name} under itself or its descendant`);
+      }
+    }
+    if (child.parent) child.parent.remove(child);
+    child.parent = this;
+    this.children.push(child);
+    return child;
+  }
+
+  /**
+   * @returns {boolean} 是否为本节点的子节点
+   */
+  remove(child) {
+    const index = this.children.indexOf(child);
+    if (index === -1) return false;
+    this.children.splice(index, 1);
+    child.parent = null;
+    return true;
+  }
+
+  /**
+   * 深度优先遍历（含自身）
+   * @param {(node: SceneNode) => void} callback
+   */
+  traverse(callback) {
+    callback(this);
+    for (const child of this.children) {
+      child.traverse(callback);
+    }
+  }
+
+  /**
+   * 按名查找后代（含自身，深度优先第一个）
+   * @returns {SceneNode|null}
+   */
+  find(name) {
+    if (this.name === name) return this;
+    for (const child of this.children) {
+      const found = child.find(name);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // ==========================================================================
+  // 本地变换
+  // ==========================================================================
+
+  setPosition(x, y, z) {
+    this.position.x = x;
+    this.position.y = y;
+    this.position.z = z;
+    return this;
+  }
+
+  translate(dx, dy, dz) {
+    this.position.x += dx;
+    this.position.y += dy;
+    this.position.z += dz;
+    return this;
+  }
+
+  /**
+   * 欧拉角旋转（约定同 CameraOrientation.fromYawPitchRoll）
+   */
+  setRotation(yaw, pitch, roll = 0) {
+    this.rotation = CameraOrientation.fromYawPitchRoll(yaw, pitch, roll);
+    return this;
+  }
+
+  /**
+   * 绕父坐标系的轴旋转
+   * @param {{x, y, z}} axis - 单位向量
+   * @param {number} angle - 弧度
+   */
+  rotate(axis, angle) {
+    this.rotation.rotateWorld(axis, angle);
+    return this;
+  }
+
+  setScale(scale) {
+    if (!(scale > 0)) {
+      throw new Error(`[SceneNode] Scale must be positive, got ${scale}`);
+    }
+    this.scale = scale;
+    return this;
+  }
+
+  /**
+   * 世界变换：父节点世界变换 ∘ 本地变换
+   * @returns {{position: {x, y, z}, rotation: CameraOrientation, scale: number}}
+   */
+  getWorldTransform() {
+    const local = { position: { ...this.position }, rotation: this.rotation.clone(), scale: this.scale };
+    if (!this.parent) return local;
+    return SceneNode.compose(this.parent.getWorldTransform(), local);
+  }
+
+  /**
+   * 变换复合 outer ∘ inner（先施加 inner）
+   */
+  static compose(outer, inner) {
+    const r = outer.rotation.rotate({
+      x: inner.position.x * outer.scale,
+      y: inner.position.y * outer.scale,
+      z: inner.position.z * outer.scale,
+    });
+    return {
+      position: { x: outer.position.x + r.x, y: outer.position.y + r.y, z: outer.position.z + r.z },
+      rotation: outer.rotation.multiply(inner.rotation).normalize(),
+      scale: outer.scale * inner.scale,
+    };
+  }
+
+  /**
+   * 从世界变换 from 到 to 的差，形如 Object.applyTransform 的参数：
+   * p' = to.position + R · (s · (p - from.position))，R = to.rotation · from.rotation⁻¹，s = to.scale / from.scale
+   */
+  static delta(from, to) {
+    return {
+      origin: from.position,
+      rotation: to.rotation.multiply(SceneNode.inverse(from).rotation).normalize(),
+      scale: to.scale / from.scale,
+      position: to.position,
+    };
+  }
+
+  /**
+   * 逆变换：旋转取共轭，缩放取倒数，位置 = -R⁻¹ · p / s
+   */
+  static inverse(transform) {
+    const { position, rotation, scale } = transform;
+    const inverse = new CameraOrientation(rotation.w, -rotation.x, -rotation.y, -rotation.z);
+    const r = inverse.rotate(position);
+    return {
+      position: { x: -r.x / scale, y: -r.y / scale, z: -r.z / scale },
+      rotation: inverse,
+      scale: 1 / scale,
+    };
+  }
+
+  static sameTransform(a, b) {
+    return a.scale === b.scale &&
+      a.position.x === b.position.x && a.position.y === b.position.y && a.position.z === b.position.z &&
+      a.rotation.w === b.rotation.w && a.rotation.x === b.rotation.x &&
+      a.rotation.y === b.rotation.y && a.rotation.z === b.rotation.z;
+  }
+}
+
+// ============================================================================
+// World 类
+// ============================================================================
 export class World {
-  constructor(objects = [], windows = []) {
-    this.objects = objects;
-    this.windows = windows;
-    this.screen = new Window();
-    this.screen = new Window();
+
+  /**
+   * @param {object} options
+   * @param {object} options.physics - 物理系统实例（PhysicsSystem，可选）
+   * @param {LightRegistry} options.lights - 光源注册表（默认新建）
+   * @param {{x, y, z}} options.lightTarget - 未指定 target 的光源照向的点（默认物体中心的平均）
+   */
+  constructor(options = {}) {
+    this.root = new SceneNode({ name: 'root' });
+    this.objects = [];
+    // 附加物体（光源小球、辅助标记）：参与投影与遮挡，不挂载到节点
+    this.otherObjects = [];
+    this.lights = options.lights ?? new LightRegistry();
+    // 观察者窗口：{ window, eyeD, node }，按添加顺序投影，第一个为主屏幕
+    this.views = [];
+    this.physics = options.physics ?? null;
+    this.lightTarget = options.lightTarget ?? null;
+    this.time = 0;
+
+    // 挂载项 → 节点
+    this._nodes = new Map();
   }
 
-  calc() {}
+  /**
+   * 主屏幕窗口（第一个观察者窗口）
+   * @returns {Window|null}
+   */
+  get screen() {
+    return this.views.length > 0 ? this.views[0].window : null;
+  }
+
+  // ==========================================================================
+  // 节点与挂载
+  // ==========================================================================
+
+  /**
+   * 新建空节点（分组）
+   * @param {object} options - 同 SceneNode 构造参数，另有 parent（默认根节点）
+   * @returns {SceneNode}
+   */
+  createNode(options = {}) {
+    const node = new SceneNode(options);
+    (options.parent ?? this.root).add(node);
+    return node;
+  }
+
+  /**
+   * 挂载项所在节点
+   * @returns {SceneNode|null}
+   */
+  nodeOf(item) {
+    return this._nodes.get(item) ?? null;
+  }
+
+  /**
+   * 按名查找节点
+   * @returns {SceneNode|null}
+   */
+  find(name) {
+    return this.root.find(name);
+  }
+
+  // options.node：挂到已有的空节点（读取场景文件时先建好层级），否则新建节点
+  _attach(kind, item, options) {
+    if (this._nodes.has(item)) {
+      throw new Error(`[World] ${kind} is already in the scene`);
+    }
+    if (options.node?.attachment) {
+      throw new Error(`[World] Node ${options.node.name} already holds a ${options.node.kind}`);
+    }
+    const node = options.node ?? this.createNode(options);
+    node.attachment = item;
+    node.kind = kind;
+    node._appliedWorld = node.getWorldTransform();
+    this._nodes.set(item, node);
+    return node;
+  }
+
+  // 移除挂载项所在节点；节点的子节点（及其挂载项）上移到父节点，世界变换不变
+  _detach(item) {
+    const node = this._nodes.get(item);
+    if (!node) return false;
+    this._nodes.delete(item);
+    const parent = node.parent;
+    for (const child of [...node.children]) {
+      const world = child.getWorldTransform();
+      parent.add(child);
+      World._setWorldTransform(child, world);
+    }
+    parent.remove(node);
+    node.attachment = null;
+    node.kind = null;
+    return true;
+  }
+
+  // 改写本地变换使节点的世界变换等于 world
+  static _setWorldTransform(node, world) {
+    const local = node.parent
+      ? SceneNode.compose(SceneNode.inverse(node.parent.getWorldTransform()), world)
+      : world;
+    node.position = { ...local.position };
+    node.rotation = local.rotation.clone();
+    node.scale = local.scale;
+  }
+
+  /**
+   * 添加物体（同时加入物理系统；物理系统只模拟 physics.enabled 的物体）
+   * @param {Object} object
+   * @param {object} options - 节点参数（name 缺省用 object.metadata.name，parent 缺省为根节点；
+   *   node 为已有空节点时直接挂载）
+   * @returns {SceneNode}
+   */
+  addObject(object, options = {}) {
+    const node = this._attach('object', object, { name: object.metadata?.name, ...options });
+    this.objects.push(object);
+    this.physics?.addObject(object);
+    return node;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  removeObject(object) {
+    const index = this.objects.indexOf(object);
+    if (index === -1) return false;
+    this.objects.splice(index, 1);
+    this.physics?.removeObject(object);
+    this._detach(object);
+    return true;
+  }
+
+  /**
+   * 添加光源（Light 或构造参数，加入光源注册表）
+   * @returns {{light: Light, node: SceneNode}}
+   */
+  addLight(light, options = {}) {
+    const entry = this.lights.add(light);
+    const node = this._attach('light', entry, { name: entry.name, ...options });
+    return { light: entry, node };
+  }
+
+  /**
+   * @param {Light} light
+   * @returns {boolean}
+   */
+  removeLight(light) {
+    if (!this.lights.remove(light)) return false;
+    this._detach(light);
+    return true;
+  }
+
+  /**
+   * 添加观察者窗口（需已设置 capital / direction）
+   * @param {Window} window
+   * @param {object} options - 节点参数，另有 eyeD（瞳距，厘米）
+   * @returns {SceneNode}
+   */
+  addWindow(window, options = {}) {
+    if (!window.capital || !window.direction) {
+      throw new Error(`[World] Window ${window.name} needs capital and direction before joining the scene`);
+    }
+    const { eyeD, ...nodeOptions } = options;
+    const node = this._attach('window', window, { name: window.name, ...nodeOptions });
+    this.views.push({ window, eyeD: eyeD ?? 0, node });
+    return node;
+  }
+
+  removeWindow(window) {
+    const index = this.views.findIndex(view => view.window === window);
+    if (index === -1) return false;
+    this.views.splice(index, 1);
+    this._detach(window);
+    return true;
+  }
+
+  /**
+   * 设置观察者窗口的瞳距（显示配置切换时调用）
+   */
+  setEyeD(window, eyeD) {
+    const view = this.views.find(entry => entry.window === window);
+    if (!view) {
+      throw new Error(`[World] Window ${window.name} is not in the scene`);
+    }
+    view.eyeD = eyeD;
+  }
+
+  /**
+   * 清空场景（保留光源注册表的窗口尺寸设置）
+   */
+  clear() {
+    for (const child of [...this.root.children]) this.root.remove(child);
+    this._nodes.clear();
+    this.objects.length = 0;
+    this.otherObjects.length = 0;
+    this.views.length = 0;
+    this.lights.clear();
+    this.physics?.clear();
+    this.time = 0;
+  }
+
+  // ==========================================================================
+  // 每帧计算
+  // ==========================================================================
+
+  /**
+   * 把节点世界变换的变化施加到挂载项
+   * @returns {number} 本次移动的挂载项数
+   */
+  updateTransforms() {
+    let moved = 0;
+    const visit = (node, parentWorld) => {
+      const local = { position: node.position, rotation: node.rotation, scale: node.scale };
+      const world = parentWorld ? SceneNode.compose(parentWorld, local)
+        : { position: { ...local.position }, rotation: local.rotation.clone(), scale: local.scale };
+      if (node.attachment && !SceneNode.sameTransform(node._appliedWorld, world)) {
+        node.attachment.applyTransform(SceneNode.delta(node._appliedWorld, world));
+        node._appliedWorld = world;
+        moved++;
+      }
+      for (const child of node.children) visit(child, world);
+    };
+    visit(this.root, null);
+    return moved;
+  }
+
+  /**
+   * 物理模拟（未配置物理系统或 dt 为 0 时只累计时间），
+   * 推进后把粒子位置写回启用物理的物体的建构点
+   */
+  step(dt) {
+    if (!(dt > 0)) return;
+    if (this.physics) {
+      this.physics.step(dt);
+      for (const object of this.objects) {
+        if (object.physics.enabled) object.commitPhysics();
+      }
+    }
+    this.time += dt;
+  }
+
+  /**
+   * 所有启用光源计算光源窗口，并同步到各观察者窗口
+   */
+  updateLights() {
+    this.lights.update(this.objects, this.otherObjects, this.lightTarget ?? this._defaultLightTarget());
+    const list = this.lights.list();
+    for (const view of this.views) {
+      view.window.lights = list;
+    }
+  }
+
+  /**
+   * 各观察者窗口按自身双眼与视线计算投影
+   */
+  project() {
+    for (const { window, eyeD } of this.views) {
+      window.calculate(window.capital, eyeD, window.direction, this.objects, 0, this.otherObjects);
+    }
+  }
+
+  // 物体中心的平均（无物体时为原点）
+  _defaultLightTarget() {
+    const target = { x: 0, y: 0, z: 0 };
+    const count = this.objects.length;
+    for (const object of this.objects) {
+      target.x += object.center.x / count;
+      target.y += object.center.y / count;
+      target.z += object.center.z / count;
+    }
+    return target;
+  }
 }
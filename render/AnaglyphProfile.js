@@ -0,0 +1,268 @@
+/**
+ * AnaglyphProfile.js - 互补色（红蓝等）眼镜配置
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 描述一副互补色眼镜：左/右眼色相、饱和度、最大亮度，以及 2D 单色
+ * - 为每个配置预计算亮度→RGB 查找表（LUT），渲染循环内只查表
+ * - 配置注册表（AnaglyphProfileRegistry），支持运行时切换
+ * - 串扰（ghosting）校准：每副眼镜两个方向的漏光比例，
+ *   渲染器据此从对侧通道扣除（见 StereoRenderer._compositeCrosstalk）
+ *
+ * 内置配置：
+ * - red-blue：左红右蓝（原 COLOR_LUT，默认）
+ * - red-cyan：左红右青
+ * - green-magenta：左绿右品红
+ * - amber-blue：左琥珀右蓝（ColorCode 3D）
+ *
+ * 无外部依赖
+ * ============================================================================
+ */
+
+export class AnaglyphProfile {
+
+  // 亮度 → 数组索引的换算因子（亮度 1.5 → 索引 15）
+  static LUT_FACTOR = 10;
+
+  // 串扰比例上限：超过该值的眼镜补偿后对比度所剩无几
+  static MAX_CROSSTALK = 0.5;
+
+  /**
+   * @param {object} options
+   * @param {string} options.name - 注册名（如 'red-cyan'）
+   * @param {string} options.label - 显示名
+   * @param {{hue, saturation, maxBrightness}} options.left - 左眼通道
+   * @param {{hue, saturation, maxBrightness}} options.right - 右眼通道
+   * @param {{hue, saturation, maxBrightness}} options.mono - 2D / 零视差单色
+   * @param {{leftToRight, rightToLeft}} options.crosstalk - 串扰比例（默认 0）
+   *   leftToRight：左镜片色的光透过右镜片的比例（右眼看到左图的重影），rightToLeft 反之
+   */
+  constructor(options) {
+    this.name = options.name;
+    this.label = options.label ?? options.name;
+    this.left = { ...options.left };
+    this.right = { ...options.right };
+    this.mono = { ...options.mono };
+    this.crosstalk = { leftToRight: 0, rightToLeft: 0 };
+    this._lut = null;
+    if (options.crosstalk) {
+      this.setCrosstalk(options.crosstalk);
+    }
+  }
+
+  /**
+   * 设置串扰比例（只改给出的方向），限制在 [0, MAX_CROSSTALK]
+   * @param {{leftToRight?: number, rightToLeft?: number}} crosstalk
+   */
+  setCrosstalk(crosstalk) {
+    const clamp = (v) => Math.max(0, Math.min(AnaglyphProfile.MAX_CROSSTALK, v));
+    for (const key of ['leftToRight', 'rightToLeft']) {
+      const value = crosstalk[key];
+      if (value === undefined) continue;
+      if (!Number.isFinite(value)) {
+        throw new Error(`[AnaglyphProfile] Invalid crosstalk ${key}: ${value}`);
+      }
+      this.crosstalk[key] = clamp(value);
+    }
+    return this.crosstalk;
+  }
+
+  /**
+   * 是否需要串扰补偿
+   */
+  get hasCrosstalk() {
+    return this.crosstalk.leftToRight > 0 || this.crosstalk.rightToLeft > 0;
+  }
+
+  /**
+   * 查找表（首次访问时构建）
+   * @returns {{left: number[][], right: number[][], mono: number[][]}}
+   */
+  get lut() {
+    if (!this._lut) {
+      this._lut = this.buildLUT();
+    }
+    return this._lut;
+  }
+
+  /**
+   * 通道最大 LUT 索引
+   * @param {string} channel - 'left' | 'right' | 'mono'
+   * @returns {number}
+   */
+  maxLutIndex(channel) {
+    return Math.round(this[channel].maxBrightness * AnaglyphProfile.LUT_FACTOR);
+  }
+
+  /**
+   * 预计算三个通道的 RGB 表（仅初始化一次，避免循环内复杂计算）
+   */
+  buildLUT() {
+    const lut = {};
+    for (const channel of ['left', 'right', 'mono']) {
+      const { hue, saturation } = this[channel];
+      const size = this.maxLutIndex(channel) + 1;
+      const table = new Array(size);
+      for (let i = 0; i < size; i++) {
+        table[i] = AnaglyphProfile.hslToRgb(hue, saturation, i / AnaglyphProfile.LUT_FACTOR);
+      }
+      lut[channel] = table;
+    }
+    return lut;
+  }
+
+  /**
+   * 修改通道参数后丢弃旧表
+   */
+  invalidate() {
+    this._lut = null;
+  }
+
+  /**
+   * 基础HSL转RGB（仅用于预计算，不在循环中调用）
+   * @param {number} h - 色相 0-360
+   * @param {number} s - 饱和度 0-100
+   * @param {number} l - 亮度 0-100
+   * @returns {number[]} [r, g, b]
+   */
+  static hslToRgb(h, s, l) {
+    s /= 100;
+    l /= 100;
+    const k = (n) => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = (n) =>
+      l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+    return [
+      Math.round(f(0) * 255),
+      Math.round(f(8) * 255),
+      Math.round(f(4) * 255),
+    ];
+  }
+}
+
+// ============================================================================
+// 配置注册表
+// ============================================================================
+
+export class AnaglyphProfileRegistry {
+
+  static DEFAULT = 'red-blue';
+
+  static _profiles = new Map();
+
+  /**
+   * 注册（或覆盖）一个配置
+   * @param {AnaglyphProfile|object} profile
+   * @returns {AnaglyphProfile}
+   */
+  static register(profile) {
+    const instance = profile instanceof AnaglyphProfile ? profile : new AnaglyphProfile(profile);
+    if (!instance.name) {
+      throw new Error('[AnaglyphProfile] Profile requires a name');
+    }
+    AnaglyphProfileRegistry._profiles.set(instance.name, instance);
+    return instance;
+  }
+
+  /**
+   * 获取配置，未知名称回退到默认配置
+   * @param {string} name
+   * @returns {AnaglyphProfile}
+   */
+  static get(name) {
+    const profile = AnaglyphProfileRegistry._profiles.get(name);
+    if (profile) return profile;
+    console.warn(`[AnaglyphProfile] Unknown profile: ${name}, using ${AnaglyphProfileRegistry.DEFAULT}`);
+    return AnaglyphProfileRegistry._profiles.get(AnaglyphProfileRegistry.DEFAULT);
+  }
+
+  static has(name) {
+    return AnaglyphProfileRegistry._profiles.has(name);
+  }
+
+  static names() {
+    return Array.from(AnaglyphProfileRegistry._profiles.keys());
+  }
+
+  /**
+   * 按注册顺序取下一个配置名（用于键盘循环切换）
+   * @param {string} name
+   * @returns {string}
+   */
+  static next(name) {
+    const names = AnaglyphProfileRegistry.names();
+    const index = names.indexOf(name);
+    return names[(index + 1) % names.length];
+  }
+
+  /**
+   * 导出各配置的串扰校准（只含非零项，供持久化）
+   * @returns {Object<string, {leftToRight: number, rightToLeft: number}>}
+   */
+  static exportCalibration() {
+    const data = {};
+    for (const profile of AnaglyphProfileRegistry._profiles.values()) {
+      if (profile.hasCrosstalk) {
+        data[profile.name] = { ...profile.crosstalk };
+      }
+    }
+    return data;
+  }
+
+  /**
+   * 导入串扰校准（替换语义：data 中没有的配置清零），未注册的配置名跳过
+   * @param {Object<string, {leftToRight, rightToLeft}>} data
+   */
+  static importCalibration(data) {
+    for (const profile of AnaglyphProfileRegistry._profiles.values()) {
+      profile.setCrosstalk({ leftToRight: 0, rightToLeft: 0 });
+    }
+    for (const [name, crosstalk] of Object.entries(data ?? {})) {
+      const profile = AnaglyphProfileRegistry._profiles.get(name);
+      if (!profile) {
+        console.warn(`[AnaglyphProfile] Calibration for unknown profile: ${name}`);
+        continue;
+      }
+      profile.setCrosstalk(crosstalk);
+    }
+  }
+}
+
+// ━━━ 内置配置 ━━━
+// 红蓝：色相 红(0)、蓝(240)、紫(285)；饱和度 红/蓝(100%)、紫(90%)
+// 红色视觉亮度更高，最大亮度压到 35 与蓝色 50 平衡
+AnaglyphProfileRegistry.register({
+  name: 'red-blue',
+  label: '红/蓝',
+  left: { hue: 0, saturation: 100, maxBrightness: 35 },
+  right: { hue: 240, saturation: 100, maxBrightness: 50 },
+  mono: { hue: 285, saturation: 90, maxBrightness: 50 },
+});
+
+AnaglyphProfileRegistry.register({
+  name: 'red-cyan',
+  label: '红/青',
+  left: { hue: 0, saturation: 100, maxBrightness: 35 },
+  right: { hue: 180, saturation: 100, maxBrightness: 40 },
+  mono: { hue: 0, saturation: 0, maxBrightness: 50 },
+});
+
+AnaglyphProfileRegistry.register({
+  name: 'green-magenta',
+  label: '绿/品红',
+  left: { hue: 120, saturation: 100, maxBrightness: 30 },
+  right: { hue: 300, saturation: 100, maxBrightness: 45 },
+  mono: { hue: 0, saturation: 0, maxBrightness: 50 },
+});
+
+AnaglyphProfileRegistry.register({
+  name: 'amber-blue',
+  label: '琥珀/蓝',
+  left: { hue: 45, saturation: 100, maxBrightness: 45 },
+  right: { hue: 240, saturation: 100, maxBrightness: 50 },
+  mono: { hue: 0, saturation: 0, maxBrightness: 50 },
+});
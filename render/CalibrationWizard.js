@@ -0,0 +1,271 @@
+/**
+ * CalibrationWizard.js - 显示器物理校准向导（像素密度 / 瞳距 / 观看距离）
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 三步校准状态机，每步一个可调量，输出测试图（RGBA 像素，无 DOM 依赖）
+ *   与当前步骤说明文字，结果生成 DisplayProfile
+ *
+ * 步骤：
+ * 1. 'card'：把银行卡（ISO/IEC 7810 ID-1，8.56 × 5.398 cm）贴在屏幕上，
+ *    调整矩形宽度到与卡片重合 → 每厘米像素数
+ * 2. 'ipd'：左右镜片通道各一条竖线，屏幕视差 = eyeD（即无穷远，两眼视线平行）；
+ *    逐步加大到两线刚好无法融合为一，再退回一格 → 瞳距
+ * 3. 'distance'：盲点法。闭右眼，左眼注视右侧十字，调整左侧圆点距离到圆点消失；
+ *    盲点在注视方向颞侧约 BLIND_SPOT_DEG 度 → 观看距离 = 间距 / tan(角度)
+ *
+ * 依赖：
+ * - DisplayProfile.js: 取值范围与结果配置
+ * - AnaglyphProfile.js: 测试图颜色（镜片通道 LUT 最大亮度）
+ * ============================================================================
+ */
+
+import { DisplayProfile } from "../base/DisplayProfile.js";
+import { AnaglyphProfileRegistry } from "./AnaglyphProfile.js";
+
+export class CalibrationWizard {
+
+  static STEPS = ['card', 'ipd', 'distance'];
+
+  // ISO/IEC 7810 ID-1 卡片尺寸（厘米）
+  static CREDIT_CARD = { widthCm: 8.56, heightCm: 5.398 };
+
+  // 盲点中心相对注视点的水平视角（度，颞侧）
+  static BLIND_SPOT_DEG = 13.5;
+
+  // 每步调整量：[细调, 粗调]（卡片 / 盲点为像素，瞳距为厘米）
+  static STEP_SIZES = { card: [1, 10], ipd: [0.05, 0.5], distance: [2, 20] };
+
+  // 测试图尺寸（像素）
+  static LINE_WIDTH = 2;
+  static BAR_WIDTH = 6;
+  static DOT_RADIUS = 6;
+  static CROSS_SIZE = 12;
+
+  /**
+   * @param {DisplayProfile} profile - 初始值来源（通常为当前配置）
+   */
+  constructor(profile) {
+    this.base = profile;
+    this.index = 0;
+    this.cardWidthPx = CalibrationWizard.CREDIT_CARD.widthCm * profile.pixelsPerCmX;
+    this.eyeD = profile.eyeD;
+    // 注视点到盲点圆点的物理间距（厘米），像素密度校准后仍保持同一观看距离
+    this.blindSpotCm = profile.viewingDistance * CalibrationWizard._blindSpotTan();
+    this.pixelData = null;
+    this.width = 0;
+    this.height = 0;
+  }
+
+  get step() {
+    return CalibrationWizard.STEPS[this.index] ?? null;
+  }
+
+  get finished() {
+    return this.index >= CalibrationWizard.STEPS.length;
+  }
+
+  /**
+   * 当前校准结果
+   * @returns {{pixelsPerCm: number, eyeD: number, viewingDistance: number}}
+   */
+  get values() {
+    const pixelsPerCm = this.cardWidthPx / CalibrationWizard.CREDIT_CARD.widthCm;
+    const viewingDistance = this.blindSpotCm / CalibrationWizard._blindSpotTan();
+    return { pixelsPerCm, eyeD: this.eyeD, viewingDistance };
+  }
+
+  /**
+   * 调整当前步骤的量
+   * @param {number} direction - +1 增大 / -1 减小
+   * @param {boolean} coarse - 粗调
+   */
+  adjust(direction, coarse = false) {
+    const step = this.step;
+    if (!step) return;
+    const amount = CalibrationWizard.STEP_SIZES[step][coarse ? 1 : 0] * Math.sign(direction);
+    const [minPpc, maxPpc] = DisplayProfile.LIMITS.pixelsPerCm;
+    const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+    if (step === 'card') {
+      const cardCm = CalibrationWizard.CREDIT_CARD.widthCm;
+      this.cardWidthPx = clamp(this.cardWidthPx + amount, minPpc * cardCm, maxPpc * cardCm);
+    } else if (step === 'ipd') {
+      const [min, max] = DisplayProfile.LIMITS.eyeD;
+      this.eyeD = clamp(Math.round((this.eyeD + amount) * 100) / 100, min, max);
+    } else {
+      // 按像素移动圆点，观看距离范围换算成盲点间距（厘米）
+      const [min, max] = DisplayProfile.LIMITS.viewingDistance;
+      const k = CalibrationWizard._blindSpotTan();
+      this.blindSpotCm = clamp(this.blindSpotCm + amount / this.values.pixelsPerCm, min * k, max * k);
+    }
+  }
+
+  /**
+   * 进入下一步
+   * @returns {boolean} 是否已完成全部步骤
+   */
+  next() {
+    if (!this.finished) this.index++;
+    return this.finished;
+  }
+
+  back() {
+    if (this.index > 0) this.index--;
+  }
+
+  /**
+   * 当前步骤说明（含当前值）
+   * @returns {string}
+   */
+  instructions() {
+    const { pixelsPerCm, eyeD, viewingDistance } = this.values;
+    switch (this.step) {
+      case 'card':
+        return `1/3 屏幕尺寸：把银行卡贴在屏幕上，←/→ 调整矩形与卡片等宽（Shift 粗调），Enter 下一步` +
+          `（${pixelsPerCm.toFixed(1)} 像素/厘米）`;
+      case 'ipd':
+        return `2/3 瞳距：戴上眼镜，→ 加大到两条竖线刚好无法融合为一条，再 ← 退一格，Enter 下一步` +
+          `（瞳距 ${eyeD.toFixed(2)} cm）`;
+      case 'distance':
+        return `3/3 观看距离：闭上右眼，左眼注视十字，←/→ 移动圆点到它消失，Enter 完成` +
+          `（距离 ${viewingDistance.toFixed(1)} cm）`;
+      default:
+        return `校准完成：${pixelsPerCm.toFixed(1)} 像素/厘米，瞳距 ${eyeD.toFixed(2)} cm，` +
+          `观看距离 ${viewingDistance.toFixed(1)} cm`;
+    }
+  }
+
+  /**
+   * 由校准结果生成显示配置（整屏分辨率取自 screen，串扰校准沿用初始配置）
+   * @param {string} name
+   * @param {{width: number, height: number}} screen - 整屏 CSS 像素
+   * @param {string} label
+   * @returns {DisplayProfile}
+   */
+  createProfile(name, screen, label = name) {
+    const { pixelsPerCm, eyeD, viewingDistance } = this.values;
+    return new DisplayProfile({
+      name,
+      label,
+      pixelsPerCmX: pixelsPerCm,
+      pixelsPerCmY: pixelsPerCm,
+      screenWidth: screen.width,
+      screenHeight: screen.height,
+      eyeD,
+      viewingDistance,
+      crosstalk: this.base.crosstalk,
+    });
+  }
+
+  // ==========================================================================
+  // 测试图
+  // ==========================================================================
+
+  /**
+   * 当前步骤的测试图
+   * @param {number} width
+   * @param {number} height
+   * @param {string} anaglyphProfile - 眼镜配置名（瞳距步骤的镜片颜色）
+   * @param {boolean} swapEyes - 眼镜反戴（'3D_RL'）
+   * @returns {Uint8ClampedArray} RGBA 像素（下次调用时被复用）
+   */
+  render(width, height, anaglyphProfile, swapEyes = false) {
+    if (!this.pixelData || width !== this.width || height !== this.height) {
+      this.width = width;
+      this.height = height;
+      this.pixelData = new Uint8ClampedArray(width * height * 4);
+    } else {
+      this.pixelData.fill(0);
+    }
+
+    const profile = AnaglyphProfileRegistry.get(anaglyphProfile);
+    const color = (channel) => profile.lut[channel][profile.maxLutIndex(channel)];
+    const mono = color('mono');
+    const cx = Math.round(width / 2);
+    const cy = Math.round(height / 2);
+    const line = CalibrationWizard.LINE_WIDTH;
+
+    switch (this.step) {
+      case 'card': {
+        const w = Math.round(this.cardWidthPx);
+        const h = Math.round(w * CalibrationWizard.CREDIT_CARD.heightCm / CalibrationWizard.CREDIT_CARD.widthCm);
+        this._strokeRect(cx - w / 2, cy - h / 2, w, h, line, mono);
+        break;
+      }
+      case 'ipd': {
+        // 零视差方框帮助锁定辐辏，两条竖线视差 = 瞳距
+        const separation = this.eyeD * this.values.pixelsPerCm;
+        const box = Math.round(Math.min(width, height) * 0.6);
+        this._strokeRect(cx - box / 2, cy - box / 2, box, box, line, mono);
+        const bar = CalibrationWizard.BAR_WIDTH;
+        const barHeight = Math.round(box * 0.5);
+        const [leftColor, rightColor] = swapEyes
+          ? [color('right'), color('left')]
+          : [color('left'), color('right')];
+        this._fillRect(cx - separation / 2 - bar / 2, cy - barHeight / 2, bar, barHeight, leftColor);
+        this._fillRect(cx + separation / 2 - bar / 2, cy - barHeight / 2, bar, barHeight, rightColor);
+        break;
+      }
+      case 'distance': {
+        // 十字在右侧，左眼盲点在其左侧；圆点放不下时十字尽量右移
+        const size = CalibrationWizard.CROSS_SIZE;
+        const offset = this.blindSpotCm * this.values.pixelsPerCm;
+        const fx = Math.round(Math.min(width - size * 2, Math.max(width * 0.8, offset + size * 2)));
+        this._fillRect(fx - size, cy - line / 2, size * 2, line, mono);
+        this._fillRect(fx - line / 2, cy - size, line, size * 2, mono);
+        this._fillCircle(fx - offset, cy, CalibrationWizard.DOT_RADIUS, mono);
+        break;
+      }
+      default:
+        break;
+    }
+    return this.pixelData;
+  }
+
+  static _blindSpotTan() {
+    return Math.tan((CalibrationWizard.BLIND_SPOT_DEG * Math.PI) / 180);
+  }
+
+  _fillRect(x, y, w, h, color) {
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(this.width, Math.round(x + w));
+    const y1 = Math.min(this.height, Math.round(y + h));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        this._plot(px, py, color);
+      }
+    }
+  }
+
+  _strokeRect(x, y, w, h, line, color) {
+    this._fillRect(x, y, w, line, color);
+    this._fillRect(x, y + h - line, w, line, color);
+    this._fillRect(x, y, line, h, color);
+    this._fillRect(x + w - line, y, line, h, color);
+  }
+
+  _fillCircle(cx, cy, radius, color) {
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        if (dx * dx + dy * dy > radius * radius) continue;
+        const px = Math.round(cx + dx);
+        const py = Math.round(cy + dy);
+        if (px < 0 || px >= this.width || py < 0 || py >= this.height) continue;
+        this._plot(px, py, color);
+      }
+    }
+  }
+
+  _plot(x, y, color) {
+    const idx = (y * this.width + x) * 4;
+    this.pixelData[idx] = color[0];
+    this.pixelData[idx + 1] = color[1];
+    this.pixelData[idx + 2] = color[2];
+    this.pixelData[idx + 3] = 255;
+  }
+}
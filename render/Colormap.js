@@ -0,0 +1,264 @@
+/**
+ * Colormap.js - 标量色图与标量着色设置
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 色图（Colormap）：控制点线性插值，预计算 TABLE_SIZE 级 RGB 与明度表
+ * - 色图注册表（ColormapRegistry），支持运行时切换
+ * - 标量着色（ScalarColoring）：point.scalar 按 [min, max] 归一化后查色图，
+ *   真彩色模式（DUBOIS / 分屏）取 RGB，互补色 LUT 模式取明度作为亮度
+ *
+ * 互补色安全：互补色模式每眼只有单一色相，能传递标量的只有亮度，
+ * 因此只接受明度（CIE L*）随参数单调不减的色图，两类模式读数次序一致
+ *
+ * 无外部依赖
+ * ============================================================================
+ */
+
+export class Colormap {
+
+  static TABLE_SIZE = 256;
+
+  // 判定明度单调时允许的回落（L*，控制点取自公开色图，存在舍入误差）
+  static LIGHTNESS_TOLERANCE = 0.5;
+
+  /**
+   * @param {object} options
+   * @param {string} options.name - 注册名
+   * @param {string} options.label - 显示名
+   * @param {number[][]} options.stops - 等间距控制点 [r, g, b]（0-255），至少两个
+   */
+  constructor(options) {
+    this.name = options.name;
+    this.label = options.label ?? options.name;
+    if (!Array.isArray(options.stops) || options.stops.length < 2) {
+      throw new Error(`[Colormap] ${this.name}: at least two stops required`);
+    }
+    this.stops = options.stops.map(stop => [...stop]);
+
+    const size = Colormap.TABLE_SIZE;
+    this.table = new Array(size);
+    const lightness = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+      this.table[i] = this._interpolate(i / (size - 1));
+      lightness[i] = Colormap.lightness(this.table[i]);
+      if (i > 0 && lightness[i] < lightness[i - 1] - Colormap.LIGHTNESS_TOLERANCE) {
+        throw new Error(`[Colormap] ${this.name}: lightness must not decrease (not anaglyph-safe)`);
+      }
+    }
+
+    // 明度归一化到 [0, 1]（两端之差为色图的明度跨度）
+    const lo = lightness[0];
+    const span = lightness[size - 1] - lo;
+    if (!(span > 0)) {
+      throw new Error(`[Colormap] ${this.name}: lightness range is empty`);
+    }
+    this.levels = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      this.levels[i] = Math.max(0, Math.min(1, (lightness[i] - lo) / span));
+    }
+  }
+
+  /**
+   * 参数 t ∈ [0, 1] 的颜色（返回表内共享数组，调用方不可修改）
+   * @returns {number[]} [r, g, b]
+   */
+  sample(t) {
+    return this.table[Colormap._index(t)];
+  }
+
+  /**
+   * 参数 t ∈ [0, 1] 的归一化明度（0 = 色图最暗端，1 = 最亮端）
+   */
+  level(t) {
+    return this.levels[Colormap._index(t)];
+  }
+
+  static _index(t) {
+    const last = Colormap.TABLE_SIZE - 1;
+    return Math.max(0, Math.min(last, Math.round(t * last)));
+  }
+
+  _interpolate(t) {
+    const segments = this.stops.length - 1;
+    const position = t * segments;
+    const k = Math.min(segments - 1, Math.floor(position));
+    const f = position - k;
+    const a = this.stops[k];
+    const b = this.stops[k + 1];
+    return [
+      Math.round(a[0] + (b[0] - a[0]) * f),
+      Math.round(a[1] + (b[1] - a[1]) * f),
+      Math.round(a[2] + (b[2] - a[2]) * f),
+    ];
+  }
+
+  /**
+   * sRGB 颜色的 CIE L* 明度（0-100，仅用于预计算）
+   * @param {number[]} rgb - [r, g, b]（0-255）
+   */
+  static lightness([r, g, b]) {
+    const linear = (c) => {
+      c /= 255;
+      return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    const y = 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+    const f = y > 216 / 24389 ? Math.cbrt(y) : (24389 / 27 * y + 16) / 116;
+    return 116 * f - 16;
+  }
+}
+
+// ============================================================================
+// 色图注册表
+// ============================================================================
+
+export class ColormapRegistry {
+
+  static DEFAULT = 'viridis';
+
+  static _maps = new Map();
+
+  /**
+   * 注册（或覆盖）一个色图
+   * @param {Colormap|object} colormap
+   * @returns {Colormap}
+   */
+  static register(colormap) {
+    const instance = colormap instanceof Colormap ? colormap : new Colormap(colormap);
+    if (!instance.name) {
+      throw new Error('[Colormap] Colormap requires a name');
+    }
+    ColormapRegistry._maps.set(instance.name, instance);
+    return instance;
+  }
+
+  /**
+   * 获取色图，未知名称回退到默认色图
+   * @param {string} name
+   * @returns {Colormap}
+   */
+  static get(name) {
+    const colormap = ColormapRegistry._maps.get(name);
+    if (colormap) return colormap;
+    console.warn(`[Colormap] Unknown colormap: ${name}, using ${ColormapRegistry.DEFAULT}`);
+    return ColormapRegistry._maps.get(ColormapRegistry.DEFAULT);
+  }
+
+  static has(name) {
+    return ColormapRegistry._maps.has(name);
+  }
+
+  static names() {
+    return Array.from(ColormapRegistry._maps.keys());
+  }
+
+  /**
+   * 按注册顺序取下一个色图名（用于键盘循环切换）
+   */
+  static next(name) {
+    const names = ColormapRegistry.names();
+    const index = names.indexOf(name);
+    return names[(index + 1) % names.length];
+  }
+}
+
+// ━━━ 内置色图 ━━━
+// viridis / inferno / magma 取 matplotlib 同名色图的 9 个等分点（感知均匀，明度单调）
+ColormapRegistry.register({
+  name: 'viridis',
+  label: 'Viridis',
+  stops: [
+    [68, 1, 84], [71, 45, 123], [59, 82, 139], [44, 114, 142], [33, 145, 140],
+    [40, 174, 128], [94, 201, 98], [173, 220, 48], [253, 231, 37],
+  ],
+});
+
+ColormapRegistry.register({
+  name: 'inferno',
+  label: 'Inferno',
+  stops: [
+    [0, 0, 4], [31, 12, 72], [85, 15, 109], [136, 34, 106], [186, 54, 85],
+    [227, 89, 51], [249, 142, 9], [249, 203, 53], [252, 255, 164],
+  ],
+});
+
+ColormapRegistry.register({
+  name: 'magma',
+  label: 'Magma',
+  stops: [
+    [0, 0, 4], [28, 16, 68], [79, 18, 123], [129, 37, 129], [181, 54, 122],
+    [229, 80, 100], [251, 135, 97], [254, 194, 135], [252, 253, 191],
+  ],
+});
+
+ColormapRegistry.register({
+  name: 'gray',
+  label: '灰度',
+  stops: [[0, 0, 0], [255, 255, 255]],
+});
+
+// ============================================================================
+// 标量着色设置
+// ============================================================================
+
+export class ScalarColoring {
+
+  // enabled：开启后带有限 scalar 的点按色图着色，其余点照常按光照渲染；
+  // colormap：色图名；min / max：映射到色图两端的标量值（超出部分截断）
+  static DEFAULTS = { enabled: false, colormap: ColormapRegistry.DEFAULT, min: 0, max: 1 };
+
+  // 互补色亮度下限：色图最暗端仍可见，且不低于邻接扩散的亮度门槛（见 getNeighbors）
+  static MIN_LIGHT = 0.35;
+
+  /**
+   * @param {object} options - 见 DEFAULTS
+   */
+  constructor(options = {}) {
+    this.options = { ...ScalarColoring.DEFAULTS };
+    this.colormap = null;
+    this.configure(options);
+  }
+
+  configure(options = {}) {
+    const merged = { ...this.options, ...options };
+    if (!Number.isFinite(merged.min) || !Number.isFinite(merged.max) || !(merged.max > merged.min)) {
+      throw new Error(`[ScalarColoring] Invalid range: [${merged.min}, ${merged.max}]`);
+    }
+    this.options = merged;
+    this.colormap = merged.enabled ? ColormapRegistry.get(merged.colormap) : null;
+  }
+
+  get enabled() {
+    return this.colormap !== null;
+  }
+
+  /**
+   * 标量 → 色图参数 t ∈ [0, 1]；未开启或标量无效（null / NaN）时返回 -1
+   * @param {number|null} value
+   * @returns {number}
+   */
+  parameter(value) {
+    if (!this.colormap || value === null || !Number.isFinite(value)) return -1;
+    const { min, max } = this.options;
+    return Math.max(0, Math.min(1, (value - min) / (max - min)));
+  }
+
+  /**
+   * 互补色 LUT 模式的亮度（0-1，乘以通道最大亮度后查表）
+   */
+  light(t) {
+    return ScalarColoring.MIN_LIGHT + (1 - ScalarColoring.MIN_LIGHT) * this.colormap.level(t);
+  }
+
+  /**
+   * 真彩色模式的颜色（不叠加光照，亮度全由色图决定）
+   * @returns {number[]} [r, g, b]
+   */
+  color(t) {
+    return this.colormap.sample(t);
+  }
+}
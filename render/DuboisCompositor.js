@@ -0,0 +1,213 @@
+/**
+ * DuboisCompositor.js - Dubois 最小二乘互补色合成
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 维护左/右眼两个独立的线性 RGB 颜色缓冲
+ * - 帧末按 Dubois 投影矩阵逐像素合成：out = ML · left + MR · right
+ * - 可选串扰补偿：合成前 left -= rightToLeft · right、right -= leftToRight · left
+ *
+ * 与 AnaglyphProfile 的单色相 LUT 不同，这里保留逐点真实颜色，
+ * 适用于带 RGB 的点云（Point.color）。
+ *
+ * 矩阵来源：E. Dubois, "A projection method to generate anaglyph stereo
+ * images", ICASSP 2001（作用于线性 RGB）
+ *
+ * 无外部依赖
+ * ============================================================================
+ */
+
+export class DuboisCompositor {
+
+  // ==========================================================================
+  // 常量定义
+  // ==========================================================================
+
+  // 行主序 3×3：[r' g' b'] = M · [r g b]
+  static MATRICES = {
+    'red-cyan': {
+      left: [
+        0.437, 0.449, 0.164,
+        -0.062, -0.062, -0.024,
+        -0.048, -0.050, -0.017,
+      ],
+      right: [
+        -0.011, -0.032, -0.007,
+        0.377, 0.761, 0.009,
+        -0.026, -0.093, 1.234,
+      ],
+    },
+    'green-magenta': {
+      left: [
+        -0.062, -0.158, -0.039,
+        0.284, 0.668, 0.143,
+        -0.015, -0.027, 0.021,
+      ],
+      right: [
+        0.529, 0.705, 0.024,
+        -0.016, -0.015, -0.065,
+        0.009, 0.075, 0.937,
+      ],
+    },
+    'amber-blue': {
+      left: [
+        1.062, -0.205, 0.299,
+        -0.026, 0.908, 0.068,
+        -0.038, -0.173, 0.022,
+      ],
+      right: [
+        -0.016, -0.123, -0.017,
+        0.006, 0.062, -0.017,
+        0.094, 0.185, 0.911,
+      ],
+    },
+  };
+
+  // 线性值 → sRGB 字节的表精度
+  static ENCODE_STEPS = 4096;
+
+  // sRGB 字节 → 线性值（0-1）
+  static DECODE_LUT = (() => {
+    const lut = new Float32Array(256);
+    for (let i = 0; i < 256; i++) {
+      const c = i / 255;
+      lut[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+    return lut;
+  })();
+
+  static ENCODE_LUT = (() => {
+    const steps = DuboisCompositor.ENCODE_STEPS;
+    const lut = new Uint8ClampedArray(steps + 1);
+    for (let i = 0; i <= steps; i++) {
+      const c = i / steps;
+      const s = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+      lut[i] = Math.round(s * 255);
+    }
+    return lut;
+  })();
+
+  /**
+   * @param {string} variant - 'red-cyan' | 'green-magenta' | 'amber-blue'
+   */
+  constructor(variant = 'red-cyan') {
+    this.width = 0;
+    this.height = 0;
+    this.left = null;    // Float32Array(width * height * 3)，线性 RGB
+    this.right = null;
+    this.coverage = null; // Uint8Array：bit0 = 左眼已写，bit1 = 右眼已写
+    this.setVariant(variant);
+  }
+
+  setVariant(variant) {
+    const matrices = DuboisCompositor.MATRICES[variant];
+    if (!matrices) {
+      throw new Error(`[DuboisCompositor] Unknown variant: ${variant}`);
+    }
+    this.variant = variant;
+    this.matrixLeft = matrices.left;
+    this.matrixRight = matrices.right;
+  }
+
+  /**
+   * 调整缓冲尺寸并清空（尺寸不变时只清空）
+   */
+  begin(width, height) {
+    if (width !== this.width || height !== this.height) {
+      this.width = width;
+      this.height = height;
+      this.left = new Float32Array(width * height * 3);
+      this.right = new Float32Array(width * height * 3);
+      this.coverage = new Uint8Array(width * height);
+      return;
+    }
+    this.left.fill(0);
+    this.right.fill(0);
+    this.coverage.fill(0);
+  }
+
+  /**
+   * 写入一个像素（覆盖写入，调用方负责遮挡顺序）
+   * @param {string} eye - 'left' | 'right'
+   * @param {number} x, y - 像素坐标
+   * @param {number[]|null} color - sRGB [r, g, b]（0-255），null 视为白色
+   * @param {number} light - 亮度系数（0-1）
+   */
+  plot(eye, x, y, color, light) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return;
+    const decode = DuboisCompositor.DECODE_LUT;
+    const index = y * this.width + x;
+    const buffer = eye === 'left' ? this.left : this.right;
+    const base = index * 3;
+    if (color) {
+      buffer[base] = decode[color[0]] * light;
+      buffer[base + 1] = decode[color[1]] * light;
+      buffer[base + 2] = decode[color[2]] * light;
+    } else {
+      buffer[base] = light;
+      buffer[base + 1] = light;
+      buffer[base + 2] = light;
+    }
+    this.coverage[index] |= eye === 'left' ? 1 : 2;
+  }
+
+  /**
+   * 按覆盖率混合一个像素（抗锯齿线条）：buffer = buffer · (1 - alpha) + color · light · alpha
+   * @param {number} alpha - 覆盖率（0-1）
+   */
+  blend(eye, x, y, color, light, alpha) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return;
+    const decode = DuboisCompositor.DECODE_LUT;
+    const index = y * this.width + x;
+    const buffer = eye === 'left' ? this.left : this.right;
+    const base = index * 3;
+    const keep = 1 - alpha;
+    for (let c = 0; c < 3; c++) {
+      const value = (color ? decode[color[c]] : 1) * light;
+      buffer[base + c] = buffer[base + c] * keep + value * alpha;
+    }
+    this.coverage[index] |= eye === 'left' ? 1 : 2;
+  }
+
+  /**
+   * 合成到 RGBA 像素数组（未覆盖的像素保持原值）
+   * @param {Uint8ClampedArray} pixelData
+   * @param {{leftToRight, rightToLeft}|null} crosstalk - 眼镜串扰比例（见 AnaglyphProfile），
+   *   逐分量从对侧眼扣除，下限 0（暗背景上的重影无法完全消除）
+   */
+  composite(pixelData, crosstalk = null) {
+    const { left, right, coverage, matrixLeft: L, matrixRight: R } = this;
+    const encode = DuboisCompositor.ENCODE_LUT;
+    const steps = DuboisCompositor.ENCODE_STEPS;
+    const toByte = (v) => encode[Math.round(Math.max(0, Math.min(1, v)) * steps)];
+    const kLR = crosstalk?.leftToRight ?? 0;
+    const kRL = crosstalk?.rightToLeft ?? 0;
+    const compensate = kLR > 0 || kRL > 0;
+
+    for (let i = 0; i < coverage.length; i++) {
+      if (coverage[i] === 0) continue;
+      const b = i * 3;
+      let lr = left[b], lg = left[b + 1], lb = left[b + 2];
+      let rr = right[b], rg = right[b + 1], rb = right[b + 2];
+      if (compensate) {
+        [lr, rr] = [Math.max(0, lr - kRL * rr), Math.max(0, rr - kLR * lr)];
+        [lg, rg] = [Math.max(0, lg - kRL * rg), Math.max(0, rg - kLR * lg)];
+        [lb, rb] = [Math.max(0, lb - kRL * rb), Math.max(0, rb - kLR * lb)];
+      }
+
+      const r = L[0] * lr + L[1] * lg + L[2] * lb + R[0] * rr + R[1] * rg + R[2] * rb;
+      const g = L[3] * lr + L[4] * lg + L[5] * lb + R[3] * rr + R[4] * rg + R[5] * rb;
+      const bl = L[6] * lr + L[7] * lg + L[8] * lb + R[6] * rr + R[7] * rg + R[8] * rb;
+
+      const p = i * 4;
+      pixelData[p] = toByte(r);
+      pixelData[p + 1] = toByte(g);
+      pixelData[p + 2] = toByte(bl);
+      pixelData[p + 3] = 255;
+    }
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * PngEncoder.js - 最小 PNG 编码器
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - RGBA 像素 → PNG 字节（8 位真彩色 + Alpha）
+ *
+ * 说明：
+ * - 使用 deflate 存储块（不压缩），不依赖 zlib / CompressionStream，
+ *   浏览器与 Node 行为一致，输出字节确定，适合金样图比对
+ *
+ * 无外部依赖
+ * ============================================================================
+ */
+
+export class PngEncoder {
+
+  static SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+  static MAX_STORED_BLOCK = 65535;
+
+  static CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  /**
+   * 编码 RGBA 像素
+   * @param {Uint8ClampedArray|Uint8Array} rgba - 长度 width * height * 4
+   * @param {number} width
+   * @param {number} height
+   * @returns {Uint8Array} PNG 文件字节
+   */
+  static encode(rgba, width, height) {
+    if (rgba.length !== width * height * 4) {
+      throw new Error(`[PngEncoder] Pixel buffer size ${rgba.length} does not match ${width}x${height}`);
+    }
+
+    // 扫描行：每行前置过滤类型 0（None）
+    const stride = width * 4;
+    const raw = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+      raw[y * (stride + 1)] = 0;
+      raw.set(rgba.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+    }
+
+    const ihdr = new Uint8Array(13);
+    const view = new DataView(ihdr.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    ihdr[8] = 8;   // 位深
+    ihdr[9] = 6;   // 颜色类型：RGBA
+    ihdr[10] = 0;  // 压缩方法
+    ihdr[11] = 0;  // 过滤方法
+    ihdr[12] = 0;  // 无隔行
+
+    const chunks = [
+      PngEncoder._chunk('IHDR', ihdr),
+      PngEncoder._chunk('IDAT', PngEncoder._zlibStored(raw)),
+      PngEncoder._chunk('IEND', new Uint8Array(0)),
+    ];
+
+    let total = PngEncoder.SIGNATURE.length;
+    for (const chunk of chunks) total += chunk.length;
+    const out = new Uint8Array(total);
+    out.set(PngEncoder.SIGNATURE, 0);
+    let offset = PngEncoder.SIGNATURE.length;
+    for (const chunk of chunks) {
+      out.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return out;
+  }
+
+  static crc32(bytes, crc = 0xffffffff) {
+    const table = PngEncoder.CRC_TABLE;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return crc;
+  }
+
+  static _chunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    const crc = PngEncoder.crc32(chunk.subarray(4, 8 + data.length)) ^ 0xffffffff;
+    view.setUint32(8 + data.length, crc >>> 0);
+    return chunk;
+  }
+
+  /**
+   * zlib 流（仅存储块）
+   */
+  static _zlibStored(data) {
+    const maxBlock = PngEncoder.MAX_STORED_BLOCK;
+    const blockCount = Math.max(1, Math.ceil(data.length / maxBlock));
+    const out = new Uint8Array(2 + data.length + blockCount * 5 + 4);
+    out[0] = 0x78;  // CMF：deflate，32K 窗口
+    out[1] = 0x01;  // FLG：无预设字典，(CMF*256+FLG) % 31 == 0
+
+    let offset = 2;
+    for (let b = 0; b < blockCount; b++) {
+      const start = b * maxBlock;
+      const len = Math.min(maxBlock, data.length - start);
+      out[offset++] = b === blockCount - 1 ? 1 : 0;  // BFINAL，BTYPE=00
+      out[offset++] = len & 0xff;
+      out[offset++] = len >>> 8;
+      out[offset++] = ~len & 0xff;
+      out[offset++] = (~len >>> 8) & 0xff;
+      out.set(data.subarray(start, start + len), offset);
+      offset += len;
+    }
+
+    // Adler-32
+    let a = 1, s = 0;
+    for (let i = 0; i < data.length; i++) {
+      a = (a + data[i]) % 65521;
+      s = (s + a) % 65521;
+    }
+    const adler = ((s << 16) | a) >>> 0;
+    out[offset++] = adler >>> 24;
+    out[offset++] = (adler >>> 16) & 0xff;
+    out[offset++] = (adler >>> 8) & 0xff;
+    out[offset++] = adler & 0xff;
+    return out;
+  }
+}
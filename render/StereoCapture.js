@@ -0,0 +1,296 @@
+/**
+ * StereoCapture.js - 立体画面截图与定步长序列录制（无 DOM 依赖）
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 把已 calculate 的 Window 光栅化为文件字节（自带 StereoRenderer，与显示用渲染器互不干扰）：
+ *   - 'png'：当前显示模式的整帧
+ *   - 'eyes'：左右眼全幅图像各一张（'LEFT_EYE' / 'RIGHT_EYE' 布局，真彩色）
+ *   - 'pair'：左右眼并排的全分辨率立体对（宽度加倍，可选交叉眼顺序）
+ *   - 'mpo'：仿 MPO（CIPA DC-007 多图格式）的 JSON 包：两眼 PNG（base64）
+ *     加基线、辐辏角等立体参数
+ * - 序列录制（SequenceRecorder）：按固定模拟时间步推进场景并逐帧导出编号文件，
+ *   帧内容只取决于帧号与步长，与显示器刷新率、渲染耗时无关
+ *
+ * 截图总走 CPU 参考实现（WebGL 后端显示时同样如此），输出字节确定，可用于论文配图
+ * 与缺陷复现比对；写文件 / 下载由调用方的 sink 完成（浏览器下载、Node fs 均可）
+ *
+ * 依赖：
+ * - StereoRenderer.js: 光栅化与显示参数
+ * - PngEncoder.js: PNG 编码
+ * ============================================================================
+ */
+
+import { StereoRenderer } from "./StereoRenderer.js";
+import { PngEncoder } from "./PngEncoder.js";
+
+export class StereoCapture {
+
+  static FORMATS = ['png', 'eyes', 'pair', 'mpo'];
+
+  // JSON 包标识与版本（字段变化时递增）
+  static BUNDLE_FORMAT = 'stereo-mpo-json';
+  static BUNDLE_VERSION = 1;
+
+  static BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+  /**
+   * @param {object} options - 同 StereoRenderer 构造参数（显示模式、眼镜配置、景深、标量着色等）
+   */
+  constructor(options = {}) {
+    this.renderer = new StereoRenderer(options);
+  }
+
+  /**
+   * 同步显示参数（截图前调用，使截图与屏幕显示一致）
+   */
+  setOptions(options = {}) {
+    this.renderer.setOptions(options);
+  }
+
+  /**
+   * 当前显示模式的整帧 PNG
+   * @param {Window} window - 已执行 calculate 的窗口
+   * @returns {Uint8Array}
+   */
+  captureFrame(window) {
+    const pixels = this._rasterize(window, this.renderer.displayMode);
+    return PngEncoder.encode(pixels, window.width, window.height);
+  }
+
+  /**
+   * 左右眼全幅图像
+   * @returns {{left: Uint8Array, right: Uint8Array}}
+   */
+  captureEyes(window) {
+    const { left, right } = this._rasterizeEyes(window);
+    return {
+      left: PngEncoder.encode(left, window.width, window.height),
+      right: PngEncoder.encode(right, window.width, window.height),
+    };
+  }
+
+  /**
+   * 左右眼并排立体对（2 · width × height）
+   * @param {Window} window
+   * @param {boolean} cross - 交叉眼顺序（右眼在左）
+   * @returns {Uint8Array}
+   */
+  capturePair(window, cross = false) {
+    const { width, height } = window;
+    const { left, right } = this._rasterizeEyes(window);
+    const [first, second] = cross ? [right, left] : [left, right];
+    const rowBytes = width * 4;
+    const pair = new Uint8ClampedArray(rowBytes * 2 * height);
+    for (let y = 0; y < height; y++) {
+      const row = y * rowBytes;
+      pair.set(first.subarray(row, row + rowBytes), row * 2);
+      pair.set(second.subarray(row, row + rowBytes), row * 2 + rowBytes);
+    }
+    return PngEncoder.encode(pair, width * 2, height);
+  }
+
+  /**
+   * 仿 MPO 的 JSON 包
+   *
+   * images 按 MPO 的个体图像编号排列（individualNum 从 1 起，左眼为基准视点）；
+   * stereo 记录重建视差所需的物理参数：
+   * - baselineLength：有效基线（厘米，瞳距 × 景深缩放）
+   * - convergenceAngle：双眼视线在屏幕平面相交的夹角（度）
+   * - stereoShift：舒适限制的辐辏平移（厘米）
+   *
+   * @param {Window} window
+   * @param {object} metadata - 调用方附加信息（帧号、模拟时间、场景名等），原样写入
+   * @returns {object} 可直接 JSON.stringify
+   */
+  captureBundle(window, metadata = {}) {
+    const { left, right } = this.captureEyes(window);
+    const eyeD = window.eyeD ?? 0;
+    const V = window.disOfPointToPlane;
+    return {
+      format: StereoCapture.BUNDLE_FORMAT,
+      version: StereoCapture.BUNDLE_VERSION,
+      width: window.width,
+      height: window.height,
+      baseViewpointNum: 1,
+      stereo: {
+        baselineLength: eyeD * window.stereoScale,
+        convergenceAngle: V > 0 ? (360 / Math.PI) * Math.atan(eyeD / (2 * V)) : 0,
+        viewingDistance: V,
+        stereoScale: window.stereoScale,
+        stereoShift: window.stereoShift,
+        pixelsPerCm: [window.DPIx, window.DPIy],
+        screenCm: [window.xlength, window.ylength],
+      },
+      metadata: { ...metadata },
+      images: [
+        { individualNum: 1, eye: 'left', type: 'image/png', data: StereoCapture.base64(left) },
+        { individualNum: 2, eye: 'right', type: 'image/png', data: StereoCapture.base64(right) },
+      ],
+    };
+  }
+
+  /**
+   * 按格式生成待写出的文件
+   * @param {Window} window
+   * @param {string} format - FORMATS 之一
+   * @param {string} baseName - 不含扩展名的文件名
+   * @param {object} metadata - 'mpo' 包的附加信息
+   * @returns {{name: string, type: string, data: Uint8Array|string}[]}
+   */
+  files(window, format, baseName, metadata = {}) {
+    switch (format) {
+      case 'png':
+        return [{ name: `${baseName}.png`, type: 'image/png', data: this.captureFrame(window) }];
+      case 'eyes': {
+        const { left, right } = this.captureEyes(window);
+        return [
+          { name: `${baseName}_L.png`, type: 'image/png', data: left },
+          { name: `${baseName}_R.png`, type: 'image/png', data: right },
+        ];
+      }
+      case 'pair':
+        return [{ name: `${baseName}_pair.png`, type: 'image/png', data: this.capturePair(window) }];
+      case 'mpo':
+        return [{
+          name: `${baseName}.json`,
+          type: 'application/json',
+          data: JSON.stringify(this.captureBundle(window, metadata)),
+        }];
+      default:
+        throw new Error(`[StereoCapture] Unknown format: ${format}`);
+    }
+  }
+
+  /**
+   * 以指定显示模式光栅化，返回像素副本（渲染器缓冲下次调用时被复用）
+   */
+  _rasterize(window, mode) {
+    const renderer = this.renderer;
+    const saved = renderer.displayMode;
+    renderer.displayMode = mode;
+    try {
+      return new Uint8ClampedArray(renderer.rasterize(window));
+    } finally {
+      renderer.displayMode = saved;
+    }
+  }
+
+  _rasterizeEyes(window) {
+    return {
+      left: this._rasterize(window, 'LEFT_EYE'),
+      right: this._rasterize(window, 'RIGHT_EYE'),
+    };
+  }
+
+  /**
+   * 字节 → base64（不依赖 btoa / Buffer，浏览器与 Node 一致）
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  static base64(bytes) {
+    const alphabet = StereoCapture.BASE64_ALPHABET;
+    const parts = [];
+    let chunk = '';
+    for (let i = 0; i < bytes.length; i += 3) {
+      const a = bytes[i];
+      const b = i + 1 < bytes.length ? bytes[i + 1] : 0;
+      const c = i + 2 < bytes.length ? bytes[i + 2] : 0;
+      const n = (a << 16) | (b << 8) | c;
+      chunk += alphabet[(n >> 18) & 63] + alphabet[(n >> 12) & 63] +
+        (i + 1 < bytes.length ? alphabet[(n >> 6) & 63] : '=') +
+        (i + 2 < bytes.length ? alphabet[n & 63] : '=');
+      // 分段拼接，避免超长字符串反复复制
+      if (chunk.length >= 8192) {
+        parts.push(chunk);
+        chunk = '';
+      }
+    }
+    parts.push(chunk);
+    return parts.join('');
+  }
+}
+
+// ============================================================================
+// 定步长序列录制
+// ============================================================================
+
+export class SequenceRecorder {
+
+  // frameRate：模拟帧率（每帧推进 1 / frameRate 秒）；frames：帧数；
+  // format：StereoCapture.FORMATS 之一；prefix / digits：文件名前缀与帧号位数
+  static DEFAULTS = { frameRate: 30, frames: 90, format: 'png', prefix: 'frame_', digits: 5 };
+
+  /**
+   * @param {StereoCapture} capture
+   * @param {object} options - 见 DEFAULTS
+   */
+  constructor(capture, options = {}) {
+    this.capture = capture;
+    this.options = { ...SequenceRecorder.DEFAULTS, ...options };
+    const { frameRate, frames, format } = this.options;
+    if (!(frameRate > 0) || !Number.isInteger(frames) || frames < 1) {
+      throw new Error('[SequenceRecorder] frameRate must be positive and frames a positive integer');
+    }
+    if (!StereoCapture.FORMATS.includes(format)) {
+      throw new Error(`[SequenceRecorder] Unknown format: ${format}`);
+    }
+    this.recording = false;
+    this._stopRequested = false;
+  }
+
+  /**
+   * 帧文件名（不含扩展名）
+   */
+  static frameName(prefix, index, digits) {
+    return `${prefix}${String(index).padStart(digits, '0')}`;
+  }
+
+  /**
+   * 录制序列：第 i 帧先以 dt 推进场景（第 0 帧 dt = 0，即初始状态），再截图写出
+   *
+   * @param {Window} window - 截图窗口（step 负责使其处于该帧已 calculate 的状态）
+   * @param {(dt: number, time: number, index: number) => void} step - 推进模拟并重新计算投影
+   * @param {(name: string, data: Uint8Array|string, type: string) => (void|Promise)} sink - 写出一个文件
+   * @returns {Promise<{frames: number, files: number, stopped: boolean}>}
+   */
+  async record(window, step, sink) {
+    if (this.recording) {
+      throw new Error('[SequenceRecorder] Already recording');
+    }
+    const { frameRate, frames, format, prefix, digits } = this.options;
+    const dt = 1 / frameRate;
+    this.recording = true;
+    this._stopRequested = false;
+
+    let index = 0;
+    let files = 0;
+    try {
+      for (; index < frames && !this._stopRequested; index++) {
+        // 模拟时间由帧号算出，不累加浮点误差
+        const time = index / frameRate;
+        step(index === 0 ? 0 : dt, time, index);
+        const baseName = SequenceRecorder.frameName(prefix, index, digits);
+        const metadata = { frame: index, time, frameRate };
+        for (const file of this.capture.files(window, format, baseName, metadata)) {
+          await sink(file.name, file.data, file.type);
+          files++;
+        }
+      }
+    } finally {
+      this.recording = false;
+    }
+    return { frames: index, files, stopped: index < frames };
+  }
+
+  /**
+   * 请求停止（当前帧写完后结束）
+   */
+  stop() {
+    this._stopRequested = true;
+  }
+}
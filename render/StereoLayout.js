@@ -0,0 +1,91 @@
+/**
+ * StereoLayout.js - 分屏 / 交错立体输出布局
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 把单眼全分辨率像素坐标（Window 计算的 xL/yL、xR/yR）映射到输出帧
+ *
+ * 布局（CONFIG.displayMode）：
+ * - 'SBS'：左右半宽并排，左眼在左（被动 3D 显示器 / 平行眼）
+ * - 'SBS_CROSS'：左右半宽并排，右眼在左（交叉眼观看）
+ * - 'TB'：上下半高，左眼在上
+ * - 'ROW_INTERLACED'：行交错，偶数行左眼、奇数行右眼（偏振式被动 3D）
+ * - 'COL_INTERLACED'：列交错，偶数列左眼、奇数列右眼
+ * - 'LEFT_EYE' / 'RIGHT_EYE'：只输出一只眼的全幅图像（截图分眼导出、单眼检查）
+ *
+ * 无外部依赖
+ * ============================================================================
+ */
+
+export class StereoLayout {
+
+  static MODES = ['SBS', 'SBS_CROSS', 'TB', 'ROW_INTERLACED', 'COL_INTERLACED', 'LEFT_EYE', 'RIGHT_EYE'];
+
+  /**
+   * 是否为分屏/交错布局模式
+   * @param {string} mode
+   * @returns {boolean}
+   */
+  static isLayoutMode(mode) {
+    return StereoLayout.MODES.includes(mode);
+  }
+
+  /**
+   * 该布局是否输出某只眼（单眼模式只输出一只）
+   * @param {string} mode
+   * @param {string} eye - 'left' | 'right'
+   * @returns {boolean}
+   */
+  static includesEye(mode, eye) {
+    if (mode === 'LEFT_EYE') return eye === 'left';
+    if (mode === 'RIGHT_EYE') return eye === 'right';
+    return true;
+  }
+
+  /**
+   * 单眼像素 → 输出帧像素索引
+   *
+   * @param {string} mode - 布局模式
+   * @param {string} eye - 'left' | 'right'
+   * @param {number} x, y - 单眼全分辨率像素坐标
+   * @param {number} width, height - 输出帧尺寸
+   * @returns {number} 像素索引 (y * width + x)，越界返回 -1
+   */
+  static mapPixel(mode, eye, x, y, width, height) {
+    if (x < 0 || x >= width || y < 0 || y >= height) return -1;
+    if (!StereoLayout.includesEye(mode, eye)) return -1;
+    const isLeft = eye === 'left';
+    let ox = x;
+    let oy = y;
+
+    switch (mode) {
+      case 'SBS':
+      case 'SBS_CROSS': {
+        const half = Math.floor(width / 2);
+        const firstHalf = mode === 'SBS' ? isLeft : !isLeft;
+        ox = (x >> 1) + (firstHalf ? 0 : half);
+        break;
+      }
+      case 'TB': {
+        const half = Math.floor(height / 2);
+        oy = (y >> 1) + (isLeft ? 0 : half);
+        break;
+      }
+      case 'ROW_INTERLACED':
+        oy = isLeft ? y & ~1 : y | 1;
+        break;
+      case 'COL_INTERLACED':
+        ox = isLeft ? x & ~1 : x | 1;
+        break;
+      default:
+        break;
+    }
+
+    if (ox >= width || oy >= height) return -1;
+    return oy * width + ox;
+  }
+}
@@ -0,0 +1,940 @@
+/**
+ * StereoRenderer.js - 立体点云 CPU 渲染器（无 DOM 依赖）
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 把 Window 已计算的投影结果（网格点 xL/yL、xR/yR、xM/yM、light）
+ *   光栅化为 RGBA 像素（Uint8ClampedArray）
+ * - 离屏完整渲染：光源窗口 + 主窗口投影 + 光栅化（render）
+ * - 输出 PNG 字节（toPNG）
+ *
+ * 显示模式（displayMode）：
+ * - '3D_LR' / '3D_RL' / '2D'：互补色单色相 LUT（AnaglyphProfile）
+ * - 'DUBOIS'：逐点真彩色 Dubois 合成（DuboisCompositor）
+ * - 'SBS' / 'SBS_CROSS' / 'TB' / 'ROW_INTERLACED' / 'COL_INTERLACED' /
+ *   'LEFT_EYE' / 'RIGHT_EYE'（StereoLayout）
+ *
+ * 网格样式（meshStyle，作用于带拓扑的物体）：
+ * - 'points'：只画点
+ * - 'surface'：左右眼分别光栅化三角形（透视校正深度 + 顶点光照插值），再叠加点
+ * - 'wireframe'：左右眼分别画抗锯齿边线（edges / internalEdges / skinBoneEdges 各一色）
+ * - 'surface+wireframe'：三角形 + 边线
+ *
+ * 串扰补偿（AnaglyphProfile.crosstalk 非零时，'3D_LR' / '3D_RL' / 'DUBOIS'）：
+ * 左右镜片通道先各自记录亮度，帧末互相扣除对侧漏过来的部分再写像素；
+ * renderCrosstalkPattern 输出校准用测试图
+ *
+ * 标量着色（scalarColoring，见 Colormap.js）：带 point.scalar 的点与网格顶点按色图着色，
+ * 不叠加光照；互补色模式取色图明度作亮度，真彩色模式取色图 RGB（三角形内逐像素插值）
+ *
+ * 点的扩散（splat）：半径随 point.dis 变化（近大远小）；
+ * 可选景深（depthOfField）以屏幕平面为焦平面，离零视差越远越模糊，
+ * 缓解辐辏-调节冲突
+ *
+ * 不读取 document / window / requestAnimationFrame，
+ * 浏览器主循环与 Node 批处理共用同一实现。
+ *
+ * 依赖：
+ * - Window.js: 投影窗口
+ * - Vector.js: 光源方向
+ * - AnaglyphProfile.js / DuboisCompositor.js / StereoLayout.js
+ * - Colormap.js: 标量着色
+ * - PngEncoder.js
+ * ============================================================================
+ */
+
+import { Window } from "../base/Window.js";
+import { Vector } from "../base/Vector.js";
+import { AnaglyphProfileRegistry } from "./AnaglyphProfile.js";
+import { DuboisCompositor } from "./DuboisCompositor.js";
+import { StereoLayout } from "./StereoLayout.js";
+import { ScalarColoring } from "./Colormap.js";
+import { PngEncoder } from "./PngEncoder.js";
+
+export class StereoRenderer {
+
+  // 相机沿光源方向后退距离（与 main.js updateLight 一致）
+  static LIGHT_CAMERA_OFFSET = 5;
+
+  static MESH_STYLES = ['points', 'surface', 'wireframe', 'surface+wireframe'];
+
+  // 边线类别：真彩色模式（DUBOIS / 分屏）用 color，
+  // 互补色模式每眼只有单一色相，改用亮度区分
+  static EDGE_CLASSES = [
+    { key: 'edges', color: [235, 235, 235], brightness: 1.0 },
+    { key: 'internalEdges', color: [255, 160, 40], brightness: 0.7 },
+    { key: 'skinBoneEdges', color: [60, 200, 255], brightness: 0.45 },
+  ];
+
+  // 边线深度偏移（厘米）：与所在三角形同深度时边线胜出
+  static EDGE_DEPTH_BIAS = 0.05;
+
+  // 扩散半径 = SPLAT_REFERENCE_DISTANCE / dis（像素），即 40cm 处为原 3×3 邻接
+  static SPLAT_REFERENCE_DISTANCE = 40;
+  static MAX_SPLAT_RADIUS = 4;
+  // 半径量化步长（核缓存键）
+  static SPLAT_RADIUS_STEP = 0.25;
+  static _kernels = new Map();
+
+  // 景深默认参数：strength 为每单位相对离焦的弥散半径（像素），
+  // minScale 为模糊后中心亮度下限
+  static DOF_DEFAULTS = { enabled: false, strength: 3, minScale: 0.25 };
+
+  // 串扰校准图：条纹宽度（像素）与对侧通道底色亮度（0-1，须不低于 MAX_CROSSTALK 才有扣除余量）
+  static CALIBRATION_STRIPE = 32;
+  static CALIBRATION_FIELD = 0.5;
+
+  /**
+   * @param {object} options
+   * @param {string} options.displayMode - 显示模式（默认 '3D_LR'）
+   * @param {string} options.anaglyphProfile - 眼镜配置名（默认 'red-blue'）
+   * @param {string} options.duboisVariant - Dubois 矩阵（默认 'red-cyan'）
+   * @param {string} options.meshStyle - 网格样式（默认 'surface'）
+   * @param {{enabled, strength, minScale}} options.depthOfField - 景深（默认关闭）
+   * @param {{enabled, colormap, min, max}} options.scalarColoring - 标量着色（默认关闭）
+   */
+  constructor(options = {}) {
+    this.displayMode = options.displayMode ?? '3D_LR';
+    this.anaglyphProfile = options.anaglyphProfile ?? AnaglyphProfileRegistry.DEFAULT;
+    this.duboisVariant = options.duboisVariant ?? 'red-cyan';
+    this.meshStyle = options.meshStyle ?? 'surface';
+    this.depthOfField = { ...StereoRenderer.DOF_DEFAULTS, ...options.depthOfField };
+    this.scalarColoring = new ScalarColoring(options.scalarColoring);
+
+    this.width = 0;
+    this.height = 0;
+    this.pixelData = null;   // RGBA 输出缓冲（跨帧复用）
+    this._depthL = null;     // 左/右眼深度（含邻接点），与 Window 深度缓冲互补
+    this._depthR = null;
+    this._meshRGB = null;    // 互补色模式三角形的左/右眼颜色（叠加合成，见 _compositeMeshLut）
+    this._levels = null;     // 串扰补偿时左/右镜片通道的归一化亮度（见 _compositeCrosstalk）
+    this.compositor = null;  // DUBOIS 模式按需创建
+    this.lightWindow = null; // 离屏 render() 使用的光源窗口
+
+    // 帧内状态
+    this._profile = null;
+    this._compensate = false; // 本帧互补色 LUT 是否走串扰补偿
+    this._isLayout = false;   // 本帧是否为分屏 / 交错布局（深度按输出像素测试）
+    this._focusDistance = 0;  // 焦平面（屏幕平面）到双眼的距离
+  }
+
+  /**
+   * 更新显示参数（主循环每帧同步 CONFIG）
+   */
+  setOptions(options = {}) {
+    if (options.displayMode !== undefined) this.displayMode = options.displayMode;
+    if (options.anaglyphProfile !== undefined) this.anaglyphProfile = options.anaglyphProfile;
+    if (options.duboisVariant !== undefined) this.duboisVariant = options.duboisVariant;
+    if (options.meshStyle !== undefined) this.meshStyle = options.meshStyle;
+    if (options.depthOfField !== undefined) {
+      this.depthOfField = { ...this.depthOfField, ...options.depthOfField };
+    }
+    if (options.scalarColoring !== undefined) this.scalarColoring.configure(options.scalarColoring);
+  }
+
+  // ==========================================================================
+  // 离屏完整渲染
+  // ==========================================================================
+
+  /**
+   * 计算光照与投影后光栅化
+   *
+   * @param {Window} window - 主窗口（需已设置 capital 与 direction）
+   * @param {Object[]} objects - 场景物体
+   * @param {{x, y, z}|null} light - 单一光源位置（options.lights 存在时忽略）
+   * @param {object} options
+   * @param {number} options.eyeD - 瞳距（默认 window.eyeD 或 6.3）
+   * @param {{x, y, z}} options.lightTarget - 光照目标（默认屏幕参考点 direction.start）
+   * @param {LightRegistry} options.lights - 多光源注册表（见 base/Light.js）
+   * @param {Object[]} options.otherObjects - 附加物体（如光源小球）
+   * @returns {Uint8ClampedArray} RGBA 像素
+   */
+  render(window, objects, light, options = {}) {
+    const eyeD = options.eyeD ?? window.eyeD ?? 6.3;
+    const otherObjects = options.otherObjects ?? [];
+    const target = options.lightTarget ?? window.direction.start;
+
+    if (options.lights) {
+      options.lights.resize(window.width, window.height, window.xlength, window.ylength);
+      options.lights.update(objects, otherObjects, target);
+      window.lights = options.lights.list();
+    } else if (light) {
+      window.lights = [];
+      this._computeLight(window, objects, light, target, otherObjects);
+    }
+
+    window.calculate(window.capital, eyeD, window.direction, objects, 0, otherObjects);
+    return this.rasterize(window);
+  }
+
+  _computeLight(window, objects, light, target, otherObjects) {
+    if (!this.lightWindow ||
+      this.lightWindow.width !== window.width ||
+      this.lightWindow.height !== window.height) {
+      this.lightWindow = new Window(window.width, window.height, window.xlength, window.ylength, "light");
+    }
+
+    const lightDir = new Vector(0, 0, 0);
+    lightDir.normalInit(light.x, light.y, light.z, target.x, target.y, target.z);
+    const lightCamPos = lightDir.getPoint(-StereoRenderer.LIGHT_CAMERA_OFFSET);
+    this.lightWindow.calculate(lightCamPos, 0, lightDir, objects, 1.0, otherObjects);
+  }
+
+  /**
+   * PNG 字节（最近一次光栅化结果）
+   * @returns {Uint8Array}
+   */
+  toPNG() {
+    if (!this.pixelData) {
+      throw new Error('[StereoRenderer] Nothing rendered yet');
+    }
+    return PngEncoder.encode(this.pixelData, this.width, this.height);
+  }
+
+  // ==========================================================================
+  // 光栅化
+  // ==========================================================================
+
+  /**
+   * 把窗口投影结果写入像素缓冲
+   * @param {Window} window - 已执行 calculate 的窗口
+   * @returns {Uint8ClampedArray} RGBA 像素（下次调用时被复用）
+   */
+  rasterize(window) {
+    this._beginFrame(window.width, window.height);
+
+    // 当前眼镜配置（每帧读取，切换后下一帧生效）
+    this._profile = AnaglyphProfileRegistry.get(this.anaglyphProfile);
+    this._focusDistance = window.disOfPointToPlane;
+
+    const mode = this.displayMode;
+    const isDubois = mode === 'DUBOIS';
+    const isLayout = StereoLayout.isLayoutMode(mode);
+    this._isLayout = isLayout;
+    if (isDubois) {
+      this._beginDubois();
+    }
+    this._compensate = (mode === '3D_LR' || mode === '3D_RL') && this._profile.hasCrosstalk;
+    if (this._compensate) {
+      this._beginCrosstalk();
+    }
+
+    // 1. 窗口附属物体（屏幕网格），不画邻接点
+    for (let index = 0; index < window.windowObjects.length; index++) {
+      const element = window.windowObjects[index];
+      // 阶段1修改：优先使用 displayPoints，回退到 constructionPoints
+      const renderPoints = (element.displayPoints && element.displayPoints.length > 0)
+        ? element.displayPoints
+        : element.constructionPoints;
+      if (!renderPoints || renderPoints.length === 0) continue;
+      for (let i = 0; i < renderPoints.length; i++) {
+        const p = renderPoints[i];
+        if (p.xM === 0 || p.yM === 0) continue;
+        if (isDubois) {
+          this.compositor.plot("left", p.xM, p.yM, null, p.light);
+          this.compositor.plot("right", p.xM, p.yM, null, p.light);
+        } else if (isLayout) {
+          this._plotLayoutPixel("left", p.xM, p.yM, p.light, null);
+          this._plotLayoutPixel("right", p.xM, p.yM, p.light, null);
+        } else {
+          this._drawLutPoint("mono", "left", p.xM, p.yM, p.light, 0, false);
+        }
+      }
+    }
+
+    // 2. 网格物体三角形与边线（三角形先写深度，随后的点与之互相遮挡）
+    if (this.meshStyle !== 'points' && window.meshObjects?.length > 0) {
+      this._rasterizeMeshes(window);
+    }
+
+    // 3. 遍历本帧投影点（主循环）
+    //    有深度缓冲时：只画在各自投影像素上最近的点，邻接点再经渲染器逐眼深度测试；
+    //    无深度缓冲时（旧窗口）：遍历网格单元（已由 calculateNormal 剔除遮挡）
+    const depthBuffer = window.depthBuffer;
+    const points = depthBuffer ? depthBuffer.points : StereoRenderer._collectGridPoints(window.grid);
+    for (let i = 0; i < points.length; i++) {
+      const p = points[i];
+      const visible = {
+        M: !depthBuffer || depthBuffer.isVisible(p, 'M'),
+        L: !depthBuffer || depthBuffer.isVisible(p, 'L'),
+        R: !depthBuffer || depthBuffer.isVisible(p, 'R'),
+      };
+      if (mode === '2D') {
+        // 纯2D模式：使用 xM/yM，配置单色（红蓝为紫色）
+        if (visible.M) this._drawLutPoint("mono", "left", p.xM, p.yM, this._pointLight(p, true), p.dis, true);
+      } else if (isDubois) {
+        const color = this._pointColor(p);
+        const light = this._pointLight(p, false);
+        this._drawStereoPoint(p, visible, (eye, x, y) => this._drawDuboisPoint(eye, x, y, light, color, p.dis));
+      } else if (isLayout) {
+        const color = this._pointColor(p);
+        const light = this._pointLight(p, false);
+        this._drawStereoPoint(p, visible, (eye, x, y) => this._drawLayoutPoint(eye, x, y, light, color, p.dis));
+      } else {
+        this._drawAnaglyphPoint(p, visible, mode === '3D_LR');
+      }
+    }
+
+    if (isDubois) {
+      this.compositor.composite(this.pixelData, this._profile.crosstalk);
+    } else if (this._compensate) {
+      this._compositeCrosstalk();
+    }
+    return this.pixelData;
+  }
+
+  /**
+   * 串扰校准测试图（与场景无关，使用当前眼镜配置与其串扰比例）
+   *
+   * 左半屏：左镜片色满亮度竖条纹，叠在右镜片色 CALIBRATION_FIELD 底色上；
+   * 右半屏：右镜片色竖条纹，叠在左镜片色底色上。
+   * 闭上一只眼，只透过右镜片看左半屏：条纹的重影恰好消失（底色均匀）时
+   * leftToRight 即为实际漏光比例；透过左镜片看右半屏调 rightToLeft。
+   *
+   * @param {number} width
+   * @param {number} height
+   * @returns {Uint8ClampedArray} RGBA 像素（下次调用时被复用）
+   */
+  renderCrosstalkPattern(width, height) {
+    this._beginFrame(width, height);
+    this._profile = AnaglyphProfileRegistry.get(this.anaglyphProfile);
+    this._beginCrosstalk();
+
+    const { left, right, coverage } = this._levels;
+    const stripe = StereoRenderer.CALIBRATION_STRIPE;
+    const field = StereoRenderer.CALIBRATION_FIELD;
+    const half = Math.floor(width / 2);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        const inStripe = Math.floor(x / stripe) % 2 === 0 ? 1 : 0;
+        if (x < half) {
+          left[index] = inStripe;
+          right[index] = field;
+        } else {
+          left[index] = field;
+          right[index] = inStripe;
+        }
+        coverage[index] = 3;
+      }
+    }
+    this._compositeCrosstalk();
+    return this.pixelData;
+  }
+
+  _beginFrame(width, height) {
+    if (!this.pixelData || width !== this.width || height !== this.height) {
+      this.width = width;
+      this.height = height;
+      this.pixelData = new Uint8ClampedArray(width * height * 4);
+      this._depthL = new Float32Array(width * height);
+      this._depthR = new Float32Array(width * height);
+    } else {
+      this.pixelData.fill(0);
+    }
+    this._depthL.fill(Infinity);
+    this._depthR.fill(Infinity);
+  }
+
+  _beginMeshLut() {
+    const size = this.width * this.height * 3;
+    if (!this._meshRGB || this._meshRGB.left.length !== size) {
+      this._meshRGB = {
+        left: new Uint8ClampedArray(size),
+        right: new Uint8ClampedArray(size),
+        coverage: new Uint8Array(this.width * this.height),
+      };
+      return;
+    }
+    this._meshRGB.left.fill(0);
+    this._meshRGB.right.fill(0);
+    this._meshRGB.coverage.fill(0);
+  }
+
+  _beginDubois() {
+    if (!this.compositor) {
+      this.compositor = new DuboisCompositor(this.duboisVariant);
+    } else if (this.compositor.variant !== this.duboisVariant) {
+      this.compositor.setVariant(this.duboisVariant);
+    }
+    this.compositor.begin(this.width, this.height);
+  }
+
+  /**
+   * 点颜色乘以有色光源混合系数（真彩色模式；互补色 LUT 模式每眼单色相，忽略光色）
+   * @returns {number[]|null}
+   */
+  static tintedColor(p) {
+    if (!p.tint) return p.color;
+    const base = p.color ?? [255, 255, 255];
+    return [
+      Math.round(base[0] * p.tint[0]),
+      Math.round(base[1] * p.tint[1]),
+      Math.round(base[2] * p.tint[2]),
+    ];
+  }
+
+  /**
+   * 点（或网格顶点）的亮度：带有效标量时取色图（互补色为明度，真彩色为 1），否则取光照
+   * @param {Point} p
+   * @param {boolean} isLut - 互补色 LUT 模式
+   */
+  _pointLight(p, isLut) {
+    const t = this.scalarColoring.parameter(p.scalar);
+    if (t < 0) return p.light;
+    return isLut ? this.scalarColoring.light(t) : 1;
+  }
+
+  /**
+   * 点（或网格顶点）的真彩色：带有效标量时取色图，否则为光色混合后的点颜色
+   * @returns {number[]|null}
+   */
+  _pointColor(p) {
+    const t = this.scalarColoring.parameter(p.scalar);
+    return t < 0 ? StereoRenderer.tintedColor(p) : this.scalarColoring.color(t);
+  }
+
+  static _collectGridPoints(grid) {
+    const points = [];
+    for (let gridX = 0; gridX < grid.length; gridX++) {
+      const gridCol = grid[gridX];
+      for (let gridY = 0; gridY < gridCol.length; gridY++) {
+        for (const p of gridCol[gridY]) points.push(p);
+      }
+    }
+    return points;
+  }
+
+  /**
+   * 逐眼深度测试（近者胜出，通过时写入深度）
+   * 邻接点也参与测试，远处点的邻接像素不会覆盖近处点
+   */
+  _depthTest(eye, x, y, depth) {
+    const index = this._depthIndex(eye, x, y);
+    if (index < 0) return false;
+    const buffer = eye === "right" ? this._depthR : this._depthL;
+    if (depth > buffer[index]) return false;
+    buffer[index] = depth;
+    return true;
+  }
+
+  /**
+   * 深度缓冲索引：分屏 / 交错布局下两个单眼像素合并为一个输出像素，
+   * 按映射后的输出像素测试，否则后写入的远处像素会覆盖近处像素；越界返回 -1
+   */
+  _depthIndex(eye, x, y) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return -1;
+    if (this._isLayout) {
+      return StereoLayout.mapPixel(this.displayMode, eye, x, y, this.width, this.height);
+    }
+    return y * this.width + x;
+  }
+
+  /**
+   * 立体点分发：有视差时左右眼各画一次，无视差（如网格点）两眼都画在 xM/yM
+   */
+  _drawStereoPoint(p, visible, draw) {
+    if (Math.abs(p.xL - p.xR) > 0) {
+      if (visible.L) draw("left", p.xL, p.yL);
+      if (visible.R) draw("right", p.xR, p.yR);
+    } else if (visible.M) {
+      draw("left", p.xM, p.yM);
+      draw("right", p.xM, p.yM);
+    }
+  }
+
+  // ==========================================================================
+  // 三角形光栅化
+  // ==========================================================================
+
+  /**
+   * 光栅化本帧所有网格物体的三角形与边线（按 meshStyle）
+   *
+   * 顶点投影由 Window.calculateMeshVertices 写入 point.proj（亚像素、未裁剪），
+   * 任一顶点投影失败（过近）的三角形 / 边跳过。不做背面剔除（布料双面可见）。
+   * 边线只做深度测试不写深度，互相之间按覆盖率混合。
+   */
+  _rasterizeMeshes(window) {
+    const style = this.meshStyle;
+    const drawSurface = style === 'surface' || style === 'surface+wireframe';
+    const drawEdges = style === 'wireframe' || style === 'surface+wireframe';
+    const mode = this.displayMode;
+    const isLut = mode === '2D' || mode === '3D_LR' || mode === '3D_RL';
+    // 串扰补偿时三角形 / 边线直接写入通道亮度，由 _compositeCrosstalk 统一合成
+    const useMeshRGB = isLut && !this._compensate;
+    if (useMeshRGB) {
+      this._beginMeshLut();
+    }
+
+    // 每眼：[深度/输出眼, LUT 通道, 顶点横坐标字段]
+    let passes;
+    if (mode === '2D') {
+      passes = [["left", "mono", "xM"]];
+    } else {
+      const isRL = mode === '3D_RL';
+      passes = [
+        ["left", isRL ? "right" : "left", "xL"],
+        ["right", isRL ? "left" : "right", "xR"],
+      ];
+    }
+
+    for (const object of window.meshObjects) {
+      const vertices = object.constructionPoints;
+      const topology = object.representation.topology;
+
+      if (drawSurface && topology.triangles) {
+        for (const [a, b, c] of topology.triangles) {
+          const pa = vertices[a], pb = vertices[b], pc = vertices[c];
+          if (!pa?.proj?.valid || !pb?.proj?.valid || !pc?.proj?.valid) continue;
+          const color = this._pointColor(pa);
+          for (const [eye, channel, xKey] of passes) {
+            this._fillTriangle(eye, channel, xKey, pa, pb, pc, color, isLut);
+          }
+        }
+      }
+
+      if (drawEdges) {
+        for (const edgeClass of StereoRenderer.EDGE_CLASSES) {
+          const edges = topology[edgeClass.key];
+          if (!edges) continue;
+          for (const [i, j] of edges) {
+            const pa = vertices[i], pb = vertices[j];
+            if (!pa?.proj?.valid || !pb?.proj?.valid) continue;
+            for (const [eye, channel, xKey] of passes) {
+              this._drawEdge(eye, channel, xKey, pa, pb, edgeClass, isLut);
+            }
+          }
+        }
+      }
+    }
+
+    if (useMeshRGB) {
+      this._compositeMeshLut();
+    }
+  }
+
+  /**
+   * 单眼三角形填充（边函数 + 像素中心采样）
+   * 深度与亮度按 1/dis 透视校正插值；真彩色模式下三顶点都带标量时，
+   * 色图参数同样逐像素插值（否则整个三角形取首顶点颜色）
+   */
+  _fillTriangle(eye, channel, xKey, pa, pb, pc, color, isLut) {
+    const ax = pa.proj[xKey], ay = pa.proj.y;
+    const bx = pb.proj[xKey], by = pb.proj.y;
+    const cx = pc.proj[xKey], cy = pc.proj.y;
+
+    const area = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+    if (Math.abs(area) < 1e-9) return;
+
+    const minX = Math.max(0, Math.floor(Math.min(ax, bx, cx)));
+    const maxX = Math.min(this.width - 1, Math.ceil(Math.max(ax, bx, cx)));
+    const minY = Math.max(0, Math.floor(Math.min(ay, by, cy)));
+    const maxY = Math.min(this.height - 1, Math.ceil(Math.max(ay, by, cy)));
+    if (minX > maxX || minY > maxY) return;
+
+    const invA = 1 / pa.proj.dis, invB = 1 / pb.proj.dis, invC = 1 / pc.proj.dis;
+    const lightA = this._pointLight(pa, isLut) * invA;
+    const lightB = this._pointLight(pb, isLut) * invB;
+    const lightC = this._pointLight(pc, isLut) * invC;
+    const invArea = 1 / area;
+
+    const coloring = this.scalarColoring;
+    const ta = isLut ? -1 : coloring.parameter(pa.scalar);
+    const tb = isLut ? -1 : coloring.parameter(pb.scalar);
+    const tc = isLut ? -1 : coloring.parameter(pc.scalar);
+    const smooth = ta >= 0 && tb >= 0 && tc >= 0;
+    const scalarA = ta * invA, scalarB = tb * invB, scalarC = tc * invC;
+
+    for (let y = minY; y <= maxY; y++) {
+      const py = y + 0.5;
+      for (let x = minX; x <= maxX; x++) {
+        const px = x + 0.5;
+        // 重心坐标（与 area 同号时在三角形内）
+        const wa = ((bx - px) * (cy - py) - (by - py) * (cx - px)) * invArea;
+        const wb = ((cx - px) * (ay - py) - (cy - py) * (ax - px)) * invArea;
+        const wc = 1 - wa - wb;
+        if (wa < 0 || wb < 0 || wc < 0) continue;
+
+        const invDepth = wa * invA + wb * invB + wc * invC;
+        const depth = 1 / invDepth;
+        if (!this._depthTest(eye, x, y, depth)) continue;
+        const light = (wa * lightA + wb * lightB + wc * lightC) * depth;
+        const pixelColor = smooth
+          ? coloring.color((wa * scalarA + wb * scalarB + wc * scalarC) * depth)
+          : color;
+        this._plotMeshPixel(eye, channel, x, y, light, pixelColor, isLut);
+      }
+    }
+  }
+
+  _plotMeshPixel(eye, channel, x, y, light, color, isLut) {
+    if (isLut) {
+      const profile = this._profile;
+      const lutIndex = Math.max(0, Math.min(
+        profile.maxLutIndex(channel),
+        Math.round(light * profile[channel].maxBrightness * 10),
+      ));
+      const index = y * this.width + x;
+      if (this._compensate) {
+        this._writeLevel(channel, index, lutIndex / profile.maxLutIndex(channel), 1);
+        return;
+      }
+      const [r, g, b] = profile.lut[channel][lutIndex] || [0, 0, 0];
+      const buffer = eye === "right" ? this._meshRGB.right : this._meshRGB.left;
+      buffer[index * 3] = r;
+      buffer[index * 3 + 1] = g;
+      buffer[index * 3 + 2] = b;
+      this._meshRGB.coverage[index] = 1;
+    } else if (this.displayMode === 'DUBOIS') {
+      this.compositor.plot(eye, x, y, color, light);
+    } else {
+      this._plotLayoutPixel(eye, x, y, light, color);
+    }
+  }
+
+  /**
+   * 单眼抗锯齿边线（Xiaolin Wu：主轴逐像素，副轴两像素按距离分配覆盖率）
+   * 深度按 1/dis 透视校正插值，被三角形或点遮挡的像素跳过
+   */
+  _drawEdge(eye, channel, xKey, pa, pb, edgeClass, isLut) {
+    let x0 = pa.proj[xKey], y0 = pa.proj.y, inv0 = 1 / pa.proj.dis;
+    let x1 = pb.proj[xKey], y1 = pb.proj.y, inv1 = 1 / pb.proj.dis;
+
+    const steep = Math.abs(y1 - y0) > Math.abs(x1 - x0);
+    if (steep) {
+      [x0, y0] = [y0, x0];
+      [x1, y1] = [y1, x1];
+    }
+    if (x0 > x1) {
+      [x0, x1] = [x1, x0];
+      [y0, y1] = [y1, y0];
+      [inv0, inv1] = [inv1, inv0];
+    }
+
+    const dx = x1 - x0;
+    const gradient = dx === 0 ? 0 : (y1 - y0) / dx;
+    const majorSize = steep ? this.height : this.width;
+    const start = Math.max(0, Math.ceil(x0 - 0.5));
+    const end = Math.min(majorSize - 1, Math.floor(x1 - 0.5));
+
+    for (let major = start; major <= end; major++) {
+      const center = major + 0.5;
+      const t = dx === 0 ? 0 : (center - x0) / dx;
+      const depth = 1 / (inv0 + (inv1 - inv0) * t) - StereoRenderer.EDGE_DEPTH_BIAS;
+      const minorF = y0 + gradient * (center - x0) - 0.5;
+      const minor = Math.floor(minorF);
+      const frac = minorF - minor;
+      this._plotEdgePixel(eye, channel, steep, major, minor, 1 - frac, depth, edgeClass, isLut);
+      this._plotEdgePixel(eye, channel, steep, major, minor + 1, frac, depth, edgeClass, isLut);
+    }
+  }
+
+  _plotEdgePixel(eye, channel, steep, major, minor, alpha, depth, edgeClass, isLut) {
+    if (alpha <= 0) return;
+    const x = steep ? minor : major;
+    const y = steep ? major : minor;
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return;
+    const index = y * this.width + x;
+    const depthBuffer = eye === "right" ? this._depthR : this._depthL;
+    const depthIndex = this._depthIndex(eye, x, y);
+    if (depthIndex < 0 || depth > depthBuffer[depthIndex]) return;
+
+    if (isLut) {
+      const profile = this._profile;
+      const lutIndex = Math.max(0, Math.min(
+        profile.maxLutIndex(channel),
+        Math.round(edgeClass.brightness * profile[channel].maxBrightness * 10),
+      ));
+      if (this._compensate) {
+        this._writeLevel(channel, index, lutIndex / profile.maxLutIndex(channel), alpha);
+        return;
+      }
+      const [r, g, b] = profile.lut[channel][lutIndex] || [0, 0, 0];
+      const buffer = eye === "right" ? this._meshRGB.right : this._meshRGB.left;
+      const base = index * 3;
+      buffer[base] += (r - buffer[base]) * alpha;
+      buffer[base + 1] += (g - buffer[base + 1]) * alpha;
+      buffer[base + 2] += (b - buffer[base + 2]) * alpha;
+      this._meshRGB.coverage[index] = 1;
+    } else if (this.displayMode === 'DUBOIS') {
+      this.compositor.blend(eye, x, y, edgeClass.color, 1, alpha);
+    } else {
+      const mapped = StereoLayout.mapPixel(this.displayMode, eye, x, y, this.width, this.height);
+      if (mapped < 0) return;
+      const p = mapped * 4;
+      const color = edgeClass.color;
+      this.pixelData[p] += (color[0] - this.pixelData[p]) * alpha;
+      this.pixelData[p + 1] += (color[1] - this.pixelData[p + 1]) * alpha;
+      this.pixelData[p + 2] += (color[2] - this.pixelData[p + 2]) * alpha;
+      this.pixelData[p + 3] = 255;
+    }
+  }
+
+  /**
+   * 互补色三角形 / 边线合成：左右眼颜色相加
+   * 实心面两眼覆盖区域大面积重叠，覆盖写入会让后画的一眼吞掉另一眼
+   */
+  _compositeMeshLut() {
+    const { left, right, coverage } = this._meshRGB;
+    const pixelData = this.pixelData;
+    for (let i = 0; i < coverage.length; i++) {
+      if (coverage[i] === 0) continue;
+      const b = i * 3;
+      const p = i * 4;
+      pixelData[p] = left[b] + right[b];
+      pixelData[p + 1] = left[b + 1] + right[b + 1];
+      pixelData[p + 2] = left[b + 2] + right[b + 2];
+      pixelData[p + 3] = 255;
+    }
+  }
+
+  // ==========================================================================
+  // 互补色（LUT）
+  // ==========================================================================
+
+  /**
+   * 3D模式：根据 displayMode 决定左右眼使用配置的哪一侧镜片颜色
+   * 3D_RL 对应眼镜反戴（左眼透过右镜片）
+   */
+  _drawAnaglyphPoint(p, visible, isLR) {
+    const leftColor = isLR ? 'left' : 'right';
+    const rightColor = isLR ? 'right' : 'left';
+    const light = this._pointLight(p, true);
+
+    // 处理单色点（无左右眼差异，如网格点）
+    if (Math.abs(p.xL - p.xR) === 0) {
+      if (visible.M) this._drawLutPoint("mono", "left", p.xM, p.yM, light, p.dis, true);
+      return;
+    }
+
+    // 处理立体点：按 xL 奇偶交替左右眼绘制顺序，避免一侧总被覆盖
+    const first = p.xL % 2 === 0;
+    if (first && visible.L) this._drawLutPoint(leftColor, "left", p.xL, p.yL, light, p.dis, true);
+    if (visible.R) this._drawLutPoint(rightColor, "right", p.xR, p.yR, light, p.dis, true);
+    if (!first && visible.L) this._drawLutPoint(leftColor, "left", p.xL, p.yL, light, p.dis, true);
+  }
+
+  /**
+   * 按 LUT 通道绘制一个点（可选 8 邻接）
+   * 亮度 = light * maxBrightness，索引限制在 [0, maxLutIndex]
+   */
+  _drawLutPoint(channel, eye, x, y, light, dis, withNeighbors) {
+    const { width, height } = this;
+    // 跳过无效坐标（x/y为0或超出画布范围）
+    if (x === 0 || y === 0 || x < 0 || x >= width || y < 0 || y >= height) {
+      return;
+    }
+
+    const profile = this._profile;
+    const table = profile.lut[channel];
+    const baseLight = profile[channel].maxBrightness;
+    const maxLutIndex = profile.maxLutIndex(channel);
+
+    if (!withNeighbors) {
+      // 窗口附属物体（屏幕网格）不参与深度测试，始终在最底层
+      this._writeLutPixel(channel, table, x, y, light * baseLight, maxLutIndex);
+      return;
+    }
+    const { radius, scale } = this._splat(dis);
+    if (this._depthTest(eye, x, y, dis)) {
+      this._writeLutPixel(channel, table, x, y, light * baseLight * scale, maxLutIndex);
+    }
+
+    for (const nb of StereoRenderer.getNeighbors(x, y, light, radius)) {
+      if (!this._depthTest(eye, nb.nx, nb.ny, dis)) continue;
+      this._writeLutPixel(channel, table, nb.nx, nb.ny, light * baseLight * scale * nb.ratio, maxLutIndex);
+    }
+  }
+
+  _writeLutPixel(channel, table, x, y, brightness, maxLutIndex) {
+    const lutIndex = Math.max(0, Math.min(maxLutIndex, Math.round(brightness * 10)));
+    if (this._compensate && channel !== 'mono') {
+      this._writeLevel(channel, y * this.width + x, lutIndex / maxLutIndex, 1);
+      return;
+    }
+    const [r, g, b] = table[lutIndex] || [0, 0, 0];
+    const idx = (y * this.width + x) * 4;
+    this.pixelData[idx] = r;
+    this.pixelData[idx + 1] = g;
+    this.pixelData[idx + 2] = b;
+    this.pixelData[idx + 3] = 255;
+  }
+
+  // ==========================================================================
+  // 串扰补偿
+  // ==========================================================================
+
+  _beginCrosstalk() {
+    const size = this.width * this.height;
+    if (!this._levels || this._levels.left.length !== size) {
+      this._levels = {
+        left: new Float32Array(size),
+        right: new Float32Array(size),
+        coverage: new Uint8Array(size), // bit0 = 左镜片通道已写，bit1 = 右镜片通道已写
+      };
+      return;
+    }
+    this._levels.left.fill(0);
+    this._levels.right.fill(0);
+    this._levels.coverage.fill(0);
+  }
+
+  /**
+   * 写入镜片通道亮度（0-1，相对该通道最大亮度），按覆盖率 alpha 与已有值混合
+   * 同一通道后写覆盖先写，与直接写像素时一致
+   */
+  _writeLevel(channel, index, level, alpha) {
+    const levels = this._levels;
+    const buffer = channel === 'right' ? levels.right : levels.left;
+    const bit = channel === 'right' ? 2 : 1;
+    const current = (levels.coverage[index] & bit) ? buffer[index] : 0;
+    buffer[index] = current + (level - current) * alpha;
+    levels.coverage[index] |= bit;
+  }
+
+  /**
+   * 两通道互相扣除串扰后查表相加写入像素：
+   * left' = left - rightToLeft · right，right' = right - leftToRight · left（下限 0）
+   * 对侧通道为 0 的像素无从扣除，暗背景上的重影只能减轻不能消除
+   */
+  _compositeCrosstalk() {
+    const { left, right, coverage } = this._levels;
+    const profile = this._profile;
+    const { leftToRight, rightToLeft } = profile.crosstalk;
+    const lutLeft = profile.lut.left;
+    const lutRight = profile.lut.right;
+    const maxLeft = profile.maxLutIndex('left');
+    const maxRight = profile.maxLutIndex('right');
+    const pixelData = this.pixelData;
+
+    for (let i = 0; i < coverage.length; i++) {
+      const bits = coverage[i];
+      if (bits === 0) continue;
+      const l = bits & 1 ? left[i] : 0;
+      const r = bits & 2 ? right[i] : 0;
+      const cl = lutLeft[Math.round(Math.max(0, l - rightToLeft * r) * maxLeft)];
+      const cr = lutRight[Math.round(Math.max(0, r - leftToRight * l) * maxRight)];
+      const p = i * 4;
+      pixelData[p] = cl[0] + cr[0];
+      pixelData[p + 1] = cl[1] + cr[1];
+      pixelData[p + 2] = cl[2] + cr[2];
+      pixelData[p + 3] = 255;
+    }
+  }
+
+  // ==========================================================================
+  // Dubois / 分屏布局
+  // ==========================================================================
+
+  _drawDuboisPoint(eye, x, y, light, color, dis) {
+    if (x === 0 || y === 0) return;
+    const { radius, scale } = this._splat(dis);
+    if (this._depthTest(eye, x, y, dis)) {
+      this.compositor.plot(eye, x, y, color, light * scale);
+    }
+    for (const nb of StereoRenderer.getNeighbors(x, y, light, radius)) {
+      if (!this._depthTest(eye, nb.nx, nb.ny, dis)) continue;
+      this.compositor.plot(eye, nb.nx, nb.ny, color, light * scale * nb.ratio);
+    }
+  }
+
+  _plotLayoutPixel(eye, x, y, light, color) {
+    const index = StereoLayout.mapPixel(this.displayMode, eye, x, y, this.width, this.height);
+    if (index < 0) return;
+    const k = Math.min(1, light);
+    const idx = index * 4;
+    this.pixelData[idx] = (color ? color[0] : 255) * k;
+    this.pixelData[idx + 1] = (color ? color[1] : 255) * k;
+    this.pixelData[idx + 2] = (color ? color[2] : 255) * k;
+    this.pixelData[idx + 3] = 255;
+  }
+
+  _drawLayoutPoint(eye, x, y, light, color, dis) {
+    if (x === 0 || y === 0) return;
+    const { radius, scale } = this._splat(dis);
+    if (this._depthTest(eye, x, y, dis)) {
+      this._plotLayoutPixel(eye, x, y, light * scale, color);
+    }
+    for (const nb of StereoRenderer.getNeighbors(x, y, light, radius)) {
+      if (!this._depthTest(eye, nb.nx, nb.ny, dis)) continue;
+      this._plotLayoutPixel(eye, nb.nx, nb.ny, light * scale * nb.ratio, color);
+    }
+  }
+
+  // ==========================================================================
+  // 邻接点规则
+  // ==========================================================================
+
+  /**
+   * 点的扩散半径与亮度系数
+   * - 半径 = SPLAT_REFERENCE_DISTANCE / dis（近大远小，上限 MAX_SPLAT_RADIUS）
+   * - 景深开启时叠加弥散圆 coc = strength · |dis - 焦距| / dis，
+   *   半径按平方和合成，亮度按面积比降低（不低于 minScale）
+   * @returns {{radius: number, scale: number}}
+   */
+  _splat(dis) {
+    const maxRadius = StereoRenderer.MAX_SPLAT_RADIUS;
+    if (!(dis > 0)) return { radius: 1, scale: 1 };
+    let radius = Math.min(maxRadius, StereoRenderer.SPLAT_REFERENCE_DISTANCE / dis);
+    let scale = 1;
+
+    const dof = this.depthOfField;
+    if (dof.enabled && this._focusDistance > 0) {
+      const coc = dof.strength * Math.abs(dis - this._focusDistance) / dis;
+      const blurred = Math.min(maxRadius, Math.hypot(radius, coc));
+      scale = Math.max(dof.minScale, (radius * radius + 1) / (blurred * blurred + 1));
+      radius = blurred;
+    }
+    return { radius, scale };
+  }
+
+  /**
+   * 邻接点生成
+   * - light∈(0.3, 1] → 半径 radius 内的邻接像素，权重 0.707^(d²/radius²)
+   *   （radius = 1：十字 0.707，对角 0.5）
+   * - light≤0.3 或 >1 → 无邻接
+   */
+  static getNeighbors(x, y, light, radius = 1) {
+    if (light > 1 || light <= 0.3) {
+      return [];
+    }
+    return StereoRenderer.splatKernel(radius).map(({ dx, dy, ratio }) => ({
+      nx: x + dx,
+      ny: y + dy,
+      ratio,
+    }));
+  }
+
+  /**
+   * 扩散核（不含中心），按量化半径缓存
+   * 覆盖距中心 d ≤ radius + 0.5 的像素；radius < 0.5 时为空（单像素）
+   * @returns {{dx, dy, ratio}[]}
+   */
+  static splatKernel(radius) {
+    const step = StereoRenderer.SPLAT_RADIUS_STEP;
+    const key = Math.round(radius / step);
+    let kernel = StereoRenderer._kernels.get(key);
+    if (kernel) return kernel;
+
+    kernel = [];
+    const r = key * step;
+    if (r >= 0.5) {
+      const reach = r + 0.5;
+      const extent = Math.floor(reach);
+      for (let dy = -extent; dy <= extent; dy++) {
+        for (let dx = -extent; dx <= extent; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          const dd = dx * dx + dy * dy;
+          if (dd > reach * reach) continue;
+          kernel.push({ dx, dy, ratio: Math.pow(0.707, dd / (r * r)) });
+        }
+      }
+    }
+    StereoRenderer._kernels.set(key, kernel);
+    return kernel;
+  }
+}
@@ -0,0 +1,917 @@
+/**
+ * WebGLRenderer.js - 立体点云 WebGL2 渲染后端
+ *
+ * ============================================================================
+ * 版本: v1.0
+ * 日期: 2026-10-19
+ * ============================================================================
+ *
+ * 职责：
+ * - 与 StereoRenderer.rasterize 相同的输入（已 calculate 的 Window）与输出语义，
+ *   像素由 GPU 生成，替代逐像素 JS 写入 + putImageData
+ * - 点位置按物体常驻 GPU 缓冲，只在坐标变化时重新上传；
+ *   每帧只上传亮度 / 颜色（Window 已算好的 point.light / point.tint）
+ * - 左右眼各一遍绘制，投影矩阵取自 Window.screenCamera（离轴视锥）
+ *
+ * 显示模式：
+ * - '3D_LR' / '3D_RL' / '2D'：每眼一遍，colorMask 只开该眼镜片颜色所在通道，
+ *   亮度经 LUT 纹理（AnaglyphProfile）查色，两眼通道互不覆盖
+ * - 'DUBOIS'：左右眼各渲染到线性颜色纹理，全屏合成（Dubois 矩阵 + sRGB 编码）
+ * - 'SBS' / 'SBS_CROSS' / 'TB'：每眼一个半幅视口；
+ *   'ROW_INTERLACED' / 'COL_INTERLACED'：按行 / 列奇偶丢弃片元；
+ *   'LEFT_EYE' / 'RIGHT_EYE'：只画一只眼（全幅视口）
+ *
+ * 与 CPU 参考实现的差异（CPU 路径仍是参考与回退）：
+ * - 点坐标为亚像素（CPU 取整到像素）
+ * - 边线为 1 像素 gl.LINES，无 Wu 抗锯齿
+ * - 分屏模式的扩散核不随半幅视口横向压缩
+ * - 串扰补偿只作用于 'DUBOIS'（合成时扣除）；'3D_LR' / '3D_RL' 两眼通道分遍写入、
+ *   不经合成，不做补偿
+ * - 标量着色在真彩色模式下三角形取单一顶点颜色（flat），不逐像素插值色图参数
+ *
+ * 依赖：
+ * - Window.js: 近处拒绝距离（NEAR_REJECT）
+ * - ScreenCamera.js: 视图 / 投影矩阵（经 window.screenCamera）
+ * - StereoRenderer.js: 扩散 / 景深 / 边线常量与 tintedColor（与 CPU 路径共用）
+ * - AnaglyphProfile.js / DuboisCompositor.js / StereoLayout.js
+ * - Colormap.js: 标量着色
+ * ============================================================================
+ */
+
+import { Window } from "../base/Window.js";
+import { ScreenCamera } from "../base/ScreenCamera.js";
+import { AnaglyphProfile, AnaglyphProfileRegistry } from "./AnaglyphProfile.js";
+import { DuboisCompositor } from "./DuboisCompositor.js";
+import { StereoLayout } from "./StereoLayout.js";
+import { StereoRenderer } from "./StereoRenderer.js";
+import { ScalarColoring } from "./Colormap.js";
+
+export class WebGLRenderer {
+
+  // 缓冲连续多少帧未使用后回收（LOD 级别来回切换时不必重传位置）
+  static EVICT_AFTER_FRAMES = 120;
+
+  // 近平面下限（厘米）；近平面本身取 Window.NEAR_REJECT 对应的拒绝距离
+  static MIN_NEAR = 0.1;
+
+  static CONTEXT_ATTRIBUTES = { antialias: false, depth: true, alpha: true };
+
+  // 着色方式（u_shading）
+  static SHADING_LUT = 0;
+  static SHADING_LINEAR = 1;
+  static SHADING_LAYOUT = 2;
+
+  // 图元类型（u_pointMode）：0 三角形 / 线，1 扩散点，2 单像素点（屏幕网格）
+  static POINT_NONE = 0;
+  static POINT_SPLAT = 1;
+  static POINT_PIXEL = 2;
+
+  static IDENTITY = new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+
+  static VERTEX_SHADER = `#version 300 es
+precision highp float;
+layout(location = 0) in vec3 a_position;
+layout(location = 1) in vec4 a_shade;   // light, r, g, b（0-255，r < 0 为无颜色；light < 0 为本帧未投影）
+uniform mat4 u_view;
+uniform mat4 u_proj;
+uniform int u_pointMode;
+uniform vec3 u_splat;                   // 参考距离、最大半径、半径量化步长
+uniform vec4 u_dof;                     // enabled、strength、minScale、焦距
+out float v_light;
+flat out vec3 v_color;
+flat out float v_radius;
+flat out float v_size;
+
+void main() {
+  v_light = a_shade.x;
+  v_color = a_shade.y < 0.0 ? vec3(1.0) : a_shade.yzw / 255.0;
+  v_radius = 0.0;
+  v_size = 1.0;
+  gl_PointSize = 1.0;
+  if (a_shade.x < 0.0) {
+    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+    return;
+  }
+  vec4 viewPos = u_view * vec4(a_position, 1.0);
+  gl_Position = u_proj * viewPos;
+  if (u_pointMode != 1) return;
+
+  // 同 StereoRenderer._splat
+  float dis = -viewPos.z;
+  float radius = min(u_splat.y, u_splat.x / max(dis, 1e-3));
+  float scale = 1.0;
+  if (u_dof.x > 0.5 && u_dof.w > 0.0) {
+    float coc = u_dof.y * abs(dis - u_dof.w) / dis;
+    float blurred = min(u_splat.y, length(vec2(radius, coc)));
+    scale = max(u_dof.z, (radius * radius + 1.0) / (blurred * blurred + 1.0));
+    radius = blurred;
+  }
+  radius = floor(radius / u_splat.z + 0.5) * u_splat.z;
+  v_light = a_shade.x * scale;
+  // 同 StereoRenderer.getNeighbors：light∈(0.3, 1] 才扩散
+  if (a_shade.x > 0.3 && a_shade.x <= 1.0 && radius >= 0.5) {
+    v_radius = radius;
+    v_size = 2.0 * floor(radius + 0.5) + 1.0;
+    gl_PointSize = v_size;
+  }
+}
+`;
+
+  static FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+in float v_light;
+flat in vec3 v_color;
+flat in float v_radius;
+flat in float v_size;
+uniform int u_pointMode;
+uniform int u_shading;
+uniform sampler2D u_lut;
+uniform float u_lutMax;
+uniform float u_lutScale;               // maxBrightness · LUT_FACTOR
+uniform int u_interlace;                // 0 无，1 行，2 列
+uniform int u_parity;
+uniform float u_height;
+out vec4 outColor;
+
+vec3 srgbToLinear(vec3 c) {
+  return mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), step(0.04045, c));
+}
+
+void main() {
+  if (u_interlace != 0) {
+    // 行号自上而下计（与 StereoLayout.mapPixel 一致）
+    int line = u_interlace == 1 ? int(u_height - gl_FragCoord.y) : int(gl_FragCoord.x);
+    if ((line & 1) != u_parity) discard;
+  }
+  float ratio = 1.0;
+  if (u_pointMode == 1 && v_radius > 0.0) {
+    // 同 StereoRenderer.splatKernel：d ≤ radius + 0.5，权重 0.707^(d²/radius²)
+    vec2 d = floor(gl_PointCoord * v_size) - floor(v_size * 0.5);
+    float dd = dot(d, d);
+    float reach = v_radius + 0.5;
+    if (dd > reach * reach) discard;
+    ratio = pow(0.707, dd / (v_radius * v_radius));
+  }
+  float light = v_light * ratio;
+  if (u_shading == 0) {
+    float index = clamp(floor(light * u_lutScale + 0.5), 0.0, u_lutMax);
+    outColor = vec4(texelFetch(u_lut, ivec2(int(index), 0), 0).rgb, 1.0);
+  } else if (u_shading == 1) {
+    outColor = vec4(srgbToLinear(v_color) * light, 1.0);
+  } else {
+    outColor = vec4(v_color * min(1.0, light), 1.0);
+  }
+}
+`;
+
+  // Dubois 合成：全屏三角形，逐像素 ML · left + MR · right（线性），再 sRGB 编码
+  static COMPOSITE_VERTEX_SHADER = `#version 300 es
+void main() {
+  vec2 p = vec2((gl_VertexID << 1) & 2, gl_VertexID & 2);
+  gl_Position = vec4(p * 2.0 - 1.0, 0.0, 1.0);
+}
+`;
+
+  static COMPOSITE_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+uniform sampler2D u_left;
+uniform sampler2D u_right;
+uniform mat3 u_matrixLeft;
+uniform mat3 u_matrixRight;
+uniform vec2 u_crosstalk;  // (leftToRight, rightToLeft)
+out vec4 outColor;
+
+vec3 linearToSrgb(vec3 c) {
+  return mix(c * 12.92, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, c));
+}
+
+void main() {
+  ivec2 xy = ivec2(gl_FragCoord.xy);
+  vec4 l = texelFetch(u_left, xy, 0);
+  vec4 r = texelFetch(u_right, xy, 0);
+  if (max(l.a, r.a) == 0.0) discard;
+  vec3 lc = max(l.rgb - u_crosstalk.y * r.rgb, 0.0);
+  vec3 rc = max(r.rgb - u_crosstalk.x * l.rgb, 0.0);
+  vec3 c = clamp(u_matrixLeft * lc + u_matrixRight * rc, 0.0, 1.0);
+  outColor = vec4(linearToSrgb(c), 1.0);
+}
+`;
+
+  /**
+   * @param {HTMLCanvasElement} canvas - 输出画布（取得 webgl2 上下文后不能再取 2d）
+   * @param {object} options - 同 StereoRenderer
+   */
+  constructor(canvas, options = {}) {
+    const gl = canvas.getContext('webgl2', WebGLRenderer.CONTEXT_ATTRIBUTES);
+    if (!gl) {
+      throw new Error('[WebGLRenderer] WebGL2 is not available');
+    }
+    this.canvas = canvas;
+    this.gl = gl;
+
+    this.displayMode = options.displayMode ?? '3D_LR';
+    this.anaglyphProfile = options.anaglyphProfile ?? AnaglyphProfileRegistry.DEFAULT;
+    this.duboisVariant = options.duboisVariant ?? 'red-cyan';
+    this.meshStyle = options.meshStyle ?? 'surface';
+    this.depthOfField = { ...StereoRenderer.DOF_DEFAULTS, ...options.depthOfField };
+    this.scalarColoring = new ScalarColoring(options.scalarColoring);
+    this._scalarLut = true; // 本帧标量着色取明度（互补色）还是色图 RGB
+
+    this.width = 0;
+    this.height = 0;
+
+    this.program = this._link(WebGLRenderer.VERTEX_SHADER, WebGLRenderer.FRAGMENT_SHADER);
+    this.uniforms = this._uniforms(this.program, [
+      'u_view', 'u_proj', 'u_pointMode', 'u_splat', 'u_dof', 'u_shading', 'u_lut',
+      'u_lutMax', 'u_lutScale', 'u_interlace', 'u_parity', 'u_height',
+    ]);
+    this.compositeProgram = this._link(
+      WebGLRenderer.COMPOSITE_VERTEX_SHADER,
+      WebGLRenderer.COMPOSITE_FRAGMENT_SHADER,
+    );
+    this.compositeUniforms = this._uniforms(this.compositeProgram, [
+      'u_left', 'u_right', 'u_matrixLeft', 'u_matrixRight', 'u_crosstalk',
+    ]);
+    this.emptyVao = gl.createVertexArray();
+
+    // Dubois 眼缓冲：可渲染浮点纹理时用 RGBA16F（亮度 > 1 不截断），否则 RGBA8
+    this.floatTargets = !!gl.getExtension('EXT_color_buffer_float');
+    this.eyeTargets = null;
+
+    // GPU 缓冲：点按渲染点数组（每个 LOD 级别一份）、网格按物体，
+    // 连续 EVICT_AFTER_FRAMES 帧未使用即回收
+    this._pointBatches = new Map();
+    this._meshBatches = new Map();
+    this._overlay = null;
+    this._lutTextures = new Map();
+    this._frame = 0;
+  }
+
+  /**
+   * 更新显示参数（与 StereoRenderer.setOptions 相同）
+   */
+  setOptions(options = {}) {
+    if (options.displayMode !== undefined) this.displayMode = options.displayMode;
+    if (options.anaglyphProfile !== undefined) this.anaglyphProfile = options.anaglyphProfile;
+    if (options.duboisVariant !== undefined) this.duboisVariant = options.duboisVariant;
+    if (options.meshStyle !== undefined) this.meshStyle = options.meshStyle;
+    if (options.depthOfField !== undefined) {
+      this.depthOfField = { ...this.depthOfField, ...options.depthOfField };
+    }
+    if (options.scalarColoring !== undefined) this.scalarColoring.configure(options.scalarColoring);
+  }
+
+  // ==========================================================================
+  // 光栅化
+  // ==========================================================================
+
+  /**
+   * 把窗口投影结果绘制到画布
+   * Window 本身不保存物体列表，这里与 calculate 传入同一组物体
+   *
+   * @param {Window} window - 已执行 calculate 的窗口
+   * @param {Object[]} objects - 场景物体
+   * @param {Object[]} otherObjects - 附加物体（如光源小球）
+   */
+  rasterize(window, objects, otherObjects = []) {
+    const gl = this.gl;
+    const { width, height } = window;
+    this.width = width;
+    this.height = height;
+    this._frame++;
+
+    const mode = this.displayMode;
+    const isDubois = mode === 'DUBOIS';
+    const isLayout = StereoLayout.isLayoutMode(mode);
+    this._scalarLut = !isDubois && !isLayout;
+
+    // 1. 同步 GPU 缓冲（本帧被 Window 整体剔除的物体不画；点集取 Window 选定的 LOD 级别）
+    const pointBatches = [];
+    for (const object of objects.concat(otherObjects)) {
+      if (object.visibleLastFrame === false) continue;
+      const batch = this._syncPoints(object.getRenderPoints(object.lodLevel));
+      if (batch) pointBatches.push(batch);
+    }
+    const meshBatches = [];
+    if (this.meshStyle !== 'points') {
+      for (const object of window.meshObjects) {
+        meshBatches.push(this._syncMesh(object));
+      }
+    }
+    const overlay = this._syncOverlay(window.windowObjects);
+    this._evictStale();
+
+    // 2. 逐眼绘制
+    const profile = AnaglyphProfileRegistry.get(this.anaglyphProfile);
+    const frame = {
+      camera: window.screenCamera,
+      near: Math.max(WebGLRenderer.MIN_NEAR, window.disOfPointToPlane - Window.NEAR_REJECT),
+      pointBatches,
+      meshBatches,
+      overlay,
+      shading: isDubois ? WebGLRenderer.SHADING_LINEAR
+        : isLayout ? WebGLRenderer.SHADING_LAYOUT : WebGLRenderer.SHADING_LUT,
+      drawSurface: this.meshStyle === 'surface' || this.meshStyle === 'surface+wireframe',
+      drawEdges: this.meshStyle === 'wireframe' || this.meshStyle === 'surface+wireframe',
+    };
+
+    gl.useProgram(this.program);
+    this._setCommonUniforms(window);
+    gl.enable(gl.DEPTH_TEST);
+    gl.depthFunc(gl.LEQUAL);
+
+    if (isDubois) {
+      this._renderDubois(frame, width, height, profile.crosstalk);
+    } else {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.viewport(0, 0, width, height);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+      if (isLayout) {
+        this._renderLayout(frame, mode, width, height);
+      } else {
+        this._renderAnaglyph(frame, mode, profile);
+      }
+    }
+
+    gl.colorMask(true, true, true, true);
+    gl.uniform1i(this.uniforms.u_interlace, 0);
+    gl.bindVertexArray(null);
+  }
+
+  _setCommonUniforms(window) {
+    const gl = this.gl;
+    const u = this.uniforms;
+    const dof = this.depthOfField;
+    gl.uniform3f(u.u_splat,
+      StereoRenderer.SPLAT_REFERENCE_DISTANCE,
+      StereoRenderer.MAX_SPLAT_RADIUS,
+      StereoRenderer.SPLAT_RADIUS_STEP);
+    gl.uniform4f(u.u_dof, dof.enabled ? 1 : 0, dof.strength, dof.minScale, window.disOfPointToPlane);
+    gl.uniform1i(u.u_interlace, 0);
+    gl.uniform1f(u.u_height, window.height);
+    gl.uniform1i(u.u_lut, 0);
+  }
+
+  /**
+   * 互补色：屏幕网格单色画在底层，随后每眼一遍，只写该眼镜片颜色所在通道
+   */
+  _renderAnaglyph(frame, mode, profile) {
+    const gl = this.gl;
+    this._bindLut(profile, 'mono');
+    this._drawOverlay(frame);
+
+    let passes;
+    if (mode === '2D') {
+      passes = [['mono', 'mono']];
+    } else {
+      const isRL = mode === '3D_RL';
+      passes = [['left', isRL ? 'right' : 'left'], ['right', isRL ? 'left' : 'right']];
+    }
+    for (const [eye, channel] of passes) {
+      const mask = this._bindLut(profile, channel);
+      gl.colorMask(mask[0], mask[1], mask[2], true);
+      gl.clear(gl.DEPTH_BUFFER_BIT);
+      this._drawScene(frame, eye);
+    }
+  }
+
+  /**
+   * 分屏：每眼一个半幅视口；交错：全幅视口按行 / 列奇偶丢弃
+   */
+  _renderLayout(frame, mode, width, height) {
+    const gl = this.gl;
+    const interlace = mode === 'ROW_INTERLACED' ? 1 : mode === 'COL_INTERLACED' ? 2 : 0;
+    gl.uniform1i(this.uniforms.u_interlace, interlace);
+    for (const eye of ['left', 'right']) {
+      if (!StereoLayout.includesEye(mode, eye)) continue;
+      const [x, y, w, h] = WebGLRenderer.eyeViewport(mode, eye, width, height);
+      gl.viewport(x, y, w, h);
+      gl.uniform1i(this.uniforms.u_parity, eye === 'left' ? 0 : 1);
+      gl.clear(gl.DEPTH_BUFFER_BIT);
+      this._drawOverlay(frame);
+      this._drawScene(frame, eye);
+    }
+  }
+
+  /**
+   * Dubois：左右眼分别渲染到线性颜色纹理，再全屏合成到画布（合成前扣除串扰）
+   */
+  _renderDubois(frame, width, height, crosstalk) {
+    const gl = this.gl;
+    const targets = this._ensureEyeTargets(width, height);
+    gl.viewport(0, 0, width, height);
+    gl.clearColor(0, 0, 0, 0);
+    for (const eye of ['left', 'right']) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, targets[eye].framebuffer);
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+      this._drawOverlay(frame);
+      this._drawScene(frame, eye);
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    gl.disable(gl.DEPTH_TEST);
+    gl.useProgram(this.compositeProgram);
+    const u = this.compositeUniforms;
+    const matrices = DuboisCompositor.MATRICES[this.duboisVariant];
+    if (!matrices) {
+      throw new Error(`[WebGLRenderer] Unknown Dubois variant: ${this.duboisVariant}`);
+    }
+    // 矩阵为行主序，上传时转置
+    gl.uniformMatrix3fv(u.u_matrixLeft, true, matrices.left);
+    gl.uniformMatrix3fv(u.u_matrixRight, true, matrices.right);
+    gl.uniform2f(u.u_crosstalk, crosstalk.leftToRight, crosstalk.rightToLeft);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, targets.left.texture);
+    gl.uniform1i(u.u_left, 1);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, targets.right.texture);
+    gl.uniform1i(u.u_right, 2);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindVertexArray(this.emptyVao);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+    gl.useProgram(this.program);
+    gl.enable(gl.DEPTH_TEST);
+  }
+
+  /**
+   * 屏幕网格（windowObjects）：像素坐标、单像素、不做深度测试，始终在最底层
+   */
+  _drawOverlay(frame) {
+    const overlay = frame.overlay;
+    if (!overlay || overlay.count === 0) return;
+    const gl = this.gl;
+    const u = this.uniforms;
+    gl.disable(gl.DEPTH_TEST);
+    gl.uniformMatrix4fv(u.u_view, false, WebGLRenderer.IDENTITY);
+    gl.uniformMatrix4fv(u.u_proj, false, WebGLRenderer.pixelMatrix(this.width, this.height));
+    gl.uniform1i(u.u_pointMode, WebGLRenderer.POINT_PIXEL);
+    gl.uniform1i(u.u_shading, frame.shading);
+    gl.bindVertexArray(overlay.vao);
+    gl.drawArrays(gl.POINTS, 0, overlay.count);
+    gl.enable(gl.DEPTH_TEST);
+  }
+
+  /**
+   * 单眼场景：网格三角形 → 边线 → 点（与 CPU 路径顺序一致）
+   * @param {string} eye - 'left' | 'mono' | 'right'
+   */
+  _drawScene(frame, eye) {
+    const gl = this.gl;
+    const u = this.uniforms;
+    const { camera, near, shading } = frame;
+    gl.uniformMatrix4fv(u.u_view, false, camera.viewMatrix(eye));
+    gl.uniformMatrix4fv(u.u_proj, false, camera.projectionMatrix(eye, near, ScreenCamera.DEFAULT_FAR));
+    gl.uniform1i(u.u_shading, shading);
+
+    gl.uniform1i(u.u_pointMode, WebGLRenderer.POINT_NONE);
+    if (frame.drawSurface) {
+      // 三角形深度后移，同深度时边线与点胜出（对应 CPU 的 EDGE_DEPTH_BIAS）
+      gl.enable(gl.POLYGON_OFFSET_FILL);
+      gl.polygonOffset(1, 1);
+      for (const batch of frame.meshBatches) {
+        if (batch.triangleCount === 0) continue;
+        gl.bindVertexArray(batch.vao);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, batch.triangleBuffer);
+        gl.drawElements(gl.TRIANGLES, batch.triangleCount, gl.UNSIGNED_INT, 0);
+      }
+      gl.disable(gl.POLYGON_OFFSET_FILL);
+    }
+    if (frame.drawEdges) {
+      // 边线只做深度测试不写深度；逐类别用常量属性给出亮度 / 颜色
+      gl.depthMask(false);
+      const lut = shading === WebGLRenderer.SHADING_LUT;
+      for (const batch of frame.meshBatches) {
+        gl.bindVertexArray(batch.vao);
+        gl.disableVertexAttribArray(1);
+        for (const edgeClass of StereoRenderer.EDGE_CLASSES) {
+          const edges = batch.edges[edgeClass.key];
+          if (!edges || edges.count === 0) continue;
+          const [r, g, b] = edgeClass.color;
+          gl.vertexAttrib4f(1, lut ? edgeClass.brightness : 1, r, g, b);
+          gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, edges.buffer);
+          gl.drawElements(gl.LINES, edges.count, gl.UNSIGNED_INT, 0);
+        }
+        gl.enableVertexAttribArray(1);
+      }
+      gl.depthMask(true);
+    }
+
+    gl.uniform1i(u.u_pointMode, WebGLRenderer.POINT_SPLAT);
+    for (const batch of frame.pointBatches) {
+      gl.bindVertexArray(batch.vao);
+      gl.drawArrays(gl.POINTS, 0, batch.count);
+    }
+  }
+
+  /**
+   * 分屏布局的单眼视口（GL 原点在左下；与 StereoLayout.mapPixel 的区域一致）
+   * @returns {number[]} [x, y, width, height]
+   */
+  static eyeViewport(mode, eye, width, height) {
+    const isLeft = eye === 'left';
+    switch (mode) {
+      case 'SBS':
+      case 'SBS_CROSS': {
+        const half = Math.floor(width / 2);
+        const firstHalf = mode === 'SBS' ? isLeft : !isLeft;
+        return [firstHalf ? 0 : half, 0, half, height];
+      }
+      case 'TB': {
+        const half = Math.floor(height / 2);
+        return [0, isLeft ? height - half : 0, width, half];
+      }
+      default:
+        return [0, 0, width, height];
+    }
+  }
+
+  /**
+   * 像素坐标（y 向下）→ 裁剪空间
+   */
+  static pixelMatrix(width, height) {
+    const m = new Float32Array(16);
+    m[0] = 2 / width;
+    m[5] = -2 / height;
+    m[10] = 1;
+    m[12] = -1;
+    m[13] = 1;
+    m[15] = 1;
+    return m;
+  }
+
+  // ==========================================================================
+  // GPU 缓冲同步
+  // ==========================================================================
+
+  /**
+   * 一组渲染点：位置常驻（坐标变化时才重传），亮度 / 颜色每帧上传
+   * 本帧未投影的点（xM / yM 为 0，CPU 路径同样跳过）亮度写 -1，由顶点着色器丢弃
+   * @param {Point[]} points - Object.getRenderPoints 返回的数组（按数组缓存）
+   */
+  _syncPoints(points) {
+    if (!points || points.length === 0) return null;
+
+    const gl = this.gl;
+    const count = points.length;
+    let batch = this._pointBatches.get(points);
+    if (!batch || batch.capacity < count) {
+      if (batch) this._deleteBatch(batch);
+      batch = this._createBatch(count);
+      this._pointBatches.set(points, batch);
+    }
+    batch.frame = this._frame;
+    batch.count = count;
+
+    const { positions, shade } = batch;
+    let moved = batch.fresh;
+    for (let i = 0; i < count; i++) {
+      const p = points[i];
+      const b3 = i * 3;
+      const x = Math.fround(p.x), y = Math.fround(p.y), z = Math.fround(p.z);
+      if (positions[b3] !== x || positions[b3 + 1] !== y || positions[b3 + 2] !== z) {
+        positions[b3] = x;
+        positions[b3 + 1] = y;
+        positions[b3 + 2] = z;
+        moved = true;
+      }
+      this._writeShade(shade, i, p, p.xM !== 0 && p.yM !== 0);
+    }
+
+    if (moved) {
+      gl.bindBuffer(gl.ARRAY_BUFFER, batch.positionBuffer);
+      gl.bufferSubData(gl.ARRAY_BUFFER, 0, positions, 0, count * 3);
+      batch.fresh = false;
+    }
+    gl.bindBuffer(gl.ARRAY_BUFFER, batch.shadeBuffer);
+    gl.bufferSubData(gl.ARRAY_BUFFER, 0, shade, 0, count * 4);
+    return batch;
+  }
+
+  /**
+   * 网格物体：建构点逐帧上传（物理形变），三角形 / 边索引只保留顶点投影有效者
+   * 三角形索引按 (b, c, a) 排列：flat 颜色取最后一个顶点，与 CPU 取首顶点颜色一致
+   */
+  _syncMesh(object) {
+    const gl = this.gl;
+    const vertices = object.constructionPoints;
+    const topology = object.representation.topology;
+    const count = vertices.length;
+
+    let batch = this._meshBatches.get(object);
+    if (!batch || batch.capacity < count) {
+      if (batch) this._deleteBatch(batch);
+      batch = this._createBatch(count);
+      batch.triangleBuffer = gl.createBuffer();
+      batch.edges = {};
+      for (const edgeClass of StereoRenderer.EDGE_CLASSES) {
+        batch.edges[edgeClass.key] = { buffer: gl.createBuffer(), count: 0 };
+      }
+      this._meshBatches.set(object, batch);
+    }
+    batch.frame = this._frame;
+
+    const { positions, shade } = batch;
+    for (let i = 0; i < count; i++) {
+      const v = vertices[i];
+      positions[i * 3] = v.x;
+      positions[i * 3 + 1] = v.y;
+      positions[i * 3 + 2] = v.z;
+      this._writeShade(shade, i, v, !!v.proj?.valid);
+    }
+    gl.bindBuffer(gl.ARRAY_BUFFER, batch.positionBuffer);
+    gl.bufferSubData(gl.ARRAY_BUFFER, 0, positions, 0, count * 3);
+    gl.bindBuffer(gl.ARRAY_BUFFER, batch.shadeBuffer);
+    gl.bufferSubData(gl.ARRAY_BUFFER, 0, shade, 0, count * 4);
+
+    const valid = (i) => !!vertices[i]?.proj?.valid;
+    gl.bindVertexArray(batch.vao);
+
+    const triangles = [];
+    for (const [a, b, c] of topology.triangles ?? []) {
+      if (valid(a) && valid(b) && valid(c)) triangles.push(b, c, a);
+    }
+    batch.triangleCount = triangles.length;
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, batch.triangleBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint32Array(triangles), gl.DYNAMIC_DRAW);
+
+    for (const edgeClass of StereoRenderer.EDGE_CLASSES) {
+      const indices = [];
+      for (const [i, j] of topology[edgeClass.key] ?? []) {
+        if (valid(i) && valid(j)) indices.push(i, j);
+      }
+      const edges = batch.edges[edgeClass.key];
+      edges.count = indices.length;
+      gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, edges.buffer);
+      gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint32Array(indices), gl.DYNAMIC_DRAW);
+    }
+    gl.bindVertexArray(null);
+    return batch;
+  }
+
+  /**
+   * 屏幕网格点：以像素中心为位置（z = 0），每帧重建（点数很少）
+   */
+  _syncOverlay(windowObjects) {
+    const gl = this.gl;
+    const points = [];
+    for (const element of windowObjects) {
+      const renderPoints = (element.displayPoints && element.displayPoints.length > 0)
+        ? element.displayPoints
+        : element.constructionPoints;
+      if (!renderPoints) continue;
+      for (const p of renderPoints) {
+        if (p.xM === 0 || p.yM === 0) continue;
+        points.push(p);
+      }
+    }
+
+    let overlay = this._overlay;
+    if (!overlay || overlay.capacity < points.length) {
+      if (overlay) this._deleteBatch(overlay);
+      overlay = this._overlay = this._createBatch(Math.max(points.length, 1));
+    }
+    const { positions, shade } = overlay;
+    for (let i = 0; i < points.length; i++) {
+      positions[i * 3] = points[i].xM + 0.5;
+      positions[i * 3 + 1] = points[i].yM + 0.5;
+      positions[i * 3 + 2] = 0;
+      shade[i * 4] = points[i].light;
+      shade[i * 4 + 1] = -1;
+    }
+    overlay.count = points.length;
+    if (points.length > 0) {
+      gl.bindBuffer(gl.ARRAY_BUFFER, overlay.positionBuffer);
+      gl.bufferSubData(gl.ARRAY_BUFFER, 0, positions, 0, points.length * 3);
+      gl.bindBuffer(gl.ARRAY_BUFFER, overlay.shadeBuffer);
+      gl.bufferSubData(gl.ARRAY_BUFFER, 0, shade, 0, points.length * 4);
+    }
+    return overlay;
+  }
+
+  /**
+   * 写入一个点的 [light, r, g, b]（颜色取 StereoRenderer.tintedColor，null 时 r = -1）
+   * 带有效标量且开启标量着色时改取色图（同 StereoRenderer._pointLight / _pointColor）
+   */
+  _writeShade(shade, i, p, visible) {
+    const b4 = i * 4;
+    const t = this.scalarColoring.parameter(p.scalar);
+    let light = p.light;
+    let color;
+    if (t < 0) {
+      color = StereoRenderer.tintedColor(p);
+    } else {
+      light = this._scalarLut ? this.scalarColoring.light(t) : 1;
+      color = this.scalarColoring.color(t);
+    }
+    shade[b4] = visible ? light : -1;
+    if (color) {
+      shade[b4 + 1] = color[0];
+      shade[b4 + 2] = color[1];
+      shade[b4 + 3] = color[2];
+    } else {
+      shade[b4 + 1] = -1;
+    }
+  }
+
+  _createBatch(capacity) {
+    const gl = this.gl;
+    const batch = {
+      capacity,
+      count: 0,
+      frame: this._frame,
+      fresh: true,
+      positions: new Float32Array(capacity * 3),
+      shade: new Float32Array(capacity * 4),
+      positionBuffer: gl.createBuffer(),
+      shadeBuffer: gl.createBuffer(),
+      vao: gl.createVertexArray(),
+    };
+    gl.bindVertexArray(batch.vao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, batch.positionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, batch.positions.byteLength, gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 3, gl.FLOAT, false, 0, 0);
+    gl.bindBuffer(gl.ARRAY_BUFFER, batch.shadeBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, batch.shade.byteLength, gl.DYNAMIC_DRAW);
+    gl.enableVertexAttribArray(1);
+    gl.vertexAttribPointer(1, 4, gl.FLOAT, false, 0, 0);
+    gl.bindVertexArray(null);
+    return batch;
+  }
+
+  _deleteBatch(batch) {
+    const gl = this.gl;
+    gl.deleteBuffer(batch.positionBuffer);
+    gl.deleteBuffer(batch.shadeBuffer);
+    gl.deleteVertexArray(batch.vao);
+    if (batch.triangleBuffer) gl.deleteBuffer(batch.triangleBuffer);
+    for (const edges of Object.values(batch.edges ?? {})) {
+      gl.deleteBuffer(edges.buffer);
+    }
+  }
+
+  /**
+   * 回收长期未使用的缓冲（如每帧重建的光源小球、已删除的物体）
+   */
+  _evictStale() {
+    const oldest = this._frame - WebGLRenderer.EVICT_AFTER_FRAMES;
+    for (const batches of [this._pointBatches, this._meshBatches]) {
+      for (const [key, batch] of batches) {
+        if (batch.frame > oldest) continue;
+        this._deleteBatch(batch);
+        batches.delete(key);
+      }
+    }
+  }
+
+  // ==========================================================================
+  // 纹理与着色器
+  // ==========================================================================
+
+  /**
+   * 绑定互补色通道 LUT 纹理（单行 RGBA8，按表对象缓存），并设置查表参数
+   * @returns {boolean[]} 该通道颜色的 RGB 写掩码
+   */
+  _bindLut(profile, channel) {
+    const gl = this.gl;
+    const table = profile.lut[channel];
+    const key = `${profile.name}:${channel}`;
+    let entry = this._lutTextures.get(key);
+    if (!entry || entry.table !== table) {
+      if (entry) gl.deleteTexture(entry.texture);
+      const data = new Uint8Array(table.length * 4);
+      const mask = [false, false, false];
+      for (let i = 0; i < table.length; i++) {
+        for (let c = 0; c < 3; c++) {
+          data[i * 4 + c] = table[i][c];
+          if (table[i][c] > 0) mask[c] = true;
+        }
+        data[i * 4 + 3] = 255;
+      }
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA8, table.length, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+      WebGLRenderer._nearest(gl);
+      entry = { table, texture, mask };
+      this._lutTextures.set(key, entry);
+    }
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+    gl.uniform1f(this.uniforms.u_lutMax, profile.maxLutIndex(channel));
+    gl.uniform1f(this.uniforms.u_lutScale, profile[channel].maxBrightness * AnaglyphProfile.LUT_FACTOR);
+    return entry.mask;
+  }
+
+  /**
+   * Dubois 左右眼渲染目标（颜色纹理 + 深度），尺寸变化时重建
+   */
+  _ensureEyeTargets(width, height) {
+    if (this.eyeTargets && this.eyeTargets.width === width && this.eyeTargets.height === height) {
+      return this.eyeTargets;
+    }
+    const gl = this.gl;
+    if (this.eyeTargets) this._deleteEyeTargets();
+    const format = this.floatTargets ? gl.RGBA16F : gl.RGBA8;
+    const type = this.floatTargets ? gl.HALF_FLOAT : gl.UNSIGNED_BYTE;
+    const targets = { width, height };
+    for (const eye of ['left', 'right']) {
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, format, width, height, 0, gl.RGBA, type, null);
+      WebGLRenderer._nearest(gl);
+      const depth = gl.createRenderbuffer();
+      gl.bindRenderbuffer(gl.RENDERBUFFER, depth);
+      gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT24, width, height);
+      const framebuffer = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+      gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depth);
+      if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+        throw new Error('[WebGLRenderer] Incomplete Dubois eye framebuffer');
+      }
+      targets[eye] = { texture, depth, framebuffer };
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    this.eyeTargets = targets;
+    return targets;
+  }
+
+  _deleteEyeTargets() {
+    const gl = this.gl;
+    for (const eye of ['left', 'right']) {
+      const target = this.eyeTargets[eye];
+      gl.deleteFramebuffer(target.framebuffer);
+      gl.deleteRenderbuffer(target.depth);
+      gl.deleteTexture(target.texture);
+    }
+    this.eyeTargets = null;
+  }
+
+  static _nearest(gl) {
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  }
+
+  _link(vertexSource, fragmentSource) {
+    const gl = this.gl;
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        const log = gl.getShaderInfoLog(shader);
+        gl.deleteShader(shader);
+        throw new Error(`[WebGLRenderer] Shader compile failed: ${log}`);
+      }
+      return shader;
+    };
+    const program = gl.createProgram();
+    const vs = compile(gl.VERTEX_SHADER, vertexSource);
+    const fs = compile(gl.FRAGMENT_SHADER, fragmentSource);
+    gl.attachShader(program, vs);
+    gl.attachShader(program, fs);
+    gl.linkProgram(program);
+    gl.deleteShader(vs);
+    gl.deleteShader(fs);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      const log = gl.getProgramInfoLog(program);
+      gl.deleteProgram(program);
+      throw new Error(`[WebGLRenderer] Program link failed: ${log}`);
+    }
+    return program;
+  }
+
+  _uniforms(program, names) {
+    const uniforms = {};
+    for (const name of names) {
+      uniforms[name] = this.gl.getUniformLocation(program, name);
+    }
+    return uniforms;
+  }
+
+  /**
+   * 释放全部 GPU 资源
+   */
+  dispose() {
+    const gl = this.gl;
+    for (const batches of [this._pointBatches, this._meshBatches]) {
+      for (const batch of batches.values()) this._deleteBatch(batch);
+      batches.clear();
+    }
+    if (this._overlay) {
+      this._deleteBatch(this._overlay);
+      this._overlay = null;
+    }
+    for (const entry of this._lutTextures.values()) gl.deleteTexture(entry.texture);
+    this._lutTextures.clear();
+    if (this.eyeTargets) this._deleteEyeTargets();
+    gl.deleteVertexArray(this.emptyVao);
+    gl.deleteProgram(this.program);
+    gl.deleteProgram(this.compositeProgram);
+  }
+}